@@ -889,6 +889,13 @@ class AnimationController {
   document.addEventListener('DOMContentLoaded', () => {
     window.animationController = new AnimationController();
   });
+
+  // Cards and text in the pages the router swaps in (router.js)
+  document.addEventListener('routeChanged', () => {
+    if (!window.animationController) return;
+    window.animationController.initializeCardAnimations();
+    window.animationController.initializeTextAnimations();
+  });
   
   // Export for use in other modules
   if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,281 @@
+/**
+ * StartAnime - Anime Detail View
+ * Accessible modal with the full catalog record for one anime,
+ * deep-linkable through the ?anime=<id> query parameter
+ */
+
+const DETAIL_URL_PARAM = 'anime';
+
+class AnimeDetailView {
+    /**
+     * @param {AnimeCatalog} catalog - Shared anime catalog
+     */
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.similarity = null;
+        this.modal = null;
+        this.currentId = null;
+        this.returnFocus = null;
+        this.pushedState = false;
+
+        window.addEventListener('popstate', () => this.syncWithUrl());
+        // A page the router swapped in may link ?anime=, or leave it behind
+        document.addEventListener('routeChanged', () => this.syncWithUrl());
+    }
+
+    /**
+     * Open the detail view if the page was loaded with ?anime=<id>
+     */
+    async init() {
+        await this.syncWithUrl();
+    }
+
+    async syncWithUrl() {
+        const animeId = new URLSearchParams(window.location.search).get(DETAIL_URL_PARAM);
+
+        if (animeId && animeId !== this.currentId) {
+            await this.open(animeId, { updateUrl: false });
+        } else if (!animeId && this.currentId) {
+            this.pushedState = false;
+            this.close({ updateUrl: false });
+        }
+    }
+
+    /**
+     * Show the details of an anime
+     * @param {string} animeId - Catalog id (aliases allowed)
+     * @param {Object} options - { trigger: element to refocus on close, updateUrl }
+     * @returns {boolean} True if the anime was found
+     */
+    async open(animeId, { trigger = null, updateUrl = true } = {}) {
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            console.error('AnimeDetailView: Failed to load catalog:', error);
+            return false;
+        }
+
+        const anime = this.catalog.getById(animeId);
+        if (!anime) {
+            console.warn(`AnimeDetailView: Unknown anime "${animeId}"`);
+            return false;
+        }
+
+        const wasOpen = this.currentId !== null;
+        this.ensureModal();
+        this.modal.querySelector('.modal-content').innerHTML = this.createDetailHTML(anime);
+        this.currentId = anime.id;
+
+        if (!wasOpen) {
+            this.returnFocus = trigger || document.activeElement;
+            this.modal.classList.add('active');
+            this.modal.setAttribute('aria-hidden', 'false');
+            document.body.classList.add('modal-open');
+        }
+
+        if (updateUrl) {
+            const url = new URL(window.location.href);
+            url.searchParams.set(DETAIL_URL_PARAM, anime.id);
+            if (wasOpen) {
+                history.replaceState({ anime: anime.id }, '', url);
+            } else {
+                history.pushState({ anime: anime.id }, '', url);
+                this.pushedState = true;
+            }
+        }
+
+        this.modal.querySelector('.modal-close').focus();
+        document.dispatchEvent(new CustomEvent('animeDetailsOpened', { detail: { anime } }));
+        return true;
+    }
+
+    close({ updateUrl = true } = {}) {
+        if (!this.modal || this.currentId === null) return;
+
+        this.modal.classList.remove('active');
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('modal-open');
+        this.currentId = null;
+
+        if (updateUrl) {
+            if (this.pushedState) {
+                // Popping our own entry keeps back/forward history clean
+                this.pushedState = false;
+                history.back();
+            } else {
+                const url = new URL(window.location.href);
+                url.searchParams.delete(DETAIL_URL_PARAM);
+                history.replaceState(null, '', url);
+            }
+        }
+
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Create the modal container once and wire its keyboard handling
+     */
+    ensureModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal anime-detail-modal';
+        this.modal.setAttribute('aria-hidden', 'true');
+        this.modal.innerHTML = `
+            <div class="modal-content anime-detail" role="dialog" aria-modal="true" aria-labelledby="anime-detail-title"></div>
+        `;
+        document.body.appendChild(this.modal);
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('.modal-close')) {
+                this.close();
+                return;
+            }
+            const related = e.target.closest('[data-detail-id]');
+            if (related) {
+                this.open(related.dataset.detailId);
+            }
+        });
+
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    }
+
+    /**
+     * Keep keyboard focus inside the dialog while it is open
+     */
+    trapFocus(event) {
+        const focusable = this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    getSimilarity() {
+        if (!this.similarity && window.SimilarityIndex) {
+            const vocabulary = this.catalog.sources.recommendations?.searchTags || [];
+            this.similarity = new window.SimilarityIndex(this.catalog, vocabulary).build();
+        }
+        return this.similarity;
+    }
+
+    getDifficultyInfo(difficulty) {
+        const levels = this.catalog.sources.recommendations?.difficultyLevels || {};
+        return difficulty ? levels[difficulty] || null : null;
+    }
+
+    formatYears(anime) {
+        if (!anime.year) return 'Unknown';
+        return anime.yearEnd && anime.yearEnd !== anime.year ? `${anime.year}–${anime.yearEnd}` : String(anime.year);
+    }
+
+    /**
+     * Every value is escaped (SafeHTML), so catalog text can't inject markup
+     * @returns {SafeHTML}
+     */
+    createDetailHTML(anime) {
+        const { html, url } = window.SafeHTML;
+        const difficulty = this.getDifficultyInfo(anime.difficulty);
+        const similarity = this.getSimilarity();
+        const similar = similarity ? similarity.getSimilar(anime.id, 4) : [];
+
+        return html`
+            <div class="modal-header">
+                <div>
+                    <h2 class="modal-title" id="anime-detail-title">${anime.title}</h2>
+                    ${anime.subtitle ? html`<p class="anime-detail-subtitle">${anime.subtitle}</p>` : ''}
+                </div>
+                <button class="modal-close" aria-label="Close details">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="anime-detail-hero">
+                    ${anime.image ? html`<img src="${url(anime.image)}" alt="${anime.title}" class="anime-detail-image" loading="lazy">` : ''}
+                    <dl class="anime-detail-facts">
+                        <dt>Rating</dt>
+                        <dd>${anime.rating !== null ? `⭐ ${anime.rating.toFixed(1)}` : 'N/A'}</dd>
+                        <dt>Studio</dt>
+                        <dd>${anime.studio || 'Unknown'}</dd>
+                        <dt>Year</dt>
+                        <dd>${this.formatYears(anime)}</dd>
+                        <dt>Episodes</dt>
+                        <dd>${anime.type === 'movie' ? 'Movie' : anime.episodes || 'Unknown'}</dd>
+                        ${anime.status ? html`<dt>Status</dt><dd>${anime.status}</dd>` : ''}
+                    </dl>
+                </div>
+
+                <p class="anime-detail-description">${anime.description}</p>
+                ${anime.warning ? html`<p class="anime-detail-warning" role="note">⚠️ ${anime.warning}</p>` : ''}
+
+                ${anime.reasons.length > 0 ? html`
+                <section class="anime-detail-section">
+                    <h3>Why watch it</h3>
+                    <ul>${anime.reasons.map(reason => html`<li>${reason}</li>`)}</ul>
+                </section>` : ''}
+
+                <section class="anime-detail-section">
+                    <h3>Genres &amp; tags</h3>
+                    <div class="anime-detail-tags">
+                        ${this.catalog.getGenreLabels(anime).map(genre => html`<span class="badge badge-primary">${genre}</span>`)}
+                        ${anime.tags.map(tag => html`<span class="badge badge-secondary">${tag}</span>`)}
+                    </div>
+                </section>
+
+                ${anime.streamingPlatforms.length > 0 ? html`
+                <section class="anime-detail-section">
+                    <h3>Where to watch</h3>
+                    <p>${anime.streamingPlatforms.join(', ')}</p>
+                </section>` : ''}
+
+                ${difficulty ? html`
+                <section class="anime-detail-section">
+                    <h3>Difficulty: ${anime.difficulty.charAt(0).toUpperCase() + anime.difficulty.slice(1)}</h3>
+                    <p>${difficulty.description}</p>
+                    <ul>${difficulty.characteristics.map(item => html`<li>${item}</li>`)}</ul>
+                </section>` : ''}
+
+                ${similar.length > 0 ? html`
+                <section class="anime-detail-section">
+                    <h3>More like this</h3>
+                    <div class="more-like-this-list">
+                        ${similar.map(result => html`
+                            <button class="similar-item" data-detail-id="${result.anime.id}" title="${result.reasons.join(' • ')}">
+                                ${result.anime.title}
+                            </button>
+                        `)}
+                    </div>
+                </section>` : ''}
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimeDetailView;
+} else {
+    window.AnimeDetailView = AnimeDetailView;
+    window.animeDetailView = new AnimeDetailView(window.animeCatalog);
+
+    // Open deep links such as recommend.html?anime=erased
+    document.addEventListener('DOMContentLoaded', () => {
+        window.animeDetailView.init();
+    });
+}
@@ -0,0 +1,336 @@
+/**
+ * StartAnime - Anime Catalog
+ * Loads anime-list.json and recommendations.json and reconciles them into
+ * one set of canonical anime records keyed by id
+ */
+
+const CATALOG_SOURCES = {
+    animeList: './data/anime-list.json',
+    recommendations: './data/recommendations.json'
+};
+
+// Ids that differ between the data files (and the hand-written homepage cards)
+const CATALOG_ID_ALIASES = {
+    'spy-family': 'spy-x-family',
+    'odd-taxi': 'oddtaxi',
+    'fmab': 'fullmetal-alchemist-brotherhood',
+    'mha': 'my-hero-academia',
+    'opm': 'one-punch-man',
+    'aot': 'attack-on-titan'
+};
+
+// IndexedDB key of the last successfully fetched data files
+const CATALOG_CACHE_KEY = 'catalog-sources';
+
+class AnimeCatalog {
+    /**
+     * @param {StorageService} storage - Optional; caches the data files for offline use
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.records = new Map();
+        this.featuredIds = [];
+        this.moodIds = new Map();
+        this.genreLabels = new Map();
+        this.sources = {};
+        this.loadPromise = null;
+    }
+
+    /**
+     * Fetch both data files once and build the catalog, falling back to
+     * the last cached copy when they cannot be fetched (e.g. offline)
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.all([
+                this.fetchJSON(CATALOG_SOURCES.animeList),
+                this.fetchJSON(CATALOG_SOURCES.recommendations)
+            ]).then(([animeList, recommendations]) => {
+                this.ingest(animeList, recommendations);
+                this.saveToCache({ animeList, recommendations });
+                return this;
+            }).catch(async (error) => {
+                const cached = await this.loadFromCache();
+                if (cached) {
+                    console.warn('AnimeCatalog: Using cached data files:', error);
+                    this.ingest(cached.animeList, cached.recommendations);
+                    return this;
+                }
+
+                // Allow a later call to retry after a failed load
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    saveToCache(sources) {
+        if (!this.storage || !this.storage.large.isAvailable()) return;
+        this.storage.large.set(CATALOG_CACHE_KEY, sources).catch((error) => {
+            console.warn('AnimeCatalog: Could not cache data files:', error);
+        });
+    }
+
+    async loadFromCache() {
+        if (!this.storage) return null;
+        try {
+            return await this.storage.large.get(CATALOG_CACHE_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Build the catalog from already-parsed data files.
+     * anime-list.json is applied first, so its values win on conflicts and
+     * recommendations.json only fills fields it leaves empty.
+     */
+    ingest(animeList = {}, recommendations = {}) {
+        this.records.clear();
+        this.moodIds.clear();
+        this.genreLabels.clear();
+        this.sources = { animeList, recommendations };
+
+        (animeList.featured || []).forEach((entry) => {
+            this.addEntry(entry, 'anime-list');
+        });
+        this.featuredIds = (animeList.featured || []).map(entry => this.resolveId(entry.id));
+
+        Object.entries(animeList.recommendations || {}).forEach(([mood, entries]) => {
+            entries.forEach(entry => this.addEntry(entry, 'anime-list', mood));
+        });
+
+        Object.entries(recommendations.categories || {}).forEach(([mood, category]) => {
+            (category.anime || []).forEach(entry => this.addEntry(entry, 'recommendations', mood));
+        });
+
+        return this;
+    }
+
+    /**
+     * Normalize a raw entry and merge it into an existing record with the same id
+     */
+    addEntry(entry, source, mood = null) {
+        const incoming = this.normalizeEntry(entry, source);
+        const existing = this.records.get(incoming.id);
+        const record = existing ? this.mergeRecords(existing, incoming) : incoming;
+
+        if (mood) {
+            if (!record.moods.includes(mood)) record.moods.push(mood);
+            if (!this.moodIds.has(mood)) this.moodIds.set(mood, []);
+            const ids = this.moodIds.get(mood);
+            if (!ids.includes(record.id)) ids.push(record.id);
+        }
+
+        this.records.set(record.id, record);
+        return record;
+    }
+
+    normalizeEntry(entry, source) {
+        const rawGenres = entry.genres || entry.genre || [];
+        rawGenres.forEach((genre) => {
+            const slug = AnimeCatalog.toSlug(genre);
+            // Prefer human-written labels ("Slice of Life") over generated ones
+            if (genre !== slug) {
+                this.genreLabels.set(slug, genre);
+            } else if (!this.genreLabels.has(slug)) {
+                this.genreLabels.set(slug, AnimeCatalog.toLabel(slug));
+            }
+        });
+
+        const isMovie = entry.type === 'movie' || String(entry.episodes).toLowerCase() === 'movie';
+        const [yearStart, yearEnd] = AnimeCatalog.parseYearRange(entry.year);
+
+        return {
+            id: this.resolveId(entry.id),
+            malId: AnimeCatalog.toNumber(entry.malId),
+            title: entry.title || '',
+            subtitle: entry.subtitle || '',
+            description: entry.description || '',
+            image: entry.image || '',
+            genres: AnimeCatalog.unique(rawGenres.map(AnimeCatalog.toSlug)),
+            tags: AnimeCatalog.unique(entry.tags || []),
+            rating: AnimeCatalog.toNumber(entry.rating),
+            episodes: isMovie ? 1 : AnimeCatalog.toNumber(entry.episodes),
+            type: isMovie ? 'movie' : 'series',
+            year: yearStart,
+            yearEnd,
+            status: entry.status || null,
+            difficulty: entry.difficulty || null,
+            studio: entry.studio || null,
+            streamingPlatforms: entry.streamingPlatforms ? [...entry.streamingPlatforms] : [],
+            reasons: entry.reasons ? [...entry.reasons] : [],
+            warning: entry.warning || null,
+            moods: [],
+            sources: [source]
+        };
+    }
+
+    mergeRecords(base, incoming) {
+        const merged = { ...base };
+
+        Object.entries(incoming).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                merged[key] = AnimeCatalog.unique([...(base[key] || []), ...value]);
+            } else if (base[key] === null || base[key] === undefined || base[key] === '') {
+                merged[key] = value;
+            }
+        });
+
+        // A movie in either file is a movie in the catalog
+        if (incoming.type === 'movie') {
+            merged.type = 'movie';
+            merged.episodes = 1;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Map legacy or mismatched ids onto the canonical catalog id
+     */
+    resolveId(id) {
+        return CATALOG_ID_ALIASES[id] || id;
+    }
+
+    getById(id) {
+        if (!id) return null;
+        return this.records.get(this.resolveId(id)) || null;
+    }
+
+    /**
+     * Find a title by its MyAnimeList id
+     */
+    getByMalId(malId) {
+        const id = Number(malId);
+        if (!id) return null;
+        return this.getAll().find(anime => anime.malId === id) || null;
+    }
+
+    /**
+     * Find a title by its English or Japanese name, ignoring case and punctuation
+     */
+    getByTitle(title) {
+        const wanted = AnimeCatalog.toSlug(title || '');
+        if (!wanted) return null;
+        return this.getAll().find(anime => (
+            [anime.title, anime.subtitle, anime.id].some(name => name && AnimeCatalog.toSlug(name) === wanted)
+        )) || null;
+    }
+
+    getByIds(ids) {
+        return ids.map(id => this.getById(id)).filter(Boolean);
+    }
+
+    getAll() {
+        return Array.from(this.records.values());
+    }
+
+    getFeatured() {
+        return this.getByIds(this.featuredIds);
+    }
+
+    /**
+     * Titles listed for a mood, in the order the data files list them
+     */
+    getByMood(mood) {
+        return this.getByIds(this.moodIds.get(mood) || []);
+    }
+
+    getMoods() {
+        return Array.from(this.moodIds.keys());
+    }
+
+    getGenreLabel(slug) {
+        return this.genreLabels.get(slug) || AnimeCatalog.toLabel(slug);
+    }
+
+    getGenreLabels(anime) {
+        return anime.genres.map(slug => this.getGenreLabel(slug));
+    }
+
+    /**
+     * Filter the catalog. Every provided criterion must match.
+     * @param {Object} criteria - { genre, difficulty, mood, type, platform, studio, maxEpisodes, text }
+     * @returns {Array} Matching anime records
+     */
+    query(criteria = {}) {
+        const text = criteria.text ? criteria.text.toLowerCase().trim() : '';
+        const genre = criteria.genre ? AnimeCatalog.toSlug(criteria.genre) : null;
+
+        return this.getAll().filter((anime) => {
+            if (genre && !anime.genres.includes(genre)) return false;
+            if (criteria.difficulty && anime.difficulty !== criteria.difficulty) return false;
+            if (criteria.mood && !anime.moods.includes(criteria.mood)) return false;
+            if (criteria.type && anime.type !== criteria.type) return false;
+            if (criteria.studio && anime.studio !== criteria.studio) return false;
+            if (criteria.platform && !anime.streamingPlatforms.includes(criteria.platform)) return false;
+            if (criteria.maxEpisodes && (anime.episodes === null || anime.episodes > criteria.maxEpisodes)) return false;
+            if (text) {
+                const haystack = [
+                    anime.title,
+                    anime.subtitle,
+                    anime.description,
+                    ...this.getGenreLabels(anime),
+                    ...anime.tags
+                ].join(' ').toLowerCase();
+                if (!haystack.includes(text)) return false;
+            }
+            return true;
+        });
+    }
+
+    static toSlug(value) {
+        return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    static toLabel(slug) {
+        return slug
+            .split('-')
+            .map((word, index) => (index > 0 && ['of', 'and', 'the'].includes(word)) ? word : word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    static toNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Parse 2016, "2016" or "2016-2022" into [start, end]
+     */
+    static parseYearRange(value) {
+        if (value === undefined || value === null || value === '') return [null, null];
+        const [start, end] = String(value).split('-').map(part => parseInt(part, 10));
+        return [Number.isFinite(start) ? start : null, Number.isFinite(end) ? end : null];
+    }
+
+    /**
+     * De-duplicate values, treating strings case-insensitively
+     */
+    static unique(values) {
+        const seen = new Set();
+        return values.filter((value) => {
+            const key = typeof value === 'string' ? value.toLowerCase() : value;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimeCatalog;
+} else {
+    window.AnimeCatalog = AnimeCatalog;
+    window.animeCatalog = new AnimeCatalog(window.startAnimeStorage);
+}
@@ -1,13 +1,62 @@
 /**
  * Component Loading System for StartAnime
- * Handles dynamic loading and injection of HTML components
+ * Handles dynamic loading and injection of HTML components, and the
+ * mount/unmount lifecycle of the behaviour registered for them
  */
 
+// Props and lifecycle hooks from ComponentLoader.define(), shared by every loader
+const COMPONENT_DEFINITIONS = new Map();
+
+// Resolvers for data-source="name:query", from ComponentLoader.defineSource()
+const COMPONENT_SOURCES = new Map();
+
+// data-order values for data-bound regions
+const COMPONENT_ORDERS = {
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+    newest: (a, b) => (b.year || 0) - (a.year || 0),
+    episodes: (a, b) => (a.episodes || Infinity) - (b.episodes || Infinity),
+    title: (a, b) => String(a.title || a.name).localeCompare(String(b.title || b.name))
+};
+
 class ComponentLoader {
     constructor() {
-        this.components = new Map();
-        this.loadedComponents = new Set();
+        // name -> in-flight load, so a batch of cards fetches its template once
+        this.pendingComponents = new Map();
         this.componentCache = new Map();
+        this.templateEngine = new window.TemplateEngine();
+        // element -> { componentName, element, props, mounted, cleanups }
+        this.instances = new Map();
+        this.observer = null;
+    }
+
+    /**
+     * Register props and lifecycle hooks for a component
+     * @param {string} componentName - Component name (components/<name>-template.html)
+     * @param {Object} definition - {
+     *   props: default values for the template,
+     *   onMount(context): attach behaviour; may return a cleanup function,
+     *   onUnmount(context): called before the element is replaced or removed,
+     *   toProps(item, index): template values for an item of a data-bound region,
+     *   selector: for behaviour on markup already in the page, which
+     *   mountAll() mounts on the matching elements (no template needed) }
+     *   context is { element, props, loader, on } where on(target, type,
+     *   handler, options) adds a listener that is removed on unmount
+     */
+    static define(componentName, definition = {}) {
+        COMPONENT_DEFINITIONS.set(componentName, { props: {}, ...definition });
+    }
+
+    static getDefinition(componentName) {
+        return COMPONENT_DEFINITIONS.get(componentName) || null;
+    }
+
+    /**
+     * Register a data source for data-bound regions
+     * @param {string} name - Prefix used in data-source ("catalog" in "catalog:featured")
+     * @param {Function} resolve - async (query, region) => Array of items
+     */
+    static defineSource(name, resolve) {
+        COMPONENT_SOURCES.set(name, resolve);
     }
 
     /**
@@ -20,18 +69,16 @@ class ComponentLoader {
     }
 
     /**
-     * Preload commonly used components
+     * Preload commonly used components, except those the build already
+     * rendered into the page
      */
     async preloadComponents() {
-        const commonComponents = ['header', 'footer', 'anime-card', 'genre-card'];
+        const prerendered = new Set(Array.from(document.querySelectorAll('[data-prerendered]'), element => element.dataset.prerendered));
+        const commonComponents = ['header', 'footer', 'anime-card', 'genre-card'].filter(name => !prerendered.has(name));
         
-        for (const componentName of commonComponents) {
-            try {
-                await this.loadComponent(componentName);
-            } catch (error) {
-                console.warn(`ComponentLoader: Failed to preload ${componentName}:`, error);
-            }
-        }
+        await Promise.all(commonComponents.map(componentName => this.loadComponent(componentName).catch((error) => {
+            console.warn(`ComponentLoader: Failed to preload ${componentName}:`, error);
+        })));
     }
 
     /**
@@ -42,6 +89,14 @@ class ComponentLoader {
             return this.componentCache.get(componentName);
         }
 
+        if (!this.pendingComponents.has(componentName)) {
+            this.pendingComponents.set(componentName, this.fetchComponent(componentName)
+                .finally(() => this.pendingComponents.delete(componentName)));
+        }
+        return this.pendingComponents.get(componentName);
+    }
+
+    async fetchComponent(componentName) {
         try {
             // Try to load template first, then fallback to full HTML
             let response = await fetch(`./components/${componentName}-template.html`);
@@ -57,6 +112,8 @@ class ComponentLoader {
             const componentHTML = this.extractComponentContent(html, componentName);
             
             this.componentCache.set(componentName, componentHTML);
+            this.templateEngine.registerPartial(componentName, componentHTML);
+            await this.loadPartials(componentHTML);
             console.log(`ComponentLoader: Loaded component "${componentName}"`);
             
             return componentHTML;
@@ -139,22 +196,34 @@ class ComponentLoader {
     }
 
     /**
-     * Setup component placeholders in the current page
+     * Setup component placeholders in the current page: one component per
+     * placeholder, or one per item for data-bound regions (data-source)
+     * @param {Document|HTMLElement} root - Where to look (a view the router swapped in)
      */
-    setupComponentPlaceholders() {
+    setupComponentPlaceholders(root = document) {
         // Look for component placeholders
-        const placeholders = document.querySelectorAll('[data-component]');
+        const placeholders = root.querySelectorAll('[data-component]');
         
         placeholders.forEach(async (placeholder) => {
+            if (this.hydrate(placeholder)) return;
+
+            if (placeholder.hasAttribute('data-source')) {
+                await this.renderRegion(placeholder);
+                return;
+            }
+
             const componentName = placeholder.getAttribute('data-component');
             const componentData = placeholder.getAttribute('data-component-data');
             
             try {
                 const componentHTML = await this.loadComponent(componentName);
-                const processedHTML = this.processComponentTemplate(componentHTML, componentData);
+                const props = this.getProps(componentName, componentData);
+                const processedHTML = this.processComponentTemplate(componentHTML, props);
                 
+                this.unmountWithin(placeholder);
                 placeholder.innerHTML = processedHTML;
                 placeholder.classList.add('component-loaded');
+                this.mountComponent(componentName, placeholder, props);
                 
                 // Trigger custom event for component loaded
                 const event = new CustomEvent('componentLoaded', {
@@ -170,22 +239,133 @@ class ComponentLoader {
     }
 
     /**
-     * Process component template with data
+     * Fill a data-bound region with one component per item of its data
+     * source. The region's existing markup stays as the fallback unless
+     * every item renders.
+     * @param {HTMLElement} region - Element with data-component and data-source,
+     *   optionally data-order (rating, newest, episodes, title) and data-limit
+     * @returns {Promise<boolean>} Whether the region was rendered
      */
-    processComponentTemplate(template, dataString) {
-        if (!dataString) return template;
-        
+    async renderRegion(region) {
+        const componentName = region.dataset.component;
+        const source = region.dataset.source;
+
+        if (this.hydrate(region)) return true;
+
         try {
-            const data = JSON.parse(dataString);
-            let processedTemplate = template;
-            
-            // Replace placeholders with data
-            Object.keys(data).forEach(key => {
-                const placeholder = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-                processedTemplate = processedTemplate.replace(placeholder, data[key]);
-            });
-            
-            return processedTemplate;
+            const items = await this.resolveSource(source, region);
+            const elements = await this.createComponents(componentName, items, { keepFailed: true });
+
+            if (items.length === 0 || elements.some(element => !element)) {
+                elements.filter(Boolean).forEach(element => this.unmount(element));
+                return false;
+            }
+
+            // Only the old items: the region itself may be an instance (e.g. featured-anime)
+            Array.from(region.children).forEach(child => this.unmountWithin(child));
+            region.replaceChildren(...elements);
+            region.classList.add('component-loaded');
+
+            document.dispatchEvent(new CustomEvent('componentLoaded', {
+                detail: { componentName, element: region, items }
+            }));
+            return true;
+        } catch (error) {
+            console.error(`ComponentLoader: Failed to render "${source}" into "${componentName}" components:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Mount a placeholder or region that scripts/prerender.js rendered at
+     * build time (data-prerendered) instead of fetching and rendering it
+     * again, and announce it like a freshly rendered one
+     * @returns {boolean} Whether the element was pre-rendered
+     */
+    hydrate(placeholder) {
+        if (!placeholder.hasAttribute('data-prerendered')) return false;
+
+        const componentName = placeholder.dataset.component;
+        if (placeholder.hasAttribute('data-source')) {
+            Array.from(placeholder.children).forEach(element => this.mountComponent(componentName, element, this.getProps(componentName)));
+        } else {
+            this.mountComponent(componentName, placeholder, this.getProps(componentName, placeholder.dataset.componentData));
+        }
+
+        document.dispatchEvent(new CustomEvent('componentLoaded', {
+            detail: { componentName, element: placeholder, prerendered: true }
+        }));
+        return true;
+    }
+
+    /**
+     * Items for a data-source attribute, ordered and limited by the region
+     */
+    async resolveSource(source, region) {
+        const [name, ...query] = String(source).split(':');
+        const resolve = COMPONENT_SOURCES.get(name);
+        if (!resolve) throw new Error(`Unknown data source "${source}"`);
+
+        const items = await resolve(query.join(':'), region);
+        const order = region.dataset.order;
+        const compare = Object.prototype.hasOwnProperty.call(COMPONENT_ORDERS, order) ? COMPONENT_ORDERS[order] : null;
+        const limit = parseInt(region.dataset.limit, 10);
+
+        const ordered = compare ? items.slice().sort(compare) : items;
+        return limit > 0 ? ordered.slice(0, limit) : ordered;
+    }
+
+    /**
+     * Render one component per item, all at once. Items go through the
+     * component's toProps() when it defines one.
+     * @param {Object} options - { keepFailed: keep null in place of items that failed }
+     * @returns {Promise<Array>} Elements in item order
+     */
+    async createComponents(componentName, items, { keepFailed = false } = {}) {
+        const definition = ComponentLoader.getDefinition(componentName);
+        const toProps = definition && definition.toProps ? definition.toProps : item => item;
+
+        const elements = await Promise.all(items.map((item, index) => this.createComponent(componentName, toProps(item, index))));
+        return keepFailed ? elements : elements.filter(Boolean);
+    }
+
+    /**
+     * Load the components a template includes with {{> name}}
+     */
+    async loadPartials(template) {
+        const missing = this.templateEngine.getPartialNames(template)
+            .filter(name => !this.templateEngine.hasPartial(name));
+        await Promise.all(missing.map(name => this.loadComponent(name)));
+    }
+
+    /**
+     * Template values: the component's default props overridden by the data
+     * @param {Object|string} data - Values, or a JSON string from data-component-data
+     */
+    getProps(componentName, data) {
+        let values = data;
+        if (typeof data === 'string') {
+            try {
+                values = JSON.parse(data);
+            } catch (error) {
+                console.warn(`ComponentLoader: Invalid data for component "${componentName}":`, error);
+                values = {};
+            }
+        }
+
+        const definition = ComponentLoader.getDefinition(componentName);
+        return { ...(definition ? definition.props : {}), ...(values || {}) };
+    }
+
+    /**
+     * Render a component template with data (see docs/component-guide.md)
+     * @param {string} template - Component markup
+     * @param {Object|string} data - Values, or a JSON string from data-component-data
+     */
+    processComponentTemplate(template, data) {
+        try {
+            const values = typeof data === 'string' ? JSON.parse(data) : data;
+            return this.templateEngine.render(template, values || {});
         } catch (error) {
             console.warn('ComponentLoader: Failed to process component data:', error);
             return template;
@@ -198,10 +378,13 @@ class ComponentLoader {
     async injectComponent(componentName, targetElement, data = null) {
         try {
             const componentHTML = await this.loadComponent(componentName);
-            const processedHTML = this.processComponentTemplate(componentHTML, data ? JSON.stringify(data) : null);
+            const props = this.getProps(componentName, data);
+            const processedHTML = this.processComponentTemplate(componentHTML, props);
             
+            this.unmountWithin(targetElement);
             targetElement.innerHTML = processedHTML;
             targetElement.classList.add('component-loaded');
+            this.mountComponent(componentName, targetElement, props);
             
             // Trigger custom event
             const event = new CustomEvent('componentInjected', {
@@ -217,17 +400,21 @@ class ComponentLoader {
     }
 
     /**
-     * Create a component instance with data
+     * Create a component instance with data. It mounts once the returned
+     * element is added to the page.
      */
     async createComponent(componentName, data = null) {
         try {
             const componentHTML = await this.loadComponent(componentName);
-            const processedHTML = this.processComponentTemplate(componentHTML, data ? JSON.stringify(data) : null);
+            const props = this.getProps(componentName, data);
+            const processedHTML = this.processComponentTemplate(componentHTML, props);
             
             const tempDiv = document.createElement('div');
             tempDiv.innerHTML = processedHTML;
             
-            return tempDiv.firstElementChild;
+            const element = tempDiv.firstElementChild;
+            if (element) this.mountComponent(componentName, element, props);
+            return element;
         } catch (error) {
             console.error(`ComponentLoader: Failed to create component "${componentName}":`, error);
             return null;
@@ -235,26 +422,35 @@ class ComponentLoader {
     }
 
     /**
-     * Replace existing navigation with component-based navigation
+     * Replace existing navigation with component-based navigation, or mount
+     * the navigation the build already rendered
+     * @returns {Promise<boolean>} Whether the navigation is the component's
      */
     async replaceNavigation() {
         const existingNav = document.querySelector('.navbar');
-        if (!existingNav) return;
+        if (!existingNav) return false;
+
+        if (existingNav.hasAttribute('data-prerendered')) {
+            this.mountComponent('header', existingNav);
+            return true;
+        }
         
         try {
             const headerComponent = await this.loadComponent('header');
             const headerNav = this.extractNavigationFromHeader(headerComponent);
             
             if (headerNav) {
+                // Drops the listeners of any navigation mounted here before
+                this.unmountWithin(existingNav);
                 existingNav.innerHTML = headerNav;
                 existingNav.classList.add('component-loaded');
-                
-                // Reinitialize navigation functionality
-                this.initializeNavigationAfterLoad();
+                this.mountComponent('header', existingNav);
+                return true;
             }
         } catch (error) {
             console.error('ComponentLoader: Failed to replace navigation:', error);
         }
+        return false;
     }
 
     /**
@@ -273,48 +469,34 @@ class ComponentLoader {
     }
 
     /**
-     * Initialize navigation functionality after component load
-     */
-    initializeNavigationAfterLoad() {
-        // Re-setup active navigation
-        const navLinks = document.querySelectorAll('.nav-link, .header__nav-link');
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                navLinks.forEach(l => l.classList.remove('active'));
-                link.classList.add('active');
-            });
-        });
-
-        // Setup mobile menu
-        const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
-        const navMenu = document.querySelector('.nav-links, .header__nav');
-        
-        if (mobileMenuBtn && navMenu) {
-            mobileMenuBtn.addEventListener('click', () => {
-                navMenu.classList.toggle('open');
-                mobileMenuBtn.classList.toggle('active');
-            });
-        }
-    }
-
-    /**
-     * Replace existing footer with component-based footer
+     * Replace existing footer with component-based footer, or mount the
+     * footer the build already rendered
+     * @returns {Promise<boolean>} Whether the footer is the component's
      */
     async replaceFooter() {
         const existingFooter = document.querySelector('.footer');
-        if (!existingFooter) return;
+        if (!existingFooter) return false;
+
+        if (existingFooter.hasAttribute('data-prerendered')) {
+            this.mountComponent('footer', existingFooter);
+            return true;
+        }
         
         try {
             const footerComponent = await this.loadComponent('footer');
             const footerContent = this.extractFooterContent(footerComponent);
             
             if (footerContent) {
+                this.unmountWithin(existingFooter);
                 existingFooter.innerHTML = footerContent;
                 existingFooter.classList.add('component-loaded');
+                this.mountComponent('footer', existingFooter);
+                return true;
             }
         } catch (error) {
             console.error('ComponentLoader: Failed to replace footer:', error);
         }
+        return false;
     }
 
     /**
@@ -335,47 +517,155 @@ class ComponentLoader {
      * Create anime cards from component template
      */
     async createAnimeCards(animeData) {
-        const cards = [];
-        
-        for (const anime of animeData) {
-            const card = await this.createComponent('anime-card', {
-                title: anime.title,
-                image: anime.image,
-                description: anime.description,
-                rating: anime.rating,
-                genres: anime.genres.join(', '),
-                episodes: anime.episodes,
-                year: anime.year
-            });
-            
-            if (card) {
-                cards.push(card);
-            }
-        }
-        
-        return cards;
+        return this.createComponents('anime-card', animeData);
     }
 
     /**
      * Create genre cards from component template
      */
     async createGenreCards(genreData) {
-        const cards = [];
-        
-        for (const genre of genreData) {
-            const card = await this.createComponent('genre-card', {
-                name: genre.name,
-                description: genre.description,
-                icon: genre.icon,
-                examples: genre.examples.join(', ')
-            });
-            
-            if (card) {
-                cards.push(card);
+        return this.createComponents('genre-card', genreData);
+    }
+
+    /**
+     * Register an element as an instance of a component. Its onMount runs
+     * now if the element is in the page, otherwise once it is inserted;
+     * removing the element from the page unmounts it.
+     * @returns {Object} The instance
+     */
+    mountComponent(componentName, element, props = {}) {
+        this.unmount(element);
+
+        const instance = { componentName, element, props, mounted: false, cleanups: [], context: null };
+        this.instances.set(element, instance);
+        this.observeInstances();
+
+        if (element.isConnected) this.mount(instance);
+        return instance;
+    }
+
+    mount(instance) {
+        const { componentName, element, props } = instance;
+        const definition = ComponentLoader.getDefinition(componentName);
+
+        instance.mounted = true;
+        instance.context = {
+            element,
+            props,
+            loader: this,
+            on: (target, type, handler, options) => {
+                // Behaviour that finishes loading after the element left the page adds nothing
+                if (!instance.mounted) return;
+                target.addEventListener(type, handler, options);
+                instance.cleanups.push(() => target.removeEventListener(type, handler, options));
+            }
+        };
+
+        if (definition && definition.onMount) {
+            try {
+                const cleanup = definition.onMount(instance.context);
+                if (typeof cleanup === 'function') instance.cleanups.push(cleanup);
+            } catch (error) {
+                console.error(`ComponentLoader: onMount failed for "${componentName}":`, error);
             }
         }
-        
-        return cards;
+
+        document.dispatchEvent(new CustomEvent('componentMounted', {
+            detail: { componentName, element, props }
+        }));
+    }
+
+    /**
+     * Mount the components defined with a selector on the matching
+     * elements in (or at) root that aren't instances yet
+     * @returns {Array} The new instances
+     */
+    mountAll(root = document) {
+        const instances = [];
+        COMPONENT_DEFINITIONS.forEach((definition, componentName) => {
+            if (!definition.selector) return;
+
+            const elements = Array.from(root.querySelectorAll(definition.selector));
+            if (root.matches && root.matches(definition.selector)) elements.unshift(root);
+            elements
+                .filter(element => !this.instances.has(element))
+                .forEach(element => instances.push(this.mountComponent(componentName, element)));
+        });
+        return instances;
+    }
+
+    /**
+     * Run an element's unmount hooks and listener cleanups and forget it
+     * @returns {boolean} Whether the element was a component instance
+     */
+    unmount(element) {
+        const instance = this.instances.get(element);
+        if (!instance) return false;
+
+        this.instances.delete(element);
+        if (!instance.mounted) return true;
+
+        const { componentName, props } = instance;
+        const definition = ComponentLoader.getDefinition(componentName);
+        instance.mounted = false;
+        try {
+            if (definition && definition.onUnmount) definition.onUnmount(instance.context);
+            instance.cleanups.reverse().forEach(cleanup => cleanup());
+        } catch (error) {
+            console.error(`ComponentLoader: onUnmount failed for "${componentName}":`, error);
+        }
+
+        document.dispatchEvent(new CustomEvent('componentUnmounted', {
+            detail: { componentName, element, props }
+        }));
+        return true;
+    }
+
+    /**
+     * Unmount every instance inside (or on) an element about to be replaced
+     */
+    unmountWithin(root) {
+        Array.from(this.instances.keys())
+            .filter(element => root === element || root.contains(element))
+            .forEach(element => this.unmount(element));
+    }
+
+    getInstance(element) {
+        return this.instances.get(element) || null;
+    }
+
+    getInstances(componentName) {
+        return Array.from(this.instances.values()).filter(instance => instance.componentName === componentName);
+    }
+
+    /**
+     * Mount instances when they are added to the page and unmount them
+     * when they leave it
+     */
+    observeInstances() {
+        if (this.observer || typeof MutationObserver === 'undefined') return;
+
+        this.observer = new MutationObserver(() => {
+            this.instances.forEach((instance, element) => {
+                if (!instance.mounted && element.isConnected) {
+                    this.mount(instance);
+                } else if (instance.mounted && !element.isConnected) {
+                    this.unmount(element);
+                }
+            });
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    /**
+     * Unmount every instance and stop watching the page
+     */
+    destroy() {
+        Array.from(this.instances.keys()).forEach(element => this.unmount(element));
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
     }
 
     /**
@@ -383,6 +673,7 @@ class ComponentLoader {
      */
     clearCache() {
         this.componentCache.clear();
+        this.templateEngine.clearCache();
         console.log('ComponentLoader: Cache cleared');
     }
 
@@ -392,11 +683,79 @@ class ComponentLoader {
     getCacheStats() {
         return {
             cachedComponents: this.componentCache.size,
-            loadedComponents: this.loadedComponents.size
+            componentInstances: this.instances.size
         };
     }
 }
 
+// Navigation swapped in by replaceNavigation(): active link and menu toggle
+ComponentLoader.define('header', {
+    onMount({ element, on }) {
+        const navLinks = element.querySelectorAll('.nav-link, .header__nav-link');
+        navLinks.forEach((link) => {
+            on(link, 'click', () => {
+                navLinks.forEach(other => other.classList.remove('active'));
+                link.classList.add('active');
+            });
+        });
+
+        const menuButton = element.querySelector('.mobile-menu-btn, .header__menu-toggle');
+        const navMenu = element.querySelector('.nav-links, .header__nav');
+        if (menuButton && navMenu) {
+            on(menuButton, 'click', () => {
+                navMenu.classList.toggle('open');
+                menuButton.classList.toggle('active');
+            });
+        }
+    }
+});
+
+// Catalog records as cards, optionally linking to an href. The template
+// only HTML-escapes, so script URLs (javascript: etc.) are dropped here.
+ComponentLoader.define('anime-card', {
+    toProps: anime => ({
+        id: anime.id,
+        title: anime.title,
+        image: window.ValidationUtils.sanitizeURL(anime.image),
+        description: anime.description,
+        rating: anime.rating,
+        genres: (window.animeCatalog ? window.animeCatalog.getGenreLabels(anime) : anime.genres).slice(0, 3),
+        episodes: anime.episodes,
+        year: anime.year,
+        href: anime.href ? window.ValidationUtils.sanitizeURL(anime.href) : null
+    })
+});
+
+ComponentLoader.define('genre-card', {
+    toProps: genre => ({
+        name: genre.name,
+        description: genre.description,
+        icon: genre.icon,
+        // GenreLibrary examples are { title, reason }
+        examples: (genre.examples || []).map(example => (typeof example === 'string' ? example : example.title))
+    })
+});
+
+// data-source="catalog:featured", "catalog:all" or catalog.query()
+// criteria as a query string ("catalog:genre=isekai&difficulty=beginner")
+ComponentLoader.defineSource('catalog', async (query) => {
+    const catalog = window.animeCatalog;
+    await catalog.load();
+
+    if (query === 'featured') return catalog.getFeatured();
+    if (query === 'all' || query === '') return catalog.getAll();
+    return catalog.query(Object.fromEntries(new URLSearchParams(query)));
+});
+
+// data-source="genres:all" (or a genre id) from data/genres.json
+ComponentLoader.defineSource('genres', async (query) => {
+    const library = window.genreLibrary;
+    await library.load();
+
+    if (query === 'all' || query === '') return library.getAll();
+    return [library.get(query)].filter(Boolean);
+});
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ComponentLoader;
@@ -0,0 +1,69 @@
+/**
+ * StartAnime - Featured Anime
+ * Homepage "Top 5 Starter Anime". The grid is a data-bound component region
+ * (data-source="catalog:featured") that ComponentLoader renders; this adds
+ * the rank badges and opens the detail view. The markup already in the grid
+ * stays as the fallback when scripts or the data files are unavailable.
+ */
+
+class FeaturedAnime {
+    /**
+     * @param {HTMLElement} container - The featured region
+     * @param {Object} options - { on: adds the document listener (the component context's on()) }
+     */
+    constructor(container, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.container = container;
+        this.on = on;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.on(document, 'componentLoaded', (e) => {
+            if (e.detail.element === this.container) this.decorateCards();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const card = e.target.closest('.anime-card[data-anime-id]');
+            if (card && window.animeDetailView) {
+                window.animeDetailView.open(card.dataset.animeId, { trigger: card.querySelector('.anime-card-btn') || card });
+            }
+        });
+    }
+
+    /**
+     * Ranks and accessible buttons for the rendered cards
+     */
+    decorateCards() {
+        this.container.querySelectorAll('.anime-card').forEach((card, index) => {
+            card.classList.add('hover-lift');
+            // componentLoaded fires again on every render and hydration; rank each card once
+            const image = card.querySelector('.anime-card-image');
+            if (!image.querySelector('.anime-card-rank')) {
+                image.insertAdjacentHTML('afterbegin', '<span class="anime-card-rank" aria-hidden="true"></span>');
+            }
+            image.querySelector('.anime-card-rank').textContent = index + 1;
+
+            const button = card.querySelector('.anime-card-btn');
+            if (button) {
+                button.type = 'button';
+                button.setAttribute('aria-haspopup', 'dialog');
+                button.setAttribute('aria-label', `Learn more about ${card.querySelector('.anime-card-title').textContent}`);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeaturedAnime;
+} else {
+    window.FeaturedAnime = FeaturedAnime;
+
+    // Mounted by StartAnime on page load and when the router shows the homepage
+    window.ComponentLoader.define('featured-anime', {
+        selector: '.featured-anime',
+        onMount({ element, on }) {
+            window.featuredAnime = new FeaturedAnime(element, { on });
+        }
+    });
+}
@@ -0,0 +1,332 @@
+/**
+ * StartAnime - Result Filters
+ * Faceted filtering (genre, difficulty, length, decade, studio, type,
+ * platform) with live counts, kept in sync with the page URL
+ */
+
+// Episode-count buckets, shortest first
+const EPISODE_BUCKETS = [
+    { value: '1-13', label: 'Up to 13 eps', max: 13 },
+    { value: '14-26', label: '14–26 eps', max: 26 },
+    { value: '27-64', label: '27–64 eps', max: 64 },
+    { value: '65-plus', label: '65+ eps', max: Infinity }
+];
+
+const FILTER_DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Facets in display order. `param` is the query-string key; `values`
+ * returns the facet values an anime has; `order` sorts the options:
+ * 'count' (most results first), 'alpha', 'desc' or a fixed list.
+ */
+const FILTER_FACETS = [
+    {
+        id: 'genre',
+        label: 'Genre',
+        param: 'genre',
+        order: 'count',
+        values: anime => anime.genres,
+        valueLabel: (value, catalog) => catalog.getGenreLabel(value)
+    },
+    {
+        id: 'difficulty',
+        label: 'Experience level',
+        param: 'difficulty',
+        order: FILTER_DIFFICULTY_ORDER,
+        values: anime => (anime.difficulty ? [anime.difficulty] : []),
+        valueLabel: value => value.charAt(0).toUpperCase() + value.slice(1)
+    },
+    {
+        id: 'episodes',
+        label: 'Length',
+        param: 'episodes',
+        order: EPISODE_BUCKETS.map(bucket => bucket.value),
+        values: (anime) => {
+            if (!anime.episodes) return [];
+            return [EPISODE_BUCKETS.find(bucket => anime.episodes <= bucket.max).value];
+        },
+        valueLabel: value => (EPISODE_BUCKETS.find(bucket => bucket.value === value) || {}).label || value
+    },
+    {
+        id: 'decade',
+        label: 'Decade',
+        param: 'decade',
+        order: 'desc',
+        values: anime => (anime.year ? [`${Math.floor(anime.year / 10) * 10}s`] : []),
+        valueLabel: value => value
+    },
+    {
+        id: 'studio',
+        label: 'Studio',
+        param: 'studio',
+        order: 'alpha',
+        // Co-productions are stored as "MAPPA/WIT Studio"
+        values: anime => (anime.studio ? anime.studio.split('/').map(studio => studio.trim()).filter(Boolean) : []),
+        valueLabel: value => value
+    },
+    {
+        id: 'type',
+        label: 'Type',
+        param: 'type',
+        order: ['series', 'movie'],
+        values: anime => [anime.type],
+        valueLabel: value => (value === 'movie' ? 'Movie' : 'Series')
+    },
+    {
+        id: 'platform',
+        label: 'Streaming on',
+        param: 'platform',
+        order: 'alpha',
+        values: anime => anime.streamingPlatforms,
+        valueLabel: value => value
+    }
+];
+
+class AnimeFilters {
+    /**
+     * @param {AnimeCatalog} catalog - Used for genre labels
+     */
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.facets = FILTER_FACETS;
+        // facet id -> Set of selected values
+        this.selected = new Map(this.facets.map(facet => [facet.id, new Set()]));
+    }
+
+    isSelected(facetId, value) {
+        return this.selected.has(facetId) && this.selected.get(facetId).has(value);
+    }
+
+    isActive() {
+        return this.getActiveCount() > 0;
+    }
+
+    getActiveCount() {
+        return Array.from(this.selected.values()).reduce((total, values) => total + values.size, 0);
+    }
+
+    /**
+     * Select or deselect one facet value
+     */
+    toggle(facetId, value, selected = !this.isSelected(facetId, value)) {
+        const values = this.selected.get(facetId);
+        if (!values) return;
+
+        if (selected) {
+            values.add(value);
+        } else {
+            values.delete(value);
+        }
+        this.emit();
+    }
+
+    clear(facetId = null) {
+        this.selected.forEach((values, id) => {
+            if (!facetId || id === facetId) values.clear();
+        });
+        this.emit();
+    }
+
+    /**
+     * Values are OR-ed within a facet and AND-ed across facets
+     * @param {Object} anime - Catalog record
+     * @param {string} ignoreFacet - Facet to leave out (used for counts)
+     */
+    matches(anime, ignoreFacet = null) {
+        return this.facets.every((facet) => {
+            const wanted = this.selected.get(facet.id);
+            if (facet.id === ignoreFacet || wanted.size === 0) return true;
+            return facet.values(anime).some(value => wanted.has(value));
+        });
+    }
+
+    apply(animeList) {
+        return animeList.filter(anime => this.matches(anime));
+    }
+
+    /**
+     * Options for every facet with the number of results each would give
+     * @param {Array} animeList - Unfiltered results
+     * @returns {Array} [{ facet, options: [{ value, label, count, selected }] }]
+     */
+    getCounts(animeList) {
+        return this.facets.map((facet) => {
+            const counts = new Map();
+            animeList.forEach((anime) => {
+                // Count against the other facets so options within a facet stay combinable
+                const matchesOthers = this.matches(anime, facet.id);
+                facet.values(anime).forEach((value) => {
+                    if (!counts.has(value)) counts.set(value, 0);
+                    if (matchesOthers) counts.set(value, counts.get(value) + 1);
+                });
+            });
+            // Keep selected values visible so they can still be cleared
+            this.selected.get(facet.id).forEach((value) => {
+                if (!counts.has(value)) counts.set(value, 0);
+            });
+
+            const options = Array.from(counts.entries()).map(([value, count]) => ({
+                value,
+                label: facet.valueLabel(value, this.catalog),
+                count,
+                selected: this.isSelected(facet.id, value)
+            }));
+
+            return { facet, options: this.sortOptions(options, facet.order) };
+        });
+    }
+
+    sortOptions(options, order) {
+        if (Array.isArray(order)) {
+            const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+            return options.sort((a, b) => rank(a.value) - rank(b.value));
+        }
+        if (order === 'desc') return options.sort((a, b) => b.value.localeCompare(a.value));
+        if (order === 'alpha') return options.sort((a, b) => a.label.localeCompare(b.label));
+        return options.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Selection as query-string parameters, one entry per value
+     */
+    toParams(params = new URLSearchParams()) {
+        this.facets.forEach((facet) => {
+            params.delete(facet.param);
+            this.selected.get(facet.id).forEach(value => params.append(facet.param, value));
+        });
+        return params;
+    }
+
+    fromParams(params) {
+        this.facets.forEach((facet) => {
+            this.selected.set(facet.id, new Set(params.getAll(facet.param).filter(Boolean)));
+        });
+        return this;
+    }
+
+    readFromURL() {
+        return this.fromParams(new URLSearchParams(window.location.search));
+    }
+
+    /**
+     * Reflect the selection in the address bar, leaving other parameters
+     * alone. Each change is its own history entry so Back undoes it.
+     */
+    writeToURL() {
+        const url = new URL(window.location.href);
+        this.toParams(url.searchParams);
+        if (url.href !== window.location.href) {
+            history.pushState(null, '', url);
+        }
+    }
+
+    emit() {
+        this.writeToURL();
+        document.dispatchEvent(new CustomEvent('filtersChanged', { detail: { filters: this } }));
+    }
+}
+
+class FilterPanel {
+    /**
+     * Checkbox list per facet. Pages announce their unfiltered results
+     * with a `resultsUpdated` event ({ anime: [...] }) and the panel
+     * re-renders its counts from them; an empty list hides the panel.
+     * @param {HTMLElement} container - .filter-panel element
+     * @param {AnimeFilters} filters - Shared filter state
+     * @param {Object} options - { on: adds the document listeners (the component context's on()) }
+     */
+    constructor(container, filters, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.container = container;
+        this.filters = filters;
+        this.on = on;
+        this.results = [];
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-facet]');
+            if (input) this.filters.toggle(input.dataset.facet, input.value, input.checked);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-clear-filters]')) this.filters.clear();
+        });
+
+        this.on(document, 'resultsUpdated', (e) => {
+            this.results = e.detail.anime || [];
+            this.render();
+        });
+        this.on(document, 'filtersChanged', () => this.render());
+    }
+
+    render() {
+        this.container.hidden = this.results.length === 0;
+        if (this.container.hidden) return;
+
+        // Re-rendering replaces the checkbox that had focus
+        const focused = this.container.contains(document.activeElement) ? document.activeElement : null;
+        const focusFacet = focused && focused.dataset.facet;
+        const focusValue = focused && focused.value;
+
+        const groups = this.filters.getCounts(this.results).filter(group => group.options.length > 0);
+        const activeCount = this.filters.getActiveCount();
+
+        this.container.innerHTML = window.SafeHTML.html`
+            <div class="filter-panel-header">
+                <h2 class="filter-panel-title">Filter results</h2>
+                <button type="button" class="filter-clear-btn" data-clear-filters ${activeCount === 0 ? 'hidden' : ''}>
+                    Clear filters (${activeCount})
+                </button>
+            </div>
+            <div class="filter-groups">
+                ${groups.map(group => this.createGroupHTML(group))}
+            </div>
+        `;
+
+        if (focusFacet) {
+            const input = Array.from(this.container.querySelectorAll('input[data-facet]'))
+                .find(option => option.dataset.facet === focusFacet && option.value === focusValue);
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Option labels come from the catalog, so every value is escaped
+     * @returns {SafeHTML}
+     */
+    createGroupHTML({ facet, options }) {
+        const { html } = window.SafeHTML;
+
+        return html`
+            <fieldset class="filter-group">
+                <legend class="filter-group-title">${facet.label}</legend>
+                ${options.map(option => html`
+                    <label class="filter-option ${option.count === 0 && !option.selected ? 'is-empty' : ''}">
+                        <input type="checkbox" data-facet="${facet.id}" value="${option.value}"
+                            ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                        <span class="filter-option-label">${option.label}</span>
+                        <span class="filter-option-count" aria-label="${option.count} results">${option.count}</span>
+                    </label>
+                `)}
+            </fieldset>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnimeFilters, FilterPanel, FILTER_FACETS };
+} else {
+    window.AnimeFilters = AnimeFilters;
+    window.FilterPanel = FilterPanel;
+    window.animeFilters = new AnimeFilters(window.animeCatalog);
+
+    // Pages announce their results with a resultsUpdated event
+    window.ComponentLoader.define('filter-panel', {
+        selector: '.filter-panel',
+        onMount({ element, on }) {
+            window.filterPanel = new FilterPanel(element, window.animeFilters.readFromURL(), { on });
+        }
+    });
+}
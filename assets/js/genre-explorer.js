@@ -0,0 +1,310 @@
+/**
+ * StartAnime - Genre Explorer
+ * Every genre from genres.json rendered through the component system,
+ * with the selected genre's guide and its catalog titles (filterable)
+ */
+
+class GenreDetail {
+    /**
+     * Guide for one genre: characteristics, who it's for and example
+     * titles linked to their catalog entry
+     * @param {GenreLibrary} library - Genre guides linked to the catalog
+     */
+    constructor(library) {
+        this.library = library;
+    }
+
+    /**
+     * Guide text comes from genres.json, so every value is escaped
+     * @param {Object} genre - Genre from the library
+     * @param {Object} options - { level: heading level of the genre name,
+     *   titles: catalog titles to list under the guide }
+     * @returns {SafeHTML}
+     */
+    createHTML(genre, { level = 2, titles = null } = {}) {
+        const { html } = window.SafeHTML;
+        const examples = this.library.getExamples(genre.id);
+        const sub = `h${level + 1}`;
+
+        return html`
+            <div class="genre-detail-header" style="--genre-color: ${genre.color}">
+                <span class="genre-detail-icon" aria-hidden="true">${genre.icon}</span>
+                <div>
+                    <h${level} class="genre-detail-title" tabindex="-1">${genre.name}</h${level}>
+                    <p class="genre-detail-description">${genre.description}</p>
+                </div>
+            </div>
+            ${genre.watch_if ? html`<p class="genre-detail-watch-if"><strong>Watch if:</strong> ${genre.watch_if}</p>` : ''}
+            <div class="genre-detail-columns">
+                <div class="genre-detail-block">
+                    <${sub}>What to expect</${sub}>
+                    <ul>${genre.characteristics.map(item => html`<li>${item}</li>`)}</ul>
+                </div>
+                <div class="genre-detail-block">
+                    <${sub}>Perfect for</${sub}>
+                    <ul>${genre.perfect_for.map(item => html`<li>${item}</li>`)}</ul>
+                </div>
+                <div class="genre-detail-block">
+                    <${sub}>Start with</${sub}>
+                    <ul class="genre-detail-examples">
+                        ${examples.map(example => html`
+                            <li>
+                                ${example.anime
+        ? html`<a href="?anime=${encodeURIComponent(example.anime.id)}#${encodeURIComponent(genre.id)}" data-detail-id="${example.anime.id}">${example.title}</a>`
+        : html`<span>${example.title}</span>`}
+                                <span class="genre-detail-reason">${example.reason}</span>
+                            </li>
+                        `)}
+                    </ul>
+                </div>
+            </div>
+            ${titles ? this.createTitlesHTML(genre, titles, sub) : ''}
+        `;
+    }
+
+    createTitlesHTML(genre, titles, heading) {
+        const { html, url } = window.SafeHTML;
+
+        return html`
+            <div class="genre-detail-titles">
+                <${heading}>${genre.name} in our catalog</${heading}>
+                ${titles.length > 0 ? html`
+                <ul class="genre-detail-title-list">
+                    ${titles.map(anime => html`
+                        <li>
+                            <button type="button" class="genre-detail-anime" data-detail-id="${anime.id}">
+                                <img src="${url(anime.image)}" alt="" loading="lazy">
+                                <span>${anime.title}</span>
+                            </button>
+                        </li>
+                    `)}
+                </ul>` : html`<p>No titles in our catalog yet.</p>`}
+                <a href="genres.html#${encodeURIComponent(genre.id)}" class="btn-outline">Explore ${genre.name}</a>
+            </div>
+        `;
+    }
+}
+
+class GenreExplorer {
+    /**
+     * @param {HTMLElement} container - .genre-explorer element
+     * @param {GenreLibrary} library - Genre guides linked to the catalog
+     * @param {AnimeFilters} filters - Shared filter state for the title list
+     * @param {Object} options - { on: adds the window/document listeners (the component context's on()) }
+     */
+    constructor(container, library, filters, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.container = container;
+        this.on = on;
+        this.library = library;
+        this.filters = filters;
+        this.detailView = new GenreDetail(library);
+        this.componentLoader = new window.ComponentLoader();
+        this.grid = container.querySelector('.genre-explorer-grid');
+        this.detail = container.querySelector('.genre-detail');
+        this.titlesSection = container.querySelector('.genre-titles');
+        this.titlesGrid = container.querySelector('.genre-titles-grid');
+        this.status = container.querySelector('.genre-titles-status');
+        this.currentId = null;
+        this.filterKey = '';
+        this.renderToken = 0;
+        this.init();
+    }
+
+    async init() {
+        try {
+            await this.library.load();
+        } catch (error) {
+            console.error('GenreExplorer: Could not load genres:', error);
+            this.grid.innerHTML = '<p class="genre-explorer-error">Genres could not be loaded. Please try again later.</p>';
+            return;
+        }
+
+        this.filters.readFromURL();
+        this.filterKey = this.getFilterKey();
+        await this.renderGenres();
+        this.bindEvents();
+        this.selectFromHash({ focus: false });
+    }
+
+    bindEvents() {
+        this.grid.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-genre-id]');
+            if (card) this.select(card.dataset.genreId);
+        });
+
+        this.grid.addEventListener('keydown', (e) => {
+            const card = e.target.closest('[data-genre-id]');
+            if (card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.select(card.dataset.genreId);
+            }
+        });
+
+        this.detail.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-detail-id]');
+            if (link && window.animeDetailView) {
+                e.preventDefault();
+                window.animeDetailView.open(link.dataset.detailId, { trigger: link });
+            }
+        });
+
+        this.titlesSection.addEventListener('click', (e) => {
+            if (e.target.closest('[data-clear-filters]')) {
+                this.filters.clear();
+                return;
+            }
+
+            const card = e.target.closest('.anime-card');
+            if (card && window.animeDetailView) {
+                window.animeDetailView.open(card.dataset.animeId, { trigger: card });
+            }
+        });
+
+        this.on(window, 'hashchange', () => this.selectFromHash());
+
+        // Back/forward across filter changes; opening a title's details
+        // (?anime=) leaves the list alone
+        this.on(window, 'popstate', () => {
+            if (this.getFilterKey() === this.filterKey) return;
+            this.filters.readFromURL();
+            this.filterKey = this.getFilterKey();
+            this.announceResults();
+            this.renderTitles();
+        });
+
+        this.on(document, 'filtersChanged', () => {
+            this.filterKey = this.getFilterKey();
+            this.renderTitles();
+        });
+    }
+
+    /**
+     * The part of the query string the filter panel owns
+     */
+    getFilterKey() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('anime');
+        params.sort();
+        return params.toString();
+    }
+
+    /**
+     * The selected genre lives in the hash (genres.html#isekai) because
+     * ?genre= belongs to the filter panel
+     */
+    selectFromHash({ focus = true } = {}) {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        const genreId = this.library.get(id) ? id : null;
+        if (genreId !== this.currentId || !this.detail.innerHTML.trim()) this.show(genreId, { focus });
+    }
+
+    select(id) {
+        if (id === this.currentId) {
+            this.detail.querySelector('.genre-detail-title').focus();
+            return;
+        }
+        // hashchange takes it from here
+        window.location.hash = id;
+    }
+
+    show(id, { focus = true } = {}) {
+        this.currentId = id;
+        this.grid.querySelectorAll('[data-genre-id]').forEach((card) => {
+            const selected = card.dataset.genreId === id;
+            card.classList.toggle('is-selected', selected);
+            card.setAttribute('aria-pressed', String(selected));
+        });
+
+        const genre = id ? this.library.get(id) : null;
+        this.detail.hidden = !genre;
+        this.titlesSection.hidden = !genre;
+        this.announceResults();
+        if (!genre) return;
+
+        this.detail.innerHTML = this.detailView.createHTML(genre);
+        this.renderTitles();
+        if (focus) this.detail.querySelector('.genre-detail-title').focus();
+    }
+
+    /**
+     * Hand the genre's unfiltered titles to the filter panel
+     */
+    announceResults() {
+        const anime = this.currentId ? this.library.getTitles(this.currentId) : [];
+        document.dispatchEvent(new CustomEvent('resultsUpdated', { detail: { anime } }));
+    }
+
+    async renderGenres() {
+        const cards = await Promise.all(this.library.getAll().map(genre => this.componentLoader.createComponent('genre-card', {
+            name: genre.name,
+            icon: genre.icon,
+            description: genre.description,
+            examples: genre.examples.map(example => example.title)
+        }).then((card) => {
+            if (!card) return null;
+            card.dataset.genreId = genre.id;
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-pressed', 'false');
+            card.style.setProperty('--genre-color', genre.color);
+            return card;
+        })));
+
+        this.grid.innerHTML = '';
+        cards.filter(Boolean).forEach(card => this.grid.appendChild(card));
+    }
+
+    /**
+     * Catalog titles in the current genre after the filter panel
+     */
+    async renderTitles() {
+        if (!this.currentId) return;
+
+        const token = ++this.renderToken;
+        const titles = this.library.getTitles(this.currentId);
+        const visible = this.filters.apply(titles);
+        const cards = await Promise.all(visible.map(anime => this.componentLoader.createComponent('anime-card', {
+            id: anime.id,
+            image: anime.image,
+            title: anime.title,
+            rating: anime.rating,
+            description: anime.description,
+            genres: this.library.catalog.getGenreLabels(anime),
+            episodes: anime.episodes
+        })));
+        // A newer render started while the template loaded
+        if (token !== this.renderToken) return;
+
+        const genre = this.library.get(this.currentId);
+        this.status.textContent = visible.length === titles.length
+            ? `${titles.length} ${genre.name} ${titles.length === 1 ? 'title' : 'titles'} in our catalog`
+            : `Showing ${visible.length} of ${titles.length} ${genre.name} titles`;
+
+        this.titlesGrid.innerHTML = '';
+        if (visible.length === 0) {
+            this.titlesGrid.innerHTML = window.SafeHTML.html`
+                <div class="genre-titles-empty">
+                    <p>No ${genre.name} titles match these filters.</p>
+                    <button type="button" class="btn-secondary" data-clear-filters>Clear filters</button>
+                </div>
+            `;
+            return;
+        }
+        cards.filter(Boolean).forEach(card => this.titlesGrid.appendChild(card));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GenreDetail, GenreExplorer };
+} else {
+    window.GenreDetail = GenreDetail;
+    window.GenreExplorer = GenreExplorer;
+
+    window.ComponentLoader.define('genre-explorer', {
+        selector: '.genre-explorer',
+        onMount({ element, on }) {
+            window.genreExplorer = new GenreExplorer(element, window.genreLibrary, window.animeFilters, { on });
+        }
+    });
+}
@@ -0,0 +1,108 @@
+/**
+ * StartAnime - Genre Library
+ * Loads genres.json (genre guides and the difficulty progression) and
+ * links each genre to its catalog titles
+ */
+
+const GENRE_SOURCE = './data/genres.json';
+
+class GenreLibrary {
+    /**
+     * @param {AnimeCatalog} catalog - Shared anime catalog
+     */
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.genres = new Map();
+        this.progression = {};
+        this.loadPromise = null;
+    }
+
+    /**
+     * Fetch genres.json and the catalog once
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.all([
+                this.fetchJSON(GENRE_SOURCE),
+                this.catalog.load()
+            ]).then(([genresData]) => {
+                this.ingest(genresData);
+                return this;
+            }).catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    ingest(genresData = {}) {
+        this.genres.clear();
+        Object.entries(genresData.genres || {}).forEach(([id, genre]) => {
+            this.genres.set(id, {
+                ...genre,
+                id,
+                characteristics: genre.characteristics || [],
+                perfect_for: genre.perfect_for || [],
+                examples: genre.examples || []
+            });
+        });
+        this.progression = genresData.difficulty_progression || {};
+        return this;
+    }
+
+    /**
+     * Genres in the order genres.json lists them
+     */
+    getAll() {
+        return Array.from(this.genres.values());
+    }
+
+    get(id) {
+        return this.genres.get(id) || null;
+    }
+
+    /**
+     * Beginner -> advanced stages from difficulty_progression
+     */
+    getProgression() {
+        return this.progression;
+    }
+
+    /**
+     * A genre's example titles with their catalog record (null when the
+     * catalog doesn't have the title)
+     * @returns {Array} [{ title, reason, anime }]
+     */
+    getExamples(id) {
+        const genre = this.get(id);
+        if (!genre) return [];
+        return genre.examples.map(example => ({
+            ...example,
+            anime: this.catalog.getByTitle(example.title)
+        }));
+    }
+
+    /**
+     * Every catalog title in a genre, best rated first
+     */
+    getTitles(id) {
+        return this.catalog.query({ genre: id })
+            .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenreLibrary;
+} else {
+    window.GenreLibrary = GenreLibrary;
+    window.genreLibrary = new GenreLibrary(window.animeCatalog);
+}
@@ -0,0 +1,265 @@
+/**
+ * StartAnime - Anime Journey
+ * Guided beginner -> intermediate -> advanced path from genres.json's
+ * difficulty_progression, unlocked by titles completed on My List
+ */
+
+// Completed titles from the previous stage needed to unlock a stage
+const JOURNEY_UNLOCK_AFTER = {
+    intermediate: 3,
+    advanced: 2
+};
+
+class AnimeJourney {
+    /**
+     * @param {AnimeCatalog} catalog - Shared anime catalog
+     * @param {Watchlist} watchlist - The user's list, source of completed titles
+     * @param {GenreLibrary} library - Supplies genres.json's difficulty progression
+     */
+    constructor(catalog, watchlist, library) {
+        this.catalog = catalog;
+        this.watchlist = watchlist;
+        this.library = library;
+        this.stages = [];
+        this.loadPromise = null;
+    }
+
+    /**
+     * Fetch the difficulty progression and the catalog once
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.library.load().then(() => {
+                this.ingest(this.library.getProgression());
+                return this;
+            }).catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Build the stages in the order genres.json lists them
+     */
+    ingest(progression) {
+        this.stages = Object.entries(progression).map(([level, stage]) => ({
+            level,
+            title: stage.title,
+            description: stage.description,
+            color: stage.color,
+            genres: stage.genres || [],
+            tips: stage.tips || []
+        }));
+        return this;
+    }
+
+    getLevel(anime) {
+        return window.AnimeUtils.getDifficultyLevel(anime);
+    }
+
+    /**
+     * Where the user is on the path
+     * @returns {Array} Stages with { titles, completed, unlocked, current, needed, previousLevel } added
+     */
+    getProgress() {
+        const completedIds = new Set(this.watchlist.query({ status: 'completed' }).map(entry => entry.id));
+        let previous = null;
+        let current = null;
+
+        const stages = this.stages.map((stage) => {
+            const titles = this.catalog.getAll()
+                .filter(anime => this.getLevel(anime) === stage.level)
+                .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+            const completed = titles.filter(anime => completedIds.has(anime.id));
+
+            // Never ask for more titles than the previous stage has
+            const needed = previous
+                ? Math.max(0, Math.min(JOURNEY_UNLOCK_AFTER[stage.level] || 0, previous.titles.length) - previous.completed.length)
+                : 0;
+            const unlocked = !previous || (previous.unlocked && needed === 0);
+
+            previous = { ...stage, titles, completed, unlocked, needed, previousLevel: previous ? previous.level : null, current: false };
+            if (unlocked) current = previous;
+            return previous;
+        });
+
+        if (current) current.current = true;
+        return stages;
+    }
+
+    /**
+     * Next titles to watch: unlisted titles from the current stage, then
+     * earlier stages, favouring the stage's genres
+     */
+    getSuggestions(limit = 3) {
+        const stages = this.getProgress().filter(stage => stage.unlocked).reverse();
+        const suggestions = [];
+
+        stages.forEach((stage) => {
+            const candidates = stage.titles
+                .filter(anime => !this.watchlist.has(anime.id))
+                .map(anime => ({
+                    anime,
+                    stage,
+                    genreMatches: anime.genres.filter(genre => stage.genres.includes(genre)).length
+                }))
+                .sort((a, b) => b.genreMatches - a.genreMatches || (b.anime.rating || 0) - (a.anime.rating || 0));
+            suggestions.push(...candidates);
+        });
+
+        return suggestions.slice(0, limit);
+    }
+}
+
+class JourneyPanel {
+    /**
+     * Progress view for the journey, re-rendered as the list changes
+     * @param {HTMLElement} container - .anime-journey element
+     * @param {AnimeJourney} journey - Journey state
+     * @param {Object} options - { on: adds the document listener (the component context's on()) }
+     */
+    constructor(container, journey, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.container = container;
+        this.journey = journey;
+        this.on = on;
+        this.init();
+    }
+
+    async init() {
+        try {
+            await this.journey.load();
+        } catch (error) {
+            console.warn('JourneyPanel: Could not load the difficulty progression:', error);
+            this.container.hidden = true;
+            return;
+        }
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const detailsButton = e.target.closest('[data-journey-details]');
+            if (detailsButton && window.animeDetailView) {
+                window.animeDetailView.open(detailsButton.dataset.journeyDetails, { trigger: detailsButton });
+            }
+
+            const addButton = e.target.closest('[data-journey-add]');
+            if (addButton) {
+                const anime = this.journey.catalog.getById(addButton.dataset.journeyAdd);
+                if (anime) this.journey.watchlist.add(anime);
+                // The suggestion was re-rendered away; keep focus in the panel
+                const next = this.container.querySelector('[data-journey-add]') || this.container.querySelector('.journey-title');
+                if (next) next.focus();
+            }
+        });
+
+        this.on(document, 'watchlistChanged', () => this.render());
+    }
+
+    render() {
+        const { html } = window.SafeHTML;
+        const stages = this.journey.getProgress();
+        const suggestions = this.journey.getSuggestions();
+        const current = stages.find(stage => stage.current);
+
+        this.container.innerHTML = html`
+            <div class="journey-header">
+                <h2 class="journey-title" tabindex="-1">Your Anime Journey</h2>
+                <p class="journey-subtitle">Finish titles on your list to unlock the next stage${current ? html` — you're at <strong>${current.title}</strong>` : ''}</p>
+            </div>
+            <ol class="journey-stages">
+                ${stages.map(stage => this.createStageHTML(stage))}
+            </ol>
+            ${suggestions.length > 0 ? html`
+            <div class="journey-next">
+                <h3 class="journey-next-title">Up next on your journey</h3>
+                <ul class="journey-suggestions">
+                    ${suggestions.map(suggestion => this.createSuggestionHTML(suggestion))}
+                </ul>
+            </div>` : ''}
+        `;
+    }
+
+    /**
+     * Stage titles, tips and genres come from genres.json, so every value is escaped
+     * @returns {SafeHTML}
+     */
+    createStageHTML(stage) {
+        const { html } = window.SafeHTML;
+        const total = stage.titles.length;
+        const done = stage.completed.length;
+        const state = stage.current ? 'current' : stage.unlocked ? 'unlocked' : 'locked';
+
+        return html`
+            <li class="journey-stage is-${state}" style="--stage-color: ${stage.color}">
+                <div class="journey-stage-header">
+                    <span class="journey-stage-badge">${stage.unlocked ? '' : '🔒 '}${stage.level.charAt(0).toUpperCase() + stage.level.slice(1)}</span>
+                    <h3 class="journey-stage-title">${stage.title}</h3>
+                    <p class="journey-stage-description">${stage.description}</p>
+                </div>
+                <div class="journey-stage-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${done}" aria-label="${stage.title}: ${done} of ${total} completed">
+                    <span style="width: ${total ? (done / total) * 100 : 0}%"></span>
+                </div>
+                <p class="journey-stage-count">${done} of ${total} completed</p>
+                ${stage.unlocked ? html`
+                <div class="journey-stage-genres">
+                    ${stage.genres.map(genre => this.createGenreLinkHTML(genre))}
+                </div>
+                <ul class="journey-tips">
+                    ${stage.tips.map(tip => html`<li>${tip}</li>`)}
+                </ul>` : html`
+                <p class="journey-locked-note">Complete ${stage.needed} more ${stage.previousLevel} ${stage.needed === 1 ? 'title' : 'titles'} to unlock</p>`}
+            </li>
+        `;
+    }
+
+    /**
+     * @returns {SafeHTML}
+     */
+    createGenreLinkHTML(genre) {
+        const { html, url } = window.SafeHTML;
+        const label = this.journey.catalog.getGenreLabel(genre);
+
+        return html`<a class="journey-genre" href="${url(`recommend.html?q=${encodeURIComponent(label)}`)}">${label}</a>`;
+    }
+
+    /**
+     * Titles and images come from the catalog, so every value is escaped
+     * @returns {SafeHTML}
+     */
+    createSuggestionHTML({ anime, stage }) {
+        const { html, url } = window.SafeHTML;
+
+        return html`
+            <li class="journey-suggestion">
+                <img src="${url(anime.image)}" alt="" class="journey-suggestion-image" loading="lazy">
+                <div class="journey-suggestion-info">
+                    <span class="journey-suggestion-stage" style="--stage-color: ${stage.color}">${stage.title}</span>
+                    <button type="button" class="journey-suggestion-title" data-journey-details="${anime.id}">${anime.title}</button>
+                </div>
+                <button type="button" class="btn-secondary" data-journey-add="${anime.id}">Add to My List</button>
+            </li>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnimeJourney, JourneyPanel };
+} else {
+    window.AnimeJourney = AnimeJourney;
+    window.JourneyPanel = JourneyPanel;
+
+    window.ComponentLoader.define('anime-journey', {
+        selector: '.anime-journey',
+        onMount({ element, on }) {
+            window.animeJourney = new AnimeJourney(window.animeCatalog, window.watchlist, window.genreLibrary);
+            window.journeyPanel = new JourneyPanel(element, window.animeJourney, { on });
+        }
+    });
+}
@@ -57,6 +57,7 @@ class StartAnime {
     }
 
     async initializeCore() {
+        this.initializeCatalog();
         this.setupEventListeners();
         this.initializeComponents();
         this.handlePageLoad();
@@ -153,6 +154,28 @@ class StartAnime {
             this.handleOnlineStatusChange(false);
         });
 
+        // Storage full or disabled (changes only last for this visit) or a
+        // failed migration; each is shown once
+        const storageMessages = {
+            quota: 'Your browser storage is full. Changes will be lost when you leave this page.',
+            unavailable: 'Your browser is blocking storage. Changes will be lost when you leave this page.',
+            migration: "We couldn't update your saved list and preferences. We'll try again on your next visit."
+        };
+        const storageWarned = new Set();
+        const warnAboutStorage = ({ reason }) => {
+            if (!storageMessages[reason] || storageWarned.has(reason)) return;
+            storageWarned.add(reason);
+            this.showNotification(storageMessages[reason], 'warning');
+        };
+        document.addEventListener('storageError', e => warnAboutStorage(e.detail));
+        // The migration ran when storage.js loaded, before this listener existed
+        if (window.startAnimeStorage) window.startAnimeStorage.takeEarlyErrors().forEach(warnAboutStorage);
+
+        // The quiz saves into the same preferences object; don't overwrite it on unload
+        document.addEventListener('tasteProfileChanged', () => {
+            this.state.userPreferences = this.loadUserPreferences();
+        });
+
         // Page visibility API for performance optimization
         document.addEventListener('visibilitychange', () => {
             this.handleVisibilityChange();
@@ -162,6 +185,21 @@ class StartAnime {
         window.addEventListener('beforeunload', () => {
             this.cleanup();
         });
+
+        // A page the router (router.js) swapped in without a reload
+        document.addEventListener('routeChanged', (e) => {
+            this.initializeView(e.detail.view);
+        });
+    }
+
+    // Shared anime catalog (anime-list.json + recommendations.json)
+    initializeCatalog() {
+        this.catalog = window.animeCatalog || null;
+        if (!this.catalog) return;
+
+        this.catalog.load().catch((error) => {
+            console.warn('StartAnime: Failed to load anime catalog:', error);
+        });
     }
 
     initializeComponents() {
@@ -189,6 +227,8 @@ class StartAnime {
             // Initialize component loader if available
             if (window.ComponentLoader) {
                 this.componentLoader = new ComponentLoader();
+                // Page behaviour (recommendations, genre explorer, my list...) on its markup
+                this.componentLoader.mountAll();
                 await this.componentLoader.init();
                 
                 // Replace existing navigation and footer with components
@@ -196,9 +236,6 @@ class StartAnime {
                 await this.componentLoader.replaceFooter();
                 
                 console.log('ComponentLoader: Successfully initialized');
-                
-                // Test component creation
-                this.testComponentSystem();
             } else {
                 console.warn('ComponentLoader: Not available, skipping component initialization');
             }
@@ -207,54 +244,6 @@ class StartAnime {
         }
     }
 
-    async testComponentSystem() {
-        try {
-            // Test creating an anime card
-            const testAnimeData = {
-                id: 'test-1',
-                title: 'Test Anime',
-                image: 'assets/images/anime-covers/attack-on-titan.jpg',
-                description: 'This is a test anime card created by the component system.',
-                rating: '9.0',
-                genres: 'Action, Drama',
-                episodes: '25'
-            };
-            
-            const animeCard = await this.componentLoader.createComponent('anime-card', testAnimeData);
-            if (animeCard) {
-                console.log('ComponentLoader: Successfully created anime card component');
-                
-                // Add it to the page for testing (if there's a suitable container)
-                const testContainer = document.querySelector('.anime-grid');
-                if (testContainer) {
-                    testContainer.appendChild(animeCard);
-                }
-            }
-            
-            // Test creating a genre card
-            const testGenreData = {
-                name: 'Test Genre',
-                description: 'This is a test genre created by the component system.',
-                icon: '🎭',
-                examples: 'Example 1, Example 2, Example 3'
-            };
-            
-            const genreCard = await this.componentLoader.createComponent('genre-card', testGenreData);
-            if (genreCard) {
-                console.log('ComponentLoader: Successfully created genre card component');
-                
-                // Add it to the page for testing (if there's a suitable container)
-                const testContainer = document.querySelector('.genre-grid');
-                if (testContainer) {
-                    testContainer.appendChild(genreCard);
-                }
-            }
-            
-        } catch (error) {
-            console.error('ComponentLoader: Test failed:', error);
-        }
-    }
-
     handlePageLoad() {
         // Enhanced page load handling
         document.body.classList.add('page-loaded');
@@ -276,9 +265,29 @@ class StartAnime {
         
         // Initialize search functionality
         this.initializeSearch();
-        
-        // Initialize filters
-        this.initializeFilters();
+    }
+
+    /**
+     * Set up a view the router swapped in like handlePageLoad() and
+     * initializeComponents() set up the page; the previous view's
+     * behaviour unmounted when it left the page
+     * @param {HTMLElement} view - The new main.route-view
+     */
+    initializeView(view) {
+        this.state.currentPage = window.location.pathname;
+
+        if (this.componentLoader) {
+            this.componentLoader.mountAll(view);
+            this.componentLoader.setupComponentPlaceholders(view);
+        }
+
+        this.initializeAnimeCards(view);
+        this.initializeGenreGuide(view);
+        this.initializeCTAButtons(view);
+        this.initializeParallax();
+        this.setupIntersectionObserver(view);
+        this.initializeLazyLoading(view);
+        this.setActiveNavigation();
     }
 
     // Enhanced smooth scroll with easing and performance optimization
@@ -327,8 +336,8 @@ class StartAnime {
     }
 
     // Enhanced anime card interactions
-    initializeAnimeCards() {
-        const animeCards = document.querySelectorAll('.anime-card');
+    initializeAnimeCards(root = document) {
+        const animeCards = root.querySelectorAll('.anime-card');
         
         animeCards.forEach(card => {
             // Enhanced hover with performance optimization
@@ -346,10 +355,21 @@ class StartAnime {
                 this.handleCardHover(card, false);
             });
             
-            // Enhanced click with haptic feedback
-            card.addEventListener('click', (e) => {
-                this.handleCardClick(card, e);
-            });
+            // FeaturedAnime opens the detail view for its own cards, including re-rendered ones
+            if (!card.closest('.featured-anime')) {
+                // Enhanced click with haptic feedback
+                card.addEventListener('click', (e) => {
+                    this.handleCardClick(card, e);
+                });
+
+                // Cards are focusable buttons, so open them from the keyboard too
+                card.addEventListener('keydown', (e) => {
+                    if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                        e.preventDefault();
+                        this.handleCardClick(card, e);
+                    }
+                });
+            }
 
             // Touch events for mobile
             this.setupTouchEvents(card, {
@@ -385,7 +405,9 @@ class StartAnime {
     }
 
     handleCardClick(card, event) {
-        const animeTitle = card.querySelector('.anime-title')?.textContent;
+        const animeId = card.dataset.anime || card.dataset.animeId;
+        const anime = this.catalog ? this.catalog.getById(animeId) : null;
+        const animeTitle = anime ? anime.title : card.querySelector('.anime-title')?.textContent;
         
         // Enhanced click animation
         card.style.transform = 'scale(0.98)';
@@ -399,35 +421,132 @@ class StartAnime {
         }
         
         // Analytics tracking
-        this.trackEvent('anime_card_click', { title: animeTitle });
+        this.trackEvent('anime_card_click', { id: anime ? anime.id : animeId, title: animeTitle });
         
-        // Future: Navigate to anime details or external link
-        // this.navigateToAnime(animeTitle);
+        if (window.animeDetailView) {
+            window.animeDetailView.open(anime ? anime.id : animeId, { trigger: card });
+        }
     }
 
-    // Enhanced genre guide interactions
-    initializeGenreGuide() {
-        const genreItems = document.querySelectorAll('.genre-item');
-        
-        genreItems.forEach(item => {
+    // Genre guide: a listbox with roving focus, tooltips on hover and focus,
+    // and the selected genre's guide from genres.json shown below it
+    initializeGenreGuide(root = document) {
+        const genreItems = Array.from(root.querySelectorAll('.genre-item'));
+        if (genreItems.length === 0) return;
+
+        const grid = genreItems[0].parentElement;
+        grid.setAttribute('role', 'listbox');
+        grid.setAttribute('aria-orientation', 'horizontal');
+
+        genreItems.forEach((item, index) => {
+            const title = item.querySelector('.genre-title');
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.setAttribute('tabindex', index === 0 ? '0' : '-1');
+            if (title) item.setAttribute('aria-label', title.textContent.trim());
+
             item.addEventListener('mouseenter', () => {
                 item.classList.add('active');
                 this.showGenreTooltip(item);
             });
             
             item.addEventListener('mouseleave', () => {
+                if (document.activeElement === item) return;
                 item.classList.remove('active');
                 this.hideGenreTooltip(item);
             });
 
+            // Roving tabindex: the last focused genre is the grid's tab stop
+            item.addEventListener('focus', () => {
+                genreItems.forEach(other => other.setAttribute('tabindex', other === item ? '0' : '-1'));
+                item.classList.add('active');
+                this.showGenreTooltip(item);
+            });
+
+            item.addEventListener('blur', () => {
+                item.classList.remove('active');
+                this.hideGenreTooltip(item);
+            });
+
+            item.addEventListener('click', () => this.handleGenreSelection(item));
+
             // Keyboard navigation
             item.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
                     this.handleGenreSelection(item);
+                    return;
                 }
+
+                if (e.key === 'Escape') {
+                    this.hideGenreTooltip(item);
+                    return;
+                }
+
+                const targets = {
+                    ArrowRight: index + 1,
+                    ArrowDown: index + 1,
+                    ArrowLeft: index - 1,
+                    ArrowUp: index - 1,
+                    Home: 0,
+                    End: genreItems.length - 1
+                };
+                if (!(e.key in targets)) return;
+
+                e.preventDefault();
+                genreItems[Math.max(0, Math.min(targets[e.key], genreItems.length - 1))].focus();
             });
         });
+
+        const detail = root.querySelector('.genre-guide-detail');
+        if (detail) {
+            detail.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-detail-id]');
+                if (link && window.animeDetailView) {
+                    e.preventDefault();
+                    window.animeDetailView.open(link.dataset.detailId, { trigger: link });
+                }
+            });
+        }
+    }
+
+    /**
+     * Open the selected genre's guide with its catalog titles, or the
+     * genre explorer when the page has no guide panel
+     */
+    async handleGenreSelection(item) {
+        const genreId = item.dataset.genreId;
+        const detail = document.querySelector('.genre-guide-detail');
+        const library = window.genreLibrary;
+        const explorerUrl = `genres.html#${encodeURIComponent(genreId || '')}`;
+
+        if (!genreId || !detail || !library || !window.GenreDetail) {
+            window.location.href = explorerUrl;
+            return;
+        }
+
+        document.querySelectorAll('.genre-item').forEach((other) => {
+            other.setAttribute('aria-selected', String(other === item));
+        });
+
+        try {
+            await library.load();
+        } catch (error) {
+            console.warn('StartAnime: Failed to load genres:', error);
+            window.location.href = explorerUrl;
+            return;
+        }
+
+        const genre = library.get(genreId);
+        if (!genre) return;
+
+        this.trackEvent('genre_select', { id: genreId });
+        detail.innerHTML = new window.GenreDetail(library).createHTML(genre, {
+            level: 3,
+            titles: library.getTitles(genreId).slice(0, 6)
+        });
+        detail.hidden = false;
+        detail.querySelector('.genre-detail-title').focus();
     }
 
     showGenreTooltip(genreItem) {
@@ -447,8 +566,8 @@ class StartAnime {
     }
 
     // Enhanced CTA buttons
-    initializeCTAButtons() {
-        const ctaButtons = document.querySelectorAll('.cta-button');
+    initializeCTAButtons(root = document) {
+        const ctaButtons = root.querySelectorAll('.cta-button');
         
         ctaButtons.forEach(button => {
             button.addEventListener('click', (e) => {
@@ -517,7 +636,9 @@ class StartAnime {
     }
 
     // Enhanced intersection observer
-    setupIntersectionObserver() {
+    setupIntersectionObserver(root = document) {
+        if (this.observer) this.observer.disconnect();
+
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
@@ -540,13 +661,13 @@ class StartAnime {
         }, observerOptions);
 
         // Observe all elements with animation classes
-        const animatedElements = document.querySelectorAll('.animate-on-scroll, .fade-in-up, .slide-in-left, .slide-in-right');
+        const animatedElements = root.querySelectorAll('.animate-on-scroll, .fade-in-up, .slide-in-left, .slide-in-right');
         animatedElements.forEach(el => this.observer.observe(el));
     }
 
     // Enhanced lazy loading
-    initializeLazyLoading() {
-        const lazyImages = document.querySelectorAll('img[data-src]');
+    initializeLazyLoading(root = document) {
+        const lazyImages = root.querySelectorAll('img[data-src]');
         
         const imageObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
@@ -671,7 +792,14 @@ class StartAnime {
         try {
             const registration = await navigator.serviceWorker.register('/sw.js');
             console.log('Service Worker registered:', registration);
-            
+
+            // Files the service worker couldn't cache won't load offline
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'PRECACHE_FAILED') {
+                    console.warn('Service Worker: Not available offline:', e.data.failed.map(file => `${file.url} (${file.reason})`).join(', '));
+                }
+            });
+
             // Handle updates
             registration.addEventListener('updatefound', () => {
                 const newWorker = registration.installing;
@@ -801,19 +929,11 @@ class StartAnime {
     }
 
     loadUserPreferences() {
-        try {
-            return JSON.parse(localStorage.getItem('startanime_preferences')) || {};
-        } catch (error) {
-            return {};
-        }
+        return window.startAnimeStorage.get('preferences', {}) || {};
     }
 
     saveUserPreferences(preferences) {
-        try {
-            localStorage.setItem('startanime_preferences', JSON.stringify(preferences));
-        } catch (error) {
-            console.warn('Could not save user preferences:', error);
-        }
+        window.startAnimeStorage.set('preferences', preferences);
     }
 
     setupTouchEvents(element, handlers) {
@@ -884,6 +1004,27 @@ class StartAnime {
         }
     }
 
+    /**
+     * Toast at the top of the page, announced to screen readers
+     * @param {string} message - Text to show
+     * @param {string} type - 'info', 'success', 'warning' or 'error'
+     */
+    showNotification(message, type = 'info') {
+        const urgent = type === 'warning' || type === 'error';
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.setAttribute('role', urgent ? 'alert' : 'status');
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => notification.classList.add('show'), 100);
+        // Warnings stay up long enough to read
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 300);
+        }, urgent ? 8000 : 3000);
+    }
+
     handleVisibilityChange() {
         if (document.hidden) {
             this.pauseAnimations();
@@ -913,7 +1054,6 @@ class StartAnime {
     initializeVirtualScrolling() {}
     initializeProgressiveEnhancement() {}
     initializeSearch() {}
-    initializeFilters() {}
     updateActiveNavigationOnScroll() {}
     showUpdateNotification() {}
     cacheAnimeData() {}
@@ -937,10 +1077,8 @@ class StartAnime {
     syncOfflineData() {}
     pauseAnimations() {}
     resumeAnimations() {}
-    showNotification() {}
     updateVirtualScrolling() {}
     handleInitializationError() {}
-    handleGenreSelection() {}
 }
 
 // Initialize the application when DOM is loaded
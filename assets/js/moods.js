@@ -0,0 +1,103 @@
+/**
+ * StartAnime - Mood Registry
+ * Loads the mood vocabulary from data/moods.json and resolves the mood ids
+ * and aliases used across the pages and data files
+ */
+
+const MOOD_SOURCES = {
+    moods: './data/moods.json',
+    genres: './data/genres.json'
+};
+
+class MoodRegistry {
+    constructor() {
+        this.moods = new Map();
+        this.aliases = new Map();
+        this.loadPromise = null;
+    }
+
+    /**
+     * Fetch moods.json and genres.json once and build the registry
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.all([
+                this.fetchJSON(MOOD_SOURCES.moods),
+                this.fetchJSON(MOOD_SOURCES.genres)
+            ]).then(([moodsData, genresData]) => {
+                this.ingest(moodsData, genresData);
+                return this;
+            }).catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Build the registry from parsed data. genres.json's
+     * mood_based_recommendations are attached to the mood they resolve to.
+     */
+    ingest(moodsData = {}, genresData = {}) {
+        this.moods.clear();
+        this.aliases.clear();
+
+        Object.entries(moodsData.moods || {}).forEach(([id, mood]) => {
+            this.moods.set(id, {
+                ...mood,
+                id,
+                aliases: mood.aliases || [],
+                recommendedGenres: []
+            });
+            this.aliases.set(id, id);
+            (mood.aliases || []).forEach(alias => this.aliases.set(alias, id));
+        });
+
+        Object.entries(genresData.mood_based_recommendations || {}).forEach(([key, info]) => {
+            const mood = this.resolve(key);
+            if (!mood) return;
+            mood.recommendedGenres = Array.from(new Set([...mood.recommendedGenres, ...(info.recommended_genres || [])]));
+        });
+
+        return this;
+    }
+
+    /**
+     * Resolve a mood id or alias (e.g. "chill", "excited") to its mood
+     * @param {string} idOrAlias - Mood id or alias
+     * @returns {Object|null} Mood definition or null
+     */
+    resolve(idOrAlias) {
+        if (!idOrAlias) return null;
+        const id = this.aliases.get(String(idOrAlias).toLowerCase());
+        return id ? this.moods.get(id) : null;
+    }
+
+    /**
+     * Every key a data file may use for this mood
+     */
+    getKeys(idOrAlias) {
+        const mood = this.resolve(idOrAlias);
+        return mood ? [mood.id, ...mood.aliases] : [];
+    }
+
+    getAll() {
+        return Array.from(this.moods.values());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoodRegistry;
+} else {
+    window.MoodRegistry = MoodRegistry;
+    window.moodRegistry = new MoodRegistry();
+}
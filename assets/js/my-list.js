@@ -0,0 +1,363 @@
+/**
+ * StartAnime - My List Page
+ * Renders the watchlist with status tabs, sorting, inline editing and reordering
+ */
+
+class MyListPage {
+    /**
+     * @param {Watchlist} watchlist - The user's watchlist
+     * @param {AnimeCatalog} catalog - Shared anime catalog
+     * @param {Object} options - { on: adds the document listener (the component context's on()) }
+     */
+    constructor(watchlist, catalog, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.watchlist = watchlist;
+        this.catalog = catalog;
+        this.on = on;
+        this.container = document.querySelector('.watchlist');
+        this.filter = { status: '', sort: 'custom' };
+        this.transfer = new window.WatchlistTransfer(watchlist, catalog);
+        this.importPreview = null;
+
+        if (this.container) this.init();
+    }
+
+    async init() {
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            // The list is still usable from the saved titles alone
+            console.warn('MyListPage: Catalog unavailable:', error);
+        }
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.watchlist-tab').forEach((tab) => {
+            tab.addEventListener('click', () => {
+                this.filter.status = tab.dataset.status;
+                this.render();
+            });
+        });
+
+        const sortSelect = document.querySelector('.watchlist-sort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.filter.sort = sortSelect.value;
+                this.render();
+            });
+        }
+
+        this.container.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-list-id]');
+            const field = e.target.dataset.field;
+            if (item && field) {
+                this.watchlist.update(item.dataset.listId, { [field]: e.target.value });
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-list-id]');
+            if (button && item) this.handleAction(button.dataset.action, item.dataset.listId, button);
+        });
+
+        this.on(document, 'watchlistChanged', () => this.render());
+
+        this.bindTransferEvents();
+    }
+
+    bindTransferEvents() {
+        document.querySelectorAll('[data-export]').forEach((button) => {
+            button.addEventListener('click', () => this.exportList(button.dataset.export));
+        });
+
+        const importInput = document.querySelector('.watchlist-import-input');
+        const importButton = document.querySelector('.watchlist-import-btn');
+        if (!importInput || !importButton) return;
+
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) this.previewImport(importInput.files[0]);
+            importInput.value = '';
+        });
+
+        const preview = document.querySelector('.watchlist-import-preview');
+        preview.addEventListener('click', (e) => {
+            if (e.target.closest('.import-confirm-btn')) {
+                const overwrite = preview.querySelector('.import-overwrite').checked;
+                this.confirmImport(overwrite);
+            } else if (e.target.closest('.import-cancel-btn')) {
+                this.closeImportPreview();
+            }
+        });
+    }
+
+    exportList(format) {
+        const isXML = format === 'mal';
+        const content = isXML ? this.transfer.toMalXML() : this.transfer.toJSON();
+        const date = new Date().toISOString().slice(0, 10);
+        this.download(content, `startanime-list-${date}.${isXML ? 'xml' : 'json'}`, isXML ? 'application/xml' : 'application/json');
+    }
+
+    download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read an exported file and show what would be imported
+     */
+    async previewImport(file) {
+        const preview = document.querySelector('.watchlist-import-preview');
+
+        try {
+            const items = this.transfer.parse(await file.text());
+            this.importPreview = this.transfer.preview(items);
+            preview.innerHTML = this.createImportPreviewHTML(file.name, this.importPreview);
+        } catch (error) {
+            this.importPreview = null;
+            preview.innerHTML = window.SafeHTML.html`
+                <p class="import-error" role="alert">Couldn't read ${file.name}: ${error.message}</p>
+                <button class="btn-secondary import-cancel-btn">Close</button>
+            `;
+        }
+
+        preview.hidden = false;
+        preview.querySelector('button:not([disabled])').focus();
+    }
+
+    confirmImport(overwrite) {
+        if (!this.importPreview) return;
+
+        const result = this.transfer.apply(this.importPreview, { overwrite });
+        const preview = document.querySelector('.watchlist-import-preview');
+        this.importPreview = null;
+        preview.innerHTML = window.SafeHTML.html`
+            <p class="import-summary" role="status">
+                Imported ${result.added} new title(s)${result.updated ? `, updated ${result.updated}` : ''}${result.skipped ? `, skipped ${result.skipped} already on your list` : ''}.
+            </p>
+            <button class="btn-secondary import-cancel-btn">Close</button>
+        `;
+        preview.querySelector('button:not([disabled])').focus();
+    }
+
+    closeImportPreview() {
+        const preview = document.querySelector('.watchlist-import-preview');
+        this.importPreview = null;
+        preview.hidden = true;
+        preview.innerHTML = '';
+        document.querySelector('.watchlist-import-btn').focus();
+    }
+
+    /**
+     * File names and titles come from the imported file, so everything is escaped
+     * @returns {SafeHTML}
+     */
+    createImportPreviewHTML(fileName, { matched, unmatched }) {
+        const { html } = window.SafeHTML;
+        const existing = matched.filter(match => match.existing).length;
+
+        return html`
+            <h2 class="import-title">Import from ${fileName}</h2>
+            <p class="import-summary">
+                ${matched.length} title(s) matched our catalog${existing ? `, ${existing} already on your list` : ''}.
+                ${unmatched.length} title(s) not found.
+            </p>
+            ${matched.length > 0 ? html`
+            <table class="import-table">
+                <thead>
+                    <tr><th scope="col">In your file</th><th scope="col">Matched to</th><th scope="col">Status</th><th scope="col">Episodes</th><th scope="col">Score</th></tr>
+                </thead>
+                <tbody>
+                    ${matched.map(({ item, anime, existing: isListed }) => html`
+                        <tr class="${isListed ? 'import-existing' : ''}">
+                            <td>${item.titles[0] || item.id || `MAL #${item.malId}`}</td>
+                            <td>${anime.title}${isListed ? html` <span class="badge badge-secondary">On your list</span>` : ''}</td>
+                            <td>${this.watchlist.getStatusLabel(item.status)}</td>
+                            <td>${item.progress}</td>
+                            <td>${item.score || '–'}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>` : ''}
+            ${unmatched.length > 0 ? html`
+            <details class="import-unmatched">
+                <summary>Not in our catalog (${unmatched.length})</summary>
+                <ul>${unmatched.map(item => html`<li>${item.titles[0] || `MAL #${item.malId}`}</li>`)}</ul>
+            </details>` : ''}
+            <label class="import-option">
+                <input type="checkbox" class="import-overwrite" ${existing ? '' : 'disabled'}>
+                Replace status, progress, score and notes of titles already on my list
+            </label>
+            <div class="import-actions">
+                <button class="btn-primary import-confirm-btn" ${matched.length ? '' : 'disabled'}>Import ${matched.length} title(s)</button>
+                <button class="btn-secondary import-cancel-btn">Cancel</button>
+            </div>
+        `;
+    }
+
+    handleAction(action, id, button) {
+        const entry = this.watchlist.get(id);
+        if (!entry) return;
+
+        switch (action) {
+            case 'increment':
+                this.watchlist.update(id, { progress: entry.progress + 1 });
+                break;
+            case 'move-up':
+            case 'move-down':
+                this.moveEntry(id, action === 'move-up' ? -1 : 1);
+                break;
+            case 'details':
+                if (window.animeDetailView) window.animeDetailView.open(id, { trigger: button });
+                break;
+            case 'remove':
+                if (confirm(`Remove ${entry.title} from your list?`)) this.watchlist.remove(id);
+                break;
+        }
+    }
+
+    /**
+     * Swap a title with its visible neighbour in the custom order
+     */
+    moveEntry(id, direction) {
+        const visible = this.getVisibleEntries();
+        const index = visible.findIndex(entry => entry.id === id);
+        const neighbour = visible[index + direction];
+        if (!neighbour) return;
+
+        const target = this.watchlist.getAll().findIndex(entry => entry.id === neighbour.id);
+        this.watchlist.move(id, target);
+    }
+
+    getVisibleEntries() {
+        return this.watchlist.query(this.filter);
+    }
+
+    render() {
+        // Re-rendering replaces the controls, so remember which one had focus
+        const focused = document.activeElement;
+        const focusItem = focused && this.container.contains(focused) ? focused.closest('[data-list-id]') : null;
+        const focusKey = focusItem ? focused.dataset.field || focused.dataset.action : null;
+
+        this.renderTabs();
+        const entries = this.getVisibleEntries();
+
+        this.container.innerHTML = entries.length > 0
+            ? window.SafeHTML.html`${entries.map((entry, index) => this.createEntryHTML(entry, index, entries.length))}`
+            : this.createEmptyHTML();
+
+        if (focusItem && focusKey) {
+            const item = this.container.querySelector(`[data-list-id="${CSS.escape(focusItem.dataset.listId)}"]`);
+            const control = item && item.querySelector(`[data-field="${focusKey}"], [data-action="${focusKey}"]`);
+            // A move button is disabled once the title reaches the end of the list
+            const target = control && !control.disabled ? control : item && item.querySelector('.watchlist-title-btn');
+            if (target) target.focus();
+        }
+    }
+
+    renderTabs() {
+        const counts = this.watchlist.getCounts();
+        document.querySelectorAll('.watchlist-tab').forEach((tab) => {
+            const status = tab.dataset.status;
+            const isActive = status === this.filter.status;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', String(isActive));
+            const count = tab.querySelector('.watchlist-count');
+            if (count) count.textContent = counts[status || 'all'];
+        });
+    }
+
+    /**
+     * Saved titles and notes are user data, so every value is escaped
+     * @returns {SafeHTML}
+     */
+    createEntryHTML(entry, index, total) {
+        const { html, url } = window.SafeHTML;
+        const episodes = this.watchlist.getEpisodeCount(entry.id);
+        const canReorder = this.filter.sort === 'custom';
+        const statuses = this.watchlist.getStatuses();
+
+        return html`
+            <article class="watchlist-item status-${entry.status}" data-list-id="${entry.id}">
+                ${entry.image ? html`<img src="${url(entry.image)}" alt="" class="watchlist-image" loading="lazy">` : ''}
+                <div class="watchlist-info">
+                    <h3 class="watchlist-title">
+                        <button class="watchlist-title-btn" data-action="details">${entry.title}</button>
+                    </h3>
+                    <div class="watchlist-fields">
+                        <label class="watchlist-field">
+                            <span>Status</span>
+                            <select data-field="status">
+                                ${Object.entries(statuses).map(([value, label]) => html`
+                                    <option value="${value}" ${value === entry.status ? 'selected' : ''}>${label}</option>
+                                `)}
+                            </select>
+                        </label>
+                        <label class="watchlist-field">
+                            <span>Episodes</span>
+                            <span class="watchlist-progress">
+                                <input type="number" min="0" ${episodes ? html`max="${episodes}"` : ''} value="${entry.progress}" data-field="progress">
+                                <span>/ ${episodes || '?'}</span>
+                                <button class="btn-secondary" data-action="increment" aria-label="Watched one more episode of ${entry.title}"
+                                    ${episodes && entry.progress >= episodes ? 'disabled' : ''}>+1</button>
+                            </span>
+                        </label>
+                        <label class="watchlist-field">
+                            <span>Score</span>
+                            <select data-field="score">
+                                <option value="">–</option>
+                                ${[10, 9, 8, 7, 6, 5, 4, 3, 2, 1].map(score => html`
+                                    <option value="${score}" ${score === entry.score ? 'selected' : ''}>${score}</option>
+                                `)}
+                            </select>
+                        </label>
+                    </div>
+                    <label class="watchlist-field watchlist-notes">
+                        <span>Notes</span>
+                        <textarea rows="2" data-field="notes" placeholder="Thoughts, where you left off…">${entry.notes}</textarea>
+                    </label>
+                </div>
+                <div class="watchlist-actions">
+                    ${canReorder ? html`
+                    <button class="btn-secondary" data-action="move-up" aria-label="Move ${entry.title} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn-secondary" data-action="move-down" aria-label="Move ${entry.title} down" ${index === total - 1 ? 'disabled' : ''}>↓</button>
+                    ` : ''}
+                    <button class="btn-secondary" data-action="remove" aria-label="Remove ${entry.title}">Remove</button>
+                </div>
+            </article>
+        `;
+    }
+
+    createEmptyHTML() {
+        const status = this.filter.status;
+        return window.SafeHTML.html`
+            <div class="watchlist-empty">
+                <p>${status ? `Nothing marked "${this.watchlist.getStatusLabel(status)}" yet.` : 'Your list is empty.'}</p>
+                <a href="recommend.html" class="btn-primary">Find Something to Watch</a>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MyListPage;
+} else {
+    window.MyListPage = MyListPage;
+
+    window.ComponentLoader.define('my-list', {
+        selector: '.watchlist',
+        onMount({ on }) {
+            window.myListPage = new MyListPage(window.watchlist, window.animeCatalog, { on });
+        }
+    });
+}
@@ -0,0 +1,237 @@
+/**
+ * StartAnime - Onboarding Quiz
+ * Step-by-step beginner quiz that builds the taste profile, with a
+ * summary afterwards to edit the answers or retake it
+ */
+
+class OnboardingQuiz {
+    /**
+     * @param {TasteProfile} profile - Saved taste profile
+     * @param {AnimeCatalog} catalog - Supplies streaming platforms and genre labels
+     * @param {Object} options - { on: adds the document listener (the component context's on()) }
+     */
+    constructor(profile, catalog, { on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.profile = profile;
+        this.catalog = catalog;
+        this.on = on;
+        this.container = document.querySelector('.taste-quiz');
+        this.steps = [];
+        this.platforms = [];
+        this.stepIndex = null;
+        this.answers = {};
+
+        if (this.container) this.init();
+    }
+
+    async init() {
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            // Without the data files the platform question is simply empty
+            console.warn('OnboardingQuiz: Catalog unavailable:', error);
+        }
+
+        this.platforms = (this.catalog.sources.recommendations || {}).streamingPlatforms || [];
+        this.steps = this.profile.getSteps(this.platforms).filter(step => step.options.length > 0);
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quiz-action]');
+            if (button) this.handleAction(button.dataset.quizAction);
+        });
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAction('next');
+        });
+
+        // Show the summary again once the profile is saved or cleared
+        this.on(document, 'tasteProfileChanged', () => {
+            if (this.stepIndex === null) this.render();
+        });
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'start':
+                this.start({});
+                break;
+            case 'edit':
+                this.start((this.profile.get() || {}).answers || {});
+                break;
+            case 'back':
+                this.readStep();
+                this.goTo(this.stepIndex - 1);
+                break;
+            case 'next':
+                if (!this.readStep()) return;
+                if (this.stepIndex < this.steps.length - 1) {
+                    this.goTo(this.stepIndex + 1);
+                } else {
+                    this.finish();
+                }
+                break;
+            case 'cancel':
+                this.stepIndex = null;
+                this.render();
+                this.focusHeading();
+                break;
+            case 'clear':
+                if (confirm('Clear your taste profile? Recommendations will no longer be personalised.')) {
+                    this.profile.clear();
+                    this.focusHeading();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    start(answers) {
+        this.answers = { ...answers };
+        this.goTo(0);
+    }
+
+    goTo(index) {
+        this.stepIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.render();
+        this.focusHeading();
+    }
+
+    /**
+     * Store the current step's answer
+     * @returns {boolean} False when a single-choice question was left blank
+     */
+    readStep() {
+        const step = this.steps[this.stepIndex];
+        const form = this.container.querySelector('.taste-quiz-form');
+        if (!step || !form) return true;
+
+        const values = new FormData(form).getAll(step.id);
+        if (step.multiple) {
+            this.answers[step.id] = values;
+            return true;
+        }
+
+        if (values.length === 0) {
+            const error = form.querySelector('.taste-quiz-error');
+            if (error) error.hidden = false;
+            return false;
+        }
+        this.answers[step.id] = values[0];
+        return true;
+    }
+
+    finish() {
+        this.profile.save(this.answers, this.platforms);
+        this.stepIndex = null;
+        this.render();
+        this.focusHeading();
+    }
+
+    focusHeading() {
+        const heading = this.container.querySelector('.taste-quiz-title');
+        if (heading) heading.focus();
+    }
+
+    render() {
+        if (this.stepIndex !== null) {
+            this.container.innerHTML = this.createStepHTML(this.steps[this.stepIndex]);
+        } else if (this.profile.has()) {
+            this.container.innerHTML = this.createSummaryHTML(this.profile.get());
+        } else {
+            this.container.innerHTML = this.createIntroHTML();
+        }
+    }
+
+    createIntroHTML() {
+        return window.SafeHTML.html`
+            <div class="taste-quiz-card">
+                <h3 class="taste-quiz-title" tabindex="-1">New to anime?</h3>
+                <p class="taste-quiz-text">Answer ${this.steps.length} quick questions and we'll tailor every recommendation to you.</p>
+                <button type="button" class="btn-primary" data-quiz-action="start">Take the Quiz</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Platform options come from recommendations.json, so every value is escaped
+     * @returns {SafeHTML}
+     */
+    createStepHTML(step) {
+        const { html } = window.SafeHTML;
+        const number = this.stepIndex + 1;
+        const isLast = number === this.steps.length;
+        const selected = [].concat(this.answers[step.id] || []);
+        const inputType = step.multiple ? 'checkbox' : 'radio';
+
+        return html`
+            <form class="taste-quiz-card taste-quiz-form" novalidate>
+                <p class="taste-quiz-progress">Question ${number} of ${this.steps.length}</p>
+                <div class="taste-quiz-progress-bar" role="progressbar" aria-valuemin="1" aria-valuemax="${this.steps.length}" aria-valuenow="${number}" aria-label="Quiz progress">
+                    <span style="width: ${(number / this.steps.length) * 100}%"></span>
+                </div>
+                <fieldset class="taste-quiz-step">
+                    <legend>
+                        <span class="taste-quiz-title" tabindex="-1">${step.title}</span>
+                    </legend>
+                    <p class="taste-quiz-hint">${step.hint}</p>
+                    <div class="taste-quiz-options">
+                        ${step.options.map(option => html`
+                            <label class="taste-quiz-option">
+                                <input type="${inputType}" name="${step.id}" value="${option.value}" ${selected.includes(option.value) ? 'checked' : ''}>
+                                <span>${option.label}</span>
+                            </label>
+                        `)}
+                    </div>
+                    <p class="taste-quiz-error" role="alert" hidden>Please choose an answer to continue.</p>
+                </fieldset>
+                <div class="taste-quiz-actions">
+                    ${number > 1 ? html`<button type="button" class="btn-secondary" data-quiz-action="back">Back</button>` : ''}
+                    <button type="button" class="btn-secondary" data-quiz-action="cancel">Not Now</button>
+                    <button type="submit" class="btn-primary">${isLast ? 'See My Profile' : 'Next'}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * @returns {SafeHTML}
+     */
+    createSummaryHTML(profile) {
+        const { html } = window.SafeHTML;
+
+        return html`
+            <div class="taste-quiz-card taste-quiz-summary">
+                <h3 class="taste-quiz-title" tabindex="-1">Your taste profile</h3>
+                <ul class="taste-quiz-traits">
+                    ${this.profile.describe(profile, this.catalog).map(line => html`<li>${line}</li>`)}
+                </ul>
+                <p class="taste-quiz-text">Every mood below is now ranked with your answers in mind.</p>
+                <div class="taste-quiz-actions">
+                    <button type="button" class="btn-secondary" data-quiz-action="edit">Edit Answers</button>
+                    <button type="button" class="btn-secondary" data-quiz-action="start">Retake Quiz</button>
+                    <button type="button" class="btn-secondary" data-quiz-action="clear">Clear Profile</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnboardingQuiz;
+} else {
+    window.OnboardingQuiz = OnboardingQuiz;
+
+    window.ComponentLoader.define('onboarding-quiz', {
+        selector: '.taste-quiz',
+        onMount({ on }) {
+            window.onboardingQuiz = new OnboardingQuiz(window.tasteProfile, window.animeCatalog, { on });
+        }
+    });
+}
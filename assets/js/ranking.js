@@ -0,0 +1,160 @@
+/**
+ * StartAnime - Recommendation Ranking
+ * Scores every catalog title against the selected mood and the user's
+ * preferences and explains why each title matched
+ */
+
+// Points awarded (or removed) per signal
+const RANKING_WEIGHTS = {
+    moodListed: 4,
+    moodGenre: 1.5,
+    preferredGenre: 2,
+    difficultyMatch: 2,
+    difficultyEasier: 1,
+    difficultyHarder: -3,
+    withinEpisodes: 1,
+    overEpisodes: -4,
+    platform: 1.5,
+    dubbed: 1,
+    matureAvoided: -6,
+    rating: 1
+};
+
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+
+// Genres treated as mature themes, alongside titles carrying a content warning
+const MATURE_GENRES = ['horror', 'psychological', 'dark-fantasy'];
+
+// Services that carry English dubs for most of their anime; every service has subtitles
+const DUBBED_PLATFORMS = ['Funimation', 'Netflix'];
+
+class RecommendationRanker {
+    /**
+     * @param {AnimeCatalog} catalog - Loaded anime catalog
+     * @param {MoodRegistry} moods - Loaded mood registry
+     */
+    constructor(catalog, moods) {
+        this.catalog = catalog;
+        this.moods = moods;
+        this.weights = { ...RANKING_WEIGHTS };
+    }
+
+    /**
+     * Rank the whole catalog
+     * @param {Object} criteria - { mood, genres, difficulty, maxEpisodes, platforms, audio, avoidMature }
+     * @returns {Array} [{ anime, score, reasons }] sorted best first
+     */
+    rank(criteria = {}) {
+        const mood = criteria.mood ? this.moods.resolve(criteria.mood) : null;
+        const context = {
+            mood,
+            moodKeys: mood ? this.moods.getKeys(mood.id) : [],
+            genres: criteria.genres || [],
+            difficulty: criteria.difficulty || null,
+            maxEpisodes: criteria.maxEpisodes || (mood && mood.maxEpisodes) || null,
+            platforms: criteria.platforms || [],
+            audio: criteria.audio || 'either',
+            avoidMature: Boolean(criteria.avoidMature)
+        };
+
+        // The mood is the only hard filter: penalties rank a title lower, never out
+        return this.catalog.getAll()
+            .map(anime => this.scoreAnime(anime, context))
+            .filter(result => !mood || result.moodMatched)
+            .sort((a, b) => b.score - a.score || (b.anime.rating || 0) - (a.anime.rating || 0))
+            .map(({ anime, score, reasons }) => ({ anime, score, reasons }));
+    }
+
+    /**
+     * Score a single title and collect human-readable match reasons
+     */
+    scoreAnime(anime, context) {
+        const weights = this.weights;
+        const reasons = [];
+        let score = 0;
+        let moodMatched = false;
+
+        if (context.mood) {
+            if (anime.moods.some(key => context.moodKeys.includes(key))) {
+                score += weights.moodListed;
+                moodMatched = true;
+                reasons.push(`Hand-picked for "${context.mood.title}"`);
+            }
+
+            const moodGenres = anime.genres.filter(genre => context.mood.recommendedGenres.includes(genre));
+            if (moodGenres.length > 0) {
+                score += weights.moodGenre * moodGenres.length;
+                moodMatched = true;
+                reasons.push(`${this.formatGenres(moodGenres)} fits your mood`);
+            }
+        }
+
+        const preferred = anime.genres.filter(genre => context.genres.includes(genre));
+        if (preferred.length > 0) {
+            score += weights.preferredGenre * preferred.length;
+            reasons.push(`You like ${this.formatGenres(preferred)}`);
+        }
+
+        if (context.difficulty && anime.difficulty) {
+            const gap = DIFFICULTY_ORDER.indexOf(anime.difficulty) - DIFFICULTY_ORDER.indexOf(context.difficulty);
+            if (gap === 0) {
+                score += weights.difficultyMatch;
+                reasons.push(`Right for ${context.difficulty} viewers`);
+            } else if (gap < 0) {
+                score += weights.difficultyEasier;
+                reasons.push('Easy to get into');
+            } else {
+                score += weights.difficultyHarder;
+            }
+        }
+
+        if (context.maxEpisodes && anime.episodes !== null) {
+            if (anime.episodes <= context.maxEpisodes) {
+                score += weights.withinEpisodes;
+                reasons.push(anime.type === 'movie' ? 'A single movie' : `Only ${anime.episodes} episodes`);
+            } else {
+                score += weights.overEpisodes;
+            }
+        }
+
+        const platforms = anime.streamingPlatforms.filter(platform => context.platforms.includes(platform));
+        if (platforms.length > 0) {
+            score += weights.platform;
+            reasons.push(`Streaming on ${platforms.join(', ')}`);
+        }
+
+        if (context.audio === 'dub') {
+            const dubbed = anime.streamingPlatforms.filter(platform => DUBBED_PLATFORMS.includes(platform));
+            if (dubbed.length > 0) {
+                score += weights.dubbed;
+                reasons.push(`Dubbed on ${dubbed.join(', ')}`);
+            }
+        }
+
+        if (context.avoidMature && this.isMature(anime)) {
+            score += weights.matureAvoided;
+        }
+
+        // Rating nudges otherwise equal matches, scaled so 8.0 adds nothing
+        if (anime.rating !== null) {
+            score += weights.rating * Math.max(0, anime.rating - 8);
+        }
+
+        return { anime, score: Math.round(score * 100) / 100, reasons, moodMatched };
+    }
+
+    isMature(anime) {
+        return Boolean(anime.warning) || anime.genres.some(genre => MATURE_GENRES.includes(genre));
+    }
+
+    formatGenres(genres) {
+        return genres.map(genre => this.catalog.getGenreLabel(genre)).join(' & ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecommendationRanker;
+} else {
+    window.RecommendationRanker = RecommendationRanker;
+}
@@ -3,18 +3,51 @@
  * Handles personalized anime recommendations based on user mood/preferences
  */
 
+// Query-string keys for shareable page state; filters add their own keys
+// and the detail view owns ?anime=
+const RECOMMENDATION_URL_PARAMS = {
+    mood: 'mood',
+    query: 'q'
+};
+
 class RecommendationEngine {
-    constructor() {
+    /**
+     * @param {Object} options - { autoInit: false to only construct (scripts/prerender.js),
+     *   on: adds the window/document listeners (the component context's on()) }
+     */
+    constructor({ autoInit = true, on = (target, type, handler) => target.addEventListener(type, handler) } = {}) {
+        this.on = on;
+        this.catalog = window.animeCatalog;
+        this.moods = window.moodRegistry;
+        this.watchlist = window.watchlist;
+        this.ranker = new window.RecommendationRanker(this.catalog, this.moods);
+        this.similarity = null;
+        this.searchIndex = null;
+        this.filters = window.animeFilters || null;
+        this.tasteProfile = window.tasteProfile || null;
         this.recommendations = null;
+        // 'mood', 'search' or 'similar' while results are showing
+        this.currentView = null;
         this.currentCategory = null;
+        this.currentQuery = '';
+        this.rankedResults = [];
+        // rankedResults narrowed by the active filters
+        this.visibleResults = [];
+        // Mood/search/filter part of the URL last rendered, to ignore detail-only history steps
+        this.urlStateKey = '';
+        this.resultsShown = 0;
+        this.pageSize = 6;
         this.isLoading = false;
-        this.init();
+        if (autoInit) this.init();
     }
 
     async init() {
         try {
             await this.loadRecommendations();
+            this.renderMoodCards();
+            this.renderPreferenceOptions();
             this.bindEvents();
+            this.restoreFromUrl();
             this.animateOnLoad();
         } catch (error) {
             console.error('Failed to initialize recommendations:', error);
@@ -24,15 +57,100 @@ class RecommendationEngine {
 
     async loadRecommendations() {
         try {
-            const response = await fetch('./data/recommendations.json');
-            if (!response.ok) throw new Error('Failed to load recommendations');
-            this.recommendations = await response.json();
+            await Promise.all([this.catalog.load(), this.moods.load()]);
+            this.recommendations = this.catalog.sources.recommendations;
+            this.similarity = new window.SimilarityIndex(this.catalog, this.recommendations.searchTags || []).build();
+            this.searchIndex = new window.SearchIndex(this.catalog).build();
         } catch (error) {
             console.error('Error loading recommendations:', error);
             throw error;
         }
     }
 
+    /**
+     * Render the mood cards from the mood registry, replacing the fallback
+     * markup unless the build already rendered them (data-prerendered)
+     */
+    renderMoodCards() {
+        const moodGrid = document.querySelector('.mood-grid');
+        const moods = this.moods.getAll();
+        if (!moodGrid || moodGrid.hasAttribute('data-prerendered') || moods.length === 0) return;
+
+        moodGrid.innerHTML = window.SafeHTML.html`${moods.map(mood => this.createMoodCardHTML(mood))}`;
+    }
+
+    createMoodCardHTML(mood) {
+        const { html } = window.SafeHTML;
+        const preview = mood.preview || { emojis: [], text: '' };
+
+        return html`
+            <div class="mood-card" data-mood="${mood.id}" style="--mood-color: ${mood.color}">
+                <div class="mood-icon">${mood.emoji}</div>
+                <h3 class="mood-title">${mood.title}</h3>
+                <p class="mood-description">${mood.description}</p>
+                <div class="mood-anime-preview">
+                    <div class="preview-images">
+                        ${preview.emojis.map(emoji => html`<div class="preview-img">${emoji}</div>`)}
+                    </div>
+                    <span class="preview-text">${preview.text}</span>
+                </div>
+                <button class="mood-btn btn-primary" data-mood="${mood.id}">${mood.buttonLabel}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Fill the preference form with genre and platform choices from the
+     * data, unless the build already rendered them (data-prerendered)
+     */
+    renderPreferenceOptions() {
+        const form = document.querySelector('.preferences-form');
+        if (!form) return;
+
+        const genreCounts = new Map();
+        this.catalog.getAll().forEach(anime => {
+            anime.genres.forEach(genre => genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1));
+        });
+        const genres = Array.from(genreCounts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([genre]) => ({ value: genre, label: this.catalog.getGenreLabel(genre) }));
+        const platforms = (this.recommendations.streamingPlatforms || []).map(platform => ({ value: platform, label: platform }));
+
+        const { html } = window.SafeHTML;
+        const renderOptions = (container, name, options) => {
+            if (!container || container.hasAttribute('data-prerendered')) return;
+            container.insertAdjacentHTML('beforeend', html`${options.map(option => html`
+                <label class="preference-option">
+                    <input type="checkbox" name="${name}" value="${option.value}">
+                    <span>${option.label}</span>
+                </label>
+            `)}`);
+        };
+
+        renderOptions(form.querySelector('[data-options="genres"]'), 'genres', genres);
+        renderOptions(form.querySelector('[data-options="platforms"]'), 'platforms', platforms);
+    }
+
+    /**
+     * Read the ranking criteria from the preference form, adding the
+     * quiz taste profile (the form wins where both set a value)
+     */
+    getPreferences() {
+        const profile = this.tasteProfile ? this.tasteProfile.toCriteria() : {};
+        const form = document.querySelector('.preferences-form');
+        const data = form ? new FormData(form) : new FormData();
+
+        return {
+            genres: Array.from(new Set([...data.getAll('genres'), ...(profile.genres || [])])),
+            platforms: Array.from(new Set([...data.getAll('platforms'), ...(profile.platforms || [])])),
+            difficulty: data.get('difficulty') || null,
+            maxEpisodes: parseInt(data.get('maxEpisodes'), 10) || profile.maxEpisodes || null,
+            audio: profile.audio || 'either',
+            avoidMature: Boolean(profile.avoidMature)
+        };
+    }
+
     bindEvents() {
         // Mood selection buttons
         document.querySelectorAll('.mood-btn').forEach(btn => {
@@ -40,31 +158,78 @@ class RecommendationEngine {
         });
 
         // Anime card interactions
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.anime-card')) {
-                this.handleAnimeCardClick(e.target.closest('.anime-card'));
+        this.on(document, 'click', (e) => {
+            // "More like this" strip sits inside the card, so handle it first
+            const similarButton = e.target.closest('[data-similar-id]');
+            if (similarButton) {
+                this.showBecauseYouLiked(similarButton.dataset.similarId);
+                return;
             }
+            // Adding to the list shouldn't also open the detail view
             if (e.target.closest('.add-to-list-btn')) {
                 this.handleAddToList(e.target.closest('.add-to-list-btn'));
+                return;
+            }
+            if (e.target.closest('.anime-card')) {
+                this.handleAnimeCardClick(e.target.closest('.anime-card'));
+            }
+            // Results are re-rendered, so these buttons are handled by delegation
+            if (e.target.closest('.reset-btn')) {
+                this.resetRecommendations();
+            }
+            if (e.target.closest('.load-more-btn')) {
+                this.showMoreRecommendations();
+            }
+            if (e.target.closest('.recommendations-results [data-clear-filters]') && this.filters) {
+                this.filters.clear();
             }
         });
 
-        // Reset recommendations
-        const resetBtn = document.querySelector('.reset-btn');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => this.resetRecommendations());
+        // Re-rank the current mood when the quiz profile changes
+        this.on(document, 'tasteProfileChanged', () => {
+            if (this.currentView === 'mood' && !this.isLoading) this.showRecommendations(this.currentCategory, false);
+        });
+
+        // Narrow the current results when the filter panel changes
+        this.on(document, 'filtersChanged', () => {
+            this.urlStateKey = this.getUrlStateKey();
+            this.refreshResults();
+        });
+
+        // Back/forward moves between result sets
+        this.on(window, 'popstate', () => {
+            if (this.getUrlStateKey() !== this.urlStateKey) this.restoreFromUrl();
+        });
+
+        // Re-rank the current mood when preferences change
+        const preferencesForm = document.querySelector('.preferences-form');
+        if (preferencesForm) {
+            preferencesForm.addEventListener('change', () => {
+                if (this.currentCategory) this.showRecommendations(this.currentCategory);
+            });
+            preferencesForm.addEventListener('submit', (e) => e.preventDefault());
         }
 
+        this.on(document, 'watchlistChanged', () => this.updateListButtons());
+
         // Search functionality
         const searchInput = document.querySelector('.search-input');
         if (searchInput) {
-            searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
+            const debouncedSearch = window.PerformanceUtils.debounce((query) => this.handleSearch(query), 250);
+            searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value));
+            searchInput.addEventListener('keydown', (e) => {
+                // Search right away instead of waiting for the debounce
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleSearch(searchInput.value);
+                }
+            });
         }
     }
 
     handleMoodSelection(event) {
         const button = event.currentTarget;
-        const mood = button.dataset.mood;
+        const mood = button.dataset.mood || button.closest('[data-mood]')?.dataset.mood;
         
         if (this.isLoading) return;
         
@@ -74,8 +239,13 @@ class RecommendationEngine {
         });
         button.classList.add('active');
         
+        // A mood replaces any search in progress
+        const searchInput = document.querySelector('.search-input');
+        if (searchInput) searchInput.value = '';
+        
         // Show recommendations for selected mood
         this.showRecommendations(mood);
+        this.updateUrl();
         
         // Smooth scroll to results
         setTimeout(() => {
@@ -89,18 +259,31 @@ class RecommendationEngine {
         }, 100);
     }
 
-    showRecommendations(mood) {
-        if (!this.recommendations?.categories?.[mood]) {
-            console.error(`No recommendations found for mood: ${mood}`);
+    /**
+     * @param {string} moodId - Mood id or alias
+     * @param {boolean} animate - Show the loading state first (skipped when restoring from the URL)
+     */
+    showRecommendations(moodId, animate = true) {
+        const mood = this.moods.resolve(moodId);
+        if (!mood) {
+            console.error(`No recommendations found for mood: ${moodId}`);
             return;
         }
 
-        this.currentCategory = mood;
-        const categoryData = this.recommendations.categories[mood];
+        this.currentView = 'mood';
+        this.currentCategory = mood.id;
+        this.currentQuery = '';
         const resultsContainer = document.querySelector('.recommendations-results');
         
         if (!resultsContainer) return;
 
+        this.rankedResults = this.ranker.rank({ ...this.getPreferences(), mood: mood.id });
+
+        if (!animate) {
+            this.renderMoodResults();
+            return;
+        }
+
         // Show loading state
         this.isLoading = true;
         resultsContainer.innerHTML = this.createLoadingHTML();
@@ -108,12 +291,87 @@ class RecommendationEngine {
 
         // Simulate loading delay for smooth UX
         setTimeout(() => {
-            resultsContainer.innerHTML = this.createRecommendationsHTML(categoryData, mood);
-            this.animateResults();
+            this.renderMoodResults();
             this.isLoading = false;
         }, 800);
     }
 
+    /**
+     * Render the current mood's ranked results through the active filters
+     */
+    renderMoodResults() {
+        const mood = this.moods.resolve(this.currentCategory);
+        const resultsContainer = document.querySelector('.recommendations-results');
+        if (!mood || !resultsContainer) return;
+
+        const categoryKey = this.moods.getKeys(mood.id).find(key => this.recommendations?.categories?.[key]);
+        const categoryData = this.recommendations.categories[categoryKey] || {
+            title: mood.title,
+            description: mood.description
+        };
+
+        this.visibleResults = this.applyFilters(this.rankedResults);
+        this.resultsShown = Math.min(this.pageSize, this.visibleResults.length);
+
+        resultsContainer.innerHTML = this.createRecommendationsHTML(categoryData, mood, this.visibleResults.slice(0, this.resultsShown));
+        resultsContainer.classList.remove('hidden');
+        this.announceResults(this.rankedResults);
+        this.animateResults();
+    }
+
+    /**
+     * Re-render whatever is showing after the filters change
+     */
+    refreshResults() {
+        if (this.isLoading) return;
+
+        if (this.currentView === 'mood') {
+            this.renderMoodResults();
+        } else if (this.currentView === 'search') {
+            this.displaySearchResults(this.rankedResults, this.currentQuery);
+        }
+    }
+
+    /**
+     * Results ({ anime, ... }) that pass the active filters
+     */
+    applyFilters(results) {
+        if (!this.filters) return results;
+        return results.filter(result => this.filters.matches(result.anime));
+    }
+
+    /**
+     * Tell the filter panel which titles it is counting over (none hides it)
+     */
+    announceResults(results) {
+        document.dispatchEvent(new CustomEvent('resultsUpdated', {
+            detail: { anime: results.map(result => result.anime) }
+        }));
+    }
+
+    /**
+     * Append the next page of ranked results
+     */
+    showMoreRecommendations() {
+        const grid = document.querySelector('.recommendations-results .anime-grid');
+        if (!grid || this.resultsShown >= this.visibleResults.length) return;
+
+        const nextPage = this.visibleResults.slice(this.resultsShown, this.resultsShown + this.pageSize);
+        grid.insertAdjacentHTML('beforeend', window.SafeHTML.html`${nextPage
+            .map((result, index) => this.createAnimeCardHTML(result.anime, index, result.reasons))}`);
+        this.resultsShown += nextPage.length;
+
+        this.updateLoadMoreButton();
+        this.animateResults();
+    }
+
+    updateLoadMoreButton() {
+        const loadMoreBtn = document.querySelector('.recommendations-results .load-more-btn');
+        if (loadMoreBtn) {
+            loadMoreBtn.hidden = this.resultsShown >= this.visibleResults.length;
+        }
+    }
+
     createLoadingHTML() {
         return `
             <div class="loading-container">
@@ -123,30 +381,42 @@ class RecommendationEngine {
         `;
     }
 
-    createRecommendationsHTML(categoryData, mood) {
-        const moodEmojis = {
-            hyped: '🔥',
-            emotional: '💫',
-            comedy: '😄',
-            short: '⚡'
-        };
+    createRecommendationsHTML(categoryData, mood, results) {
+        const { html } = window.SafeHTML;
 
-        return `
+        if (results.length === 0 && this.rankedResults.length > 0) {
+            return this.createFilteredOutHTML();
+        }
+
+        if (results.length === 0) {
+            return html`
+                <div class="no-results">
+                    <h3>No matches for these preferences</h3>
+                    <p>Try allowing more episodes or a different experience level</p>
+                    <button class="btn-secondary reset-btn">Try Different Mood</button>
+                </div>
+            `;
+        }
+
+        return html`
             <div class="recommendations-header">
                 <h2 class="recommendations-title">
-                    ${moodEmojis[mood]} ${categoryData.title}
+                    ${mood.emoji} ${categoryData.title}
                 </h2>
                 <p class="recommendations-subtitle">${categoryData.description}</p>
             </div>
             
             <div class="anime-grid">
-                ${categoryData.anime.map((anime, index) => this.createAnimeCardHTML(anime, index)).join('')}
+                ${results.map((result, index) => this.createAnimeCardHTML(result.anime, index, result.reasons))}
             </div>
             
             <div class="recommendations-footer">
                 <button class="btn-secondary reset-btn">
                     Try Different Mood
                 </button>
+                <button class="btn-primary load-more-btn"${this.resultsShown >= this.visibleResults.length ? ' hidden' : ''}>
+                    Get More Recommendations
+                </button>
                 <p class="recommendation-note">
                     All recommendations are beginner-friendly with English subtitles available
                 </p>
@@ -154,157 +424,277 @@ class RecommendationEngine {
         `;
     }
 
-    createAnimeCardHTML(anime, index) {
-        return `
+    /**
+     * Shown when there are results but the filters exclude all of them
+     */
+    createFilteredOutHTML() {
+        return window.SafeHTML.html`
+            <div class="no-results">
+                <h3>No matches for these filters</h3>
+                <p>Try removing a filter or two to see more titles</p>
+                <button class="btn-secondary" data-clear-filters>Clear Filters</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {Object} anime - Catalog record
+     * @param {number} index - Position, used to stagger the animation
+     * @param {Array} reasons - Why the title was recommended
+     * @param {Array} searchTerms - Matched search words to highlight
+     */
+    createAnimeCardHTML(anime, index, reasons = [], searchTerms = null) {
+        const { html, raw, url } = window.SafeHTML;
+        // highlight() escapes the text around its <mark>s
+        const text = value => (searchTerms ? raw(this.searchIndex.highlight(value, searchTerms)) : value);
+
+        return html`
             <div class="anime-card" data-anime-id="${anime.id}" style="animation-delay: ${index * 0.1}s">
                 <div class="anime-image-container">
-                    <img src="${anime.image}" alt="${anime.title}" class="anime-image" loading="lazy">
+                    <img src="${url(anime.image)}" alt="${anime.title}" class="anime-image" loading="lazy">
                     <div class="anime-overlay">
                         <div class="anime-rating">
                             <span class="rating-star">⭐</span>
-                            <span class="rating-value">${anime.rating}</span>
+                            <span class="rating-value">${anime.rating !== null ? anime.rating.toFixed(1) : 'N/A'}</span>
                         </div>
                         <div class="anime-duration">
                             <span class="duration-icon">⏱️</span>
-                            <span class="duration-value">${anime.episodes} eps</span>
+                            <span class="duration-value">${anime.type === 'movie' ? 'Movie' : `${anime.episodes} eps`}</span>
                         </div>
                     </div>
                 </div>
                 
                 <div class="anime-content">
-                    <h3 class="anime-title">${anime.title}</h3>
-                    <p class="anime-genre">${anime.genres.join(' • ')}</p>
-                    <p class="anime-description">${anime.description}</p>
+                    <h3 class="anime-title">${text(anime.title)}</h3>
+                    ${anime.subtitle && searchTerms ? html`<p class="anime-subtitle">${text(anime.subtitle)}</p>` : ''}
+                    <p class="anime-genre">${text(this.catalog.getGenreLabels(anime).join(' • '))}</p>
+                    <p class="anime-description">${text(anime.description)}</p>
                     
                     <div class="anime-tags">
-                        ${anime.tags.map(tag => `<span class="anime-tag">${tag}</span>`).join('')}
+                        ${anime.tags.map(tag => html`<span class="anime-tag">${text(tag)}</span>`)}
                     </div>
                     
+                    ${reasons.length > 0 ? html`
+                    <ul class="anime-match-reasons" aria-label="Why we picked this">
+                        ${reasons.map(reason => html`<li>${reason}</li>`)}
+                    </ul>` : ''}
+                    
                     <div class="anime-actions">
-                        <button class="btn-primary add-to-list-btn" data-anime-id="${anime.id}">
-                            Add to My List
-                        </button>
+                        ${this.createListButtonHTML(anime)}
                         <button class="btn-secondary learn-more-btn" data-anime-id="${anime.id}">
                             Learn More
                         </button>
                     </div>
+                    
+                    ${this.createSimilarStripHTML(anime)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * "More like this" strip listing the closest titles to an anime
+     */
+    createSimilarStripHTML(anime, count = 3) {
+        const similar = this.similarity ? this.similarity.getSimilar(anime.id, count) : [];
+        if (similar.length === 0) return '';
+
+        const { html } = window.SafeHTML;
+        return html`
+            <div class="more-like-this">
+                <button class="more-like-this-title" data-similar-id="${anime.id}">
+                    More like ${anime.title} →
+                </button>
+                <div class="more-like-this-list">
+                    ${similar.map(result => html`
+                        <button class="similar-item" data-similar-id="${result.anime.id}" title="${result.reasons.join(' • ')}">
+                            ${result.anime.title}
+                        </button>
+                    `)}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Replace the results with titles similar to one anime
+     */
+    showBecauseYouLiked(animeId, count = 6) {
+        const anime = this.findAnimeById(animeId);
+        const resultsContainer = document.querySelector('.recommendations-results');
+        if (!anime || !resultsContainer) return;
+
+        const similar = this.similarity.getSimilar(anime.id, count);
+        this.currentView = 'similar';
+        this.rankedResults = similar;
+        this.visibleResults = similar;
+        this.resultsShown = similar.length;
+        // A hand-picked list of neighbours, so filters don't apply
+        this.announceResults([]);
+
+        resultsContainer.innerHTML = window.SafeHTML.html`
+            <div class="recommendations-header">
+                <h2 class="recommendations-title">Because you liked ${anime.title}</h2>
+                <p class="recommendations-subtitle">Titles that share the most genres, themes and creators with it</p>
+            </div>
+            
+            <div class="anime-grid">
+                ${similar.map((result, index) => this.createAnimeCardHTML(result.anime, index, result.reasons))}
+            </div>
+            
+            <div class="recommendations-footer">
+                <button class="btn-secondary reset-btn">
+                    Try Different Mood
+                </button>
+            </div>
+        `;
+        resultsContainer.classList.remove('hidden');
+        resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.animateResults();
+    }
+
     handleAnimeCardClick(card) {
         const animeId = card.dataset.animeId;
         const anime = this.findAnimeById(animeId);
         
         if (anime) {
-            this.showAnimeDetails(anime);
+            this.showAnimeDetails(anime, card.querySelector('.learn-more-btn'));
         }
     }
 
+    /**
+     * Open the shared detail view for an anime
+     * @param {Object} anime - Catalog record
+     * @param {HTMLElement} trigger - Element to refocus when the view closes
+     */
+    showAnimeDetails(anime, trigger = null) {
+        if (!window.animeDetailView) return;
+        window.animeDetailView.open(anime.id, { trigger });
+    }
+
     handleAddToList(button) {
         const animeId = button.dataset.animeId;
         const anime = this.findAnimeById(animeId);
         
         if (anime) {
-            // Add to user's list (stored in localStorage for now)
-            this.addToUserList(anime);
-            
-            // Update button state
-            button.innerHTML = '✓ Added!';
-            button.classList.add('added');
-            button.disabled = true;
-            
-            // Show success notification
-            this.showNotification(`${anime.title} added to your list!`, 'success');
-            
-            // Reset button after 3 seconds
-            setTimeout(() => {
-                button.innerHTML = 'Add to My List';
-                button.classList.remove('added');
-                button.disabled = false;
-            }, 3000);
+            const entry = this.watchlist.get(anime.id);
+            if (entry) {
+                // Don't throw away tracked progress without asking
+                const hasProgress = entry.progress > 0 || entry.score !== null || entry.notes;
+                if (hasProgress && !confirm(`Remove ${anime.title} and its progress from your list?`)) return;
+                this.watchlist.remove(anime.id);
+                this.showNotification(`${anime.title} removed from your list`, 'info');
+            } else {
+                this.addToUserList(anime);
+                this.showNotification(`${anime.title} added to your list!`, 'success');
+            }
         }
     }
 
     addToUserList(anime) {
-        let userList = JSON.parse(localStorage.getItem('startanime_userlist') || '[]');
-        
-        // Check if anime is already in list
-        if (!userList.find(item => item.id === anime.id)) {
-            userList.push({
-                id: anime.id,
-                title: anime.title,
-                image: anime.image,
-                addedAt: new Date().toISOString()
-            });
-            localStorage.setItem('startanime_userlist', JSON.stringify(userList));
-        }
+        return this.watchlist.add(anime);
+    }
+
+    /**
+     * "Add to My List" button showing whether the title is already listed
+     */
+    createListButtonHTML(anime) {
+        const entry = this.watchlist.get(anime.id);
+        return window.SafeHTML.html`
+            <button class="btn-primary add-to-list-btn ${entry ? 'added' : ''}" data-anime-id="${anime.id}" aria-pressed="${entry ? 'true' : 'false'}">
+                ${entry ? `✓ ${this.watchlist.getStatusLabel(entry.status)}` : 'Add to My List'}
+            </button>
+        `;
+    }
+
+    /**
+     * Refresh rendered list buttons after the watchlist changes (here or in another tab)
+     */
+    updateListButtons() {
+        document.querySelectorAll('.add-to-list-btn').forEach((button) => {
+            const anime = this.findAnimeById(button.dataset.animeId);
+            if (anime) button.outerHTML = String(this.createListButtonHTML(anime)).trim();
+        });
     }
 
     findAnimeById(id) {
-        if (!this.recommendations) return null;
-        
-        for (const category of Object.values(this.recommendations.categories)) {
-            const anime = category.anime.find(a => a.id === id);
-            if (anime) return anime;
-        }
-        return null;
+        return this.catalog.getById(id);
     }
 
     handleSearch(query) {
+        // Refining a search replaces its history entry instead of adding one per keystroke
+        const wasSearching = this.currentView === 'search';
+
         if (!query.trim()) {
+            this.currentQuery = '';
             this.showAllCurrentRecommendations();
+            this.updateUrl(false);
             return;
         }
 
-        const filteredResults = this.searchAnime(query);
-        this.displaySearchResults(filteredResults, query);
+        const searchResults = this.searchAnime(query);
+        this.displaySearchResults(searchResults, query);
+        this.updateUrl(!wasSearching);
     }
 
+    /**
+     * Ranked, typo-tolerant search
+     * @returns {Array} [{ anime, score, terms }] best first
+     */
     searchAnime(query) {
-        if (!this.recommendations) return [];
-        
-        const results = [];
-        const searchTerm = query.toLowerCase();
+        if (!this.searchIndex) return [];
         
-        for (const [categoryKey, category] of Object.entries(this.recommendations.categories)) {
-            category.anime.forEach(anime => {
-                if (
-                    anime.title.toLowerCase().includes(searchTerm) ||
-                    anime.genres.some(genre => genre.toLowerCase().includes(searchTerm)) ||
-                    anime.tags.some(tag => tag.toLowerCase().includes(searchTerm)) ||
-                    anime.description.toLowerCase().includes(searchTerm)
-                ) {
-                    results.push({ ...anime, category: categoryKey });
-                }
-            });
+        return this.searchIndex.search(query);
+    }
+
+    /**
+     * Go back to the current mood's results (or hide results) when the search is cleared
+     */
+    showAllCurrentRecommendations() {
+        if (this.currentCategory) {
+            this.showRecommendations(this.currentCategory);
+            return;
         }
-        
-        return results;
+
+        this.hideResults();
     }
 
     displaySearchResults(results, query) {
         const resultsContainer = document.querySelector('.recommendations-results');
         if (!resultsContainer) return;
 
+        this.currentView = 'search';
+        this.currentQuery = query;
+        this.rankedResults = results;
+        this.visibleResults = this.applyFilters(results);
+        this.announceResults(results);
+
+        const { html } = window.SafeHTML;
+        const searchedFor = query.trim();
+        resultsContainer.classList.remove('hidden');
+
+        if (results.length > 0 && this.visibleResults.length === 0) {
+            resultsContainer.innerHTML = this.createFilteredOutHTML();
+            return;
+        }
+
         if (results.length === 0) {
-            resultsContainer.innerHTML = `
+            resultsContainer.innerHTML = html`
                 <div class="no-results">
-                    <h3>No anime found for "${query}"</h3>
+                    <h3>No anime found for "${searchedFor}"</h3>
                     <p>Try searching for genres like "action", "comedy", or specific titles</p>
                 </div>
             `;
             return;
         }
 
-        resultsContainer.innerHTML = `
+        resultsContainer.innerHTML = html`
             <div class="search-results-header">
-                <h2>Search Results for "${query}"</h2>
-                <p>Found ${results.length} anime matching your search</p>
+                <h2>Search Results for "${searchedFor}"</h2>
+                <p>Found ${this.visibleResults.length} anime matching your search</p>
             </div>
             <div class="anime-grid">
-                ${results.map((anime, index) => this.createAnimeCardHTML(anime, index)).join('')}
+                ${this.visibleResults.map((result, index) => this.createAnimeCardHTML(result.anime, index, [], result.terms))}
             </div>
         `;
         
@@ -317,12 +707,6 @@ class RecommendationEngine {
             btn.classList.remove('active');
         });
         
-        // Hide results
-        const resultsContainer = document.querySelector('.recommendations-results');
-        if (resultsContainer) {
-            resultsContainer.classList.add('hidden');
-        }
-        
         // Clear search
         const searchInput = document.querySelector('.search-input');
         if (searchInput) {
@@ -336,6 +720,85 @@ class RecommendationEngine {
         }
         
         this.currentCategory = null;
+        this.currentQuery = '';
+        this.hideResults();
+        this.updateUrl();
+    }
+
+    hideResults() {
+        const resultsContainer = document.querySelector('.recommendations-results');
+        if (resultsContainer) {
+            resultsContainer.classList.add('hidden');
+        }
+
+        this.currentView = null;
+        this.rankedResults = [];
+        this.visibleResults = [];
+        this.resultsShown = 0;
+        this.announceResults([]);
+    }
+
+    /**
+     * Write the mood, search and filters to the query string
+     * @param {boolean} push - Add a history entry (a new result set) or replace the current one
+     */
+    updateUrl(push = true) {
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+
+        params.delete(RECOMMENDATION_URL_PARAMS.mood);
+        params.delete(RECOMMENDATION_URL_PARAMS.query);
+        if (this.currentCategory) params.set(RECOMMENDATION_URL_PARAMS.mood, this.currentCategory);
+        if (this.currentQuery.trim()) params.set(RECOMMENDATION_URL_PARAMS.query, this.currentQuery.trim());
+        if (this.filters) this.filters.toParams(params);
+
+        if (url.href !== window.location.href) {
+            if (push) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(history.state, '', url);
+            }
+        }
+        this.urlStateKey = this.getUrlStateKey();
+    }
+
+    /**
+     * The part of the query string that decides which results show
+     */
+    getUrlStateKey() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('anime');
+        params.sort();
+        return params.toString();
+    }
+
+    /**
+     * Show the mood, search and filters described by the URL (page load and back/forward)
+     */
+    restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const mood = this.moods.resolve(params.get(RECOMMENDATION_URL_PARAMS.mood));
+        const query = params.get(RECOMMENDATION_URL_PARAMS.query) || '';
+
+        if (this.filters) this.filters.fromParams(params);
+        this.urlStateKey = this.getUrlStateKey();
+
+        const searchInput = document.querySelector('.search-input');
+        if (searchInput) searchInput.value = query;
+        document.querySelectorAll('.mood-btn').forEach((btn) => {
+            btn.classList.toggle('active', Boolean(mood) && btn.dataset.mood === mood.id);
+        });
+
+        this.currentCategory = mood ? mood.id : null;
+        this.currentQuery = query;
+
+        if (query.trim()) {
+            this.displaySearchResults(this.searchAnime(query), query);
+        } else if (mood) {
+            this.showRecommendations(mood.id, false);
+        } else {
+            this.hideResults();
+        }
     }
 
     animateOnLoad() {
@@ -391,12 +854,16 @@ class RecommendationEngine {
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new RecommendationEngine();
-});
-
 // Export for potential module use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RecommendationEngine;
+} else {
+    window.RecommendationEngine = RecommendationEngine;
+
+    window.ComponentLoader.define('recommendations', {
+        selector: '.recommendations-section',
+        onMount({ on }) {
+            new RecommendationEngine({ on });
+        }
+    });
 }
\ No newline at end of file
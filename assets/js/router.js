@@ -0,0 +1,322 @@
+/**
+ * StartAnime - Client-side Router
+ * Follows links between the site's pages without reloading: the linked
+ * page is fetched and its <main class="route-view"> takes the place of the
+ * current one, with AnimationController's out/in transition, while
+ * StartAnime, the component loader and the service worker keep running.
+ * Page behaviour mounts on the new view through ComponentLoader
+ * definitions with a selector (StartAnime handles `routeChanged`).
+ * Links stay real links: other sites, new tabs and downloads are left to
+ * the browser, and anything the router can't show falls back to a page load.
+ */
+
+// Pages shown in place, by path from the site root; a capture group is the route id
+const ROUTER_ROUTES = [
+    { name: 'home', pattern: /^(?:index\.html)?$/ },
+    { name: 'recommendations', pattern: /^recommend\.html$/ },
+    { name: 'genre', pattern: /^(?:genres\.html|genre\/([\w-]+)\.html)$/ },
+    { name: 'anime', pattern: /^anime\/([\w-]+)\.html$/ },
+    { name: 'watchlist', pattern: /^my-list\.html$/ }
+];
+
+// The part of every page that changes between routes
+const ROUTER_VIEW_SELECTOR = 'main.route-view';
+
+// Head elements describing the page, replaced with the new page's
+const ROUTER_HEAD_SELECTOR = [
+    'meta[name="description"]',
+    'meta[property^="og:"]',
+    'meta[name^="twitter:"]',
+    'link[rel="canonical"]',
+    'script[type="application/ld+json"]'
+].join(', ');
+
+// Site root, two levels above this file (assets/js/router.js)
+const ROUTER_ROOT = typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+    ? new URL('../../', document.currentScript.src).href
+    : null;
+
+class Router {
+    /**
+     * @param {Object} options - { root: URL of the site root (where index.html is),
+     *   routes: [{ name, pattern }] matched against paths from the root }
+     */
+    constructor({ root = ROUTER_ROOT || document.baseURI, routes = ROUTER_ROUTES } = {}) {
+        this.root = new URL('./', new URL(root, document.baseURI));
+        this.routes = routes;
+        // { route, url } of the page on screen
+        this.current = null;
+        // URL -> scroll position, restored by back/forward
+        this.scrollPositions = new Map();
+        // Later navigations supersede earlier ones still loading
+        this.navigationId = 0;
+        this.started = false;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+        this.recordScroll = this.recordScroll.bind(this);
+    }
+
+    static isSupported() {
+        return Boolean(window.history && window.history.pushState && window.fetch && window.DOMParser);
+    }
+
+    /**
+     * Start following links and back/forward, if the page has a route view
+     * @returns {boolean} Whether the router is running
+     */
+    start() {
+        if (this.started || !Router.isSupported() || !document.querySelector(ROUTER_VIEW_SELECTOR)) return false;
+
+        this.started = true;
+        this.current = { route: this.match(window.location.href), url: window.location.href };
+        // Views are swapped after the history moves, so scrolling is restored here
+        if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+
+        document.addEventListener('click', this.handleClick);
+        window.addEventListener('popstate', this.handlePopState);
+        window.addEventListener('scroll', this.recordScroll, { passive: true });
+        return true;
+    }
+
+    destroy() {
+        if (!this.started) return;
+
+        this.started = false;
+        this.navigationId++;
+        if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'auto';
+
+        document.removeEventListener('click', this.handleClick);
+        window.removeEventListener('popstate', this.handlePopState);
+        window.removeEventListener('scroll', this.recordScroll, { passive: true });
+    }
+
+    /**
+     * The route for a URL, or null for other sites and pages without one
+     * @returns {Object|null} { name, id, path }
+     */
+    match(url) {
+        const target = new URL(url, document.baseURI);
+        if (target.origin !== this.root.origin || !target.pathname.startsWith(this.root.pathname)) return null;
+
+        const path = target.pathname.slice(this.root.pathname.length);
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) return { name: route.name, id: match[1] || null, path };
+        }
+        return null;
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+        // In-page anchors scroll (StartAnime) or switch genres (hashchange)
+        if (link.getAttribute('href').startsWith('#')) return;
+
+        const url = new URL(link.href);
+        const here = new URL(window.location.href);
+        if (url.pathname === here.pathname && url.search === here.search) return;
+        if (!this.match(url.href)) return;
+
+        e.preventDefault();
+        this.navigate(url.href);
+    }
+
+    /**
+     * Back/forward to another page; steps within a page (filters, a
+     * mood, ?anime=, a genre hash) are left to the page's own handlers
+     */
+    handlePopState() {
+        // A page still loading for a link is no longer wanted
+        this.navigationId++;
+
+        const url = window.location.href;
+        if (new URL(url).pathname === new URL(this.current.url).pathname) {
+            // Once the page has re-rendered for the entry
+            if (this.scrollPositions.has(url)) setTimeout(() => window.scrollTo(0, this.scrollPositions.get(url)), 0);
+            return;
+        }
+
+        this.navigate(url, { push: false });
+    }
+
+    recordScroll() {
+        this.scrollPositions.set(window.location.href, window.scrollY);
+    }
+
+    /**
+     * Show the page at url in place of the current one, or load it
+     * normally when it has no route or can't be shown
+     * @param {string} url
+     * @param {Object} options - { push: false when back/forward already moved the history }
+     * @returns {Promise<boolean>} Whether the page was shown in place
+     */
+    async navigate(url, { push = true } = {}) {
+        const target = new URL(url, document.baseURI);
+        const route = this.match(target.href);
+        if (!route) {
+            this.loadNormally(target, { push });
+            return false;
+        }
+
+        const navigationId = ++this.navigationId;
+        try {
+            const page = await this.fetchPage(target);
+            if (navigationId !== this.navigationId) return false;
+
+            const nextView = page.querySelector(ROUTER_VIEW_SELECTOR);
+            if (!nextView) throw new Error(`${route.path || 'index.html'} has no ${ROUTER_VIEW_SELECTOR}`);
+
+            const baseElement = page.querySelector('base[href]');
+            const base = baseElement ? new URL(baseElement.getAttribute('href'), target) : target;
+            const removeStylesheets = await this.loadStylesheets(page, base);
+            await this.loadScripts(page, base);
+            if (navigationId !== this.navigationId) return false;
+
+            const view = await this.swapView(document.importNode(nextView, true), navigationId);
+            if (!view) return false;
+            removeStylesheets();
+            this.updateHead(page, baseElement ? base : null);
+            if (push) window.history.pushState(null, '', target.href);
+
+            this.current = { route, url: target.href };
+            document.dispatchEvent(new CustomEvent('routeChanged', {
+                detail: { route, view, url: target.href }
+            }));
+            this.restoreScroll(target, { restore: !push });
+            return true;
+        } catch (error) {
+            console.warn(`Router: Loading ${target.href} normally:`, error);
+            this.loadNormally(target, { push });
+            return false;
+        }
+    }
+
+    loadNormally(target, { push }) {
+        if (push) {
+            window.location.assign(target.href);
+        } else {
+            window.location.replace(target.href);
+        }
+    }
+
+    async fetchPage(target) {
+        const response = await fetch(target.href, { headers: { Accept: 'text/html' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        return new DOMParser().parseFromString(await response.text(), 'text/html');
+    }
+
+    /**
+     * Add the new page's stylesheets before it is shown
+     * @returns {Function} Removes the current page's stylesheets the new one doesn't use
+     */
+    async loadStylesheets(page, base) {
+        const hrefs = Array.from(page.querySelectorAll('link[rel="stylesheet"][href]'), link => new URL(link.getAttribute('href'), base).href);
+        const current = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'));
+        const loaded = new Set(current.map(link => link.href));
+
+        await Promise.all(hrefs.filter(href => !loaded.has(href)).map(href => this.loadElement('link', { rel: 'stylesheet', href }, document.head)));
+
+        return () => current.filter(link => !hrefs.includes(link.href)).forEach(link => link.remove());
+    }
+
+    /**
+     * Run the new page's scripts this page hasn't loaded, in page order;
+     * inline scripts (service worker registration) have already run
+     */
+    async loadScripts(page, base) {
+        const loaded = new Set(Array.from(document.querySelectorAll('script[src]'), script => script.src));
+
+        for (const script of page.querySelectorAll('script[src]')) {
+            const src = new URL(script.getAttribute('src'), base).href;
+            if (loaded.has(src)) continue;
+
+            const attributes = { src };
+            if (script.type) attributes.type = script.type;
+            await this.loadElement('script', attributes, document.body);
+            loaded.add(src);
+        }
+    }
+
+    loadElement(tagName, attributes, parent) {
+        return new Promise((resolve, reject) => {
+            const element = document.createElement(tagName);
+            Object.assign(element, attributes);
+            element.addEventListener('load', () => resolve(element));
+            element.addEventListener('error', () => reject(new Error(`Failed to load ${attributes.src || attributes.href}`)));
+            parent.appendChild(element);
+        });
+    }
+
+    /**
+     * Fade the current view out and the new one in in its place
+     * @returns {Promise<HTMLElement|null>} The new view, now in the page,
+     *   or null if another navigation started meanwhile
+     */
+    async swapView(nextView, navigationId) {
+        const currentView = document.querySelector(ROUTER_VIEW_SELECTOR);
+        const animations = window.animationController;
+
+        if (animations) await new Promise(resolve => animations.animateOut(currentView, resolve));
+        if (navigationId !== this.navigationId) return null;
+        currentView.replaceWith(nextView);
+        if (animations) animations.animateIn(nextView);
+        return nextView;
+    }
+
+    /**
+     * Title, description and social/structured data from the new page,
+     * and its <base> (generated pages resolve links from the site root)
+     * @param {URL|null} base - The new page's base URL, if it has a <base>
+     */
+    updateHead(page, base) {
+        document.title = page.title;
+
+        document.head.querySelectorAll(ROUTER_HEAD_SELECTOR).forEach(element => element.remove());
+        page.head.querySelectorAll(ROUTER_HEAD_SELECTOR).forEach(element => document.head.appendChild(document.importNode(element, true)));
+
+        let baseElement = document.querySelector('base');
+        if (!base) {
+            if (baseElement) baseElement.remove();
+            return;
+        }
+        if (!baseElement) {
+            baseElement = document.createElement('base');
+            document.head.prepend(baseElement);
+        }
+        baseElement.href = base.href;
+    }
+
+    /**
+     * Back/forward returns to where the page was left; links start at
+     * the top, or at their #fragment
+     */
+    restoreScroll(target, { restore }) {
+        if (restore && this.scrollPositions.has(target.href)) {
+            window.scrollTo(0, this.scrollPositions.get(target.href));
+            return;
+        }
+
+        const anchor = target.hash ? document.getElementById(target.hash.slice(1)) : null;
+        if (anchor) {
+            anchor.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+} else {
+    window.Router = Router;
+
+    document.addEventListener('DOMContentLoaded', () => {
+        window.router = new Router();
+        window.router.start();
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * StartAnime - Safe HTML
+ * Tagged template for markup built from data or user input. Every
+ * interpolated value is escaped with ValidationUtils.sanitizeHTML unless
+ * it is already SafeHTML (a nested html`` or an explicit raw()).
+ *
+ *   const { html } = window.SafeHTML;
+ *   element.innerHTML = html`<h3>${anime.title}</h3>${tags.map(tag => html`<span>${tag}</span>`)}`;
+ */
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    /**
+     * Build markup, escaping every value. Arrays render item by item;
+     * null, undefined and false render nothing.
+     * @returns {SafeHTML}
+     */
+    static html(strings, ...values) {
+        return new SafeHTML(strings.reduce((markup, string, index) => markup + SafeHTML.render(values[index - 1]) + string));
+    }
+
+    static render(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.render(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return SafeHTML.escape(value);
+    }
+
+    /**
+     * @param {*} value - Text to show
+     * @returns {string} Escaped for text and quoted attributes
+     */
+    static escape(value) {
+        return window.ValidationUtils.sanitizeHTML(value);
+    }
+
+    /**
+     * URL for a src/href attribute; script URLs (javascript: etc.) become ''
+     * @returns {SafeHTML}
+     */
+    static url(value) {
+        return new SafeHTML(SafeHTML.escape(window.ValidationUtils.sanitizeURL(value)));
+    }
+
+    /**
+     * Trust markup that was escaped elsewhere (e.g. SearchIndex.highlight)
+     * @returns {SafeHTML}
+     */
+    static raw(markup) {
+        return new SafeHTML(markup);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHTML;
+} else {
+    window.SafeHTML = SafeHTML;
+}
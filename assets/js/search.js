@@ -0,0 +1,217 @@
+/**
+ * StartAnime - Search Index
+ * Typo-tolerant, ranked search over the catalog with match highlighting
+ */
+
+// Relevance of a match in each field
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    subtitle: 8,
+    genres: 5,
+    tags: 4,
+    studio: 3,
+    description: 1
+};
+
+// How much of a field weight each kind of term match earns
+const SEARCH_MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.5
+};
+
+class SearchIndex {
+    /**
+     * @param {AnimeCatalog} catalog - Loaded anime catalog
+     */
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.weights = { ...SEARCH_FIELD_WEIGHTS };
+        // token -> Map(animeId -> Set(field))
+        this.tokens = new Map();
+        this.documents = new Map();
+    }
+
+    /**
+     * Index every catalog title
+     */
+    build() {
+        this.tokens.clear();
+        this.documents.clear();
+
+        this.catalog.getAll().forEach((anime) => {
+            const fields = {
+                title: anime.title,
+                subtitle: anime.subtitle,
+                genres: this.catalog.getGenreLabels(anime).join(' '),
+                tags: anime.tags.join(' '),
+                studio: anime.studio || '',
+                description: anime.description
+            };
+            this.documents.set(anime.id, fields);
+
+            Object.entries(fields).forEach(([field, text]) => {
+                SearchIndex.tokenize(text).forEach((token) => {
+                    if (!this.tokens.has(token)) this.tokens.set(token, new Map());
+                    const postings = this.tokens.get(token);
+                    if (!postings.has(anime.id)) postings.set(anime.id, new Set());
+                    postings.get(anime.id).add(field);
+                });
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Lowercase, accent-free word tokens
+     */
+    static tokenize(text) {
+        return SearchIndex.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    static normalize(text) {
+        return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Damerau-Levenshtein distance, giving up once it exceeds max
+     */
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) {
+                    rows[i][j] = j;
+                    continue;
+                }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, rows[i][j]);
+            }
+            if (i > 0 && rowMin > max) return max + 1;
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Allowed typos grow with the length of the word
+     */
+    static maxTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Indexed tokens a query term matches, with the quality of each match
+     */
+    expandTerm(term) {
+        const matches = [];
+        const maxTypos = SearchIndex.maxTypos(term);
+
+        this.tokens.forEach((postings, token) => {
+            if (token === term) {
+                matches.push({ token, quality: SEARCH_MATCH_QUALITY.exact });
+            } else if (term.length >= 2 && token.startsWith(term)) {
+                matches.push({ token, quality: SEARCH_MATCH_QUALITY.prefix });
+            } else if (maxTypos > 0 && SearchIndex.editDistance(term, token, maxTypos) <= maxTypos) {
+                matches.push({ token, quality: SEARCH_MATCH_QUALITY.fuzzy });
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Search the catalog
+     * @param {string} query - Free text, e.g. "kimetsu", "psycic", "madhouse"
+     * @returns {Array} [{ anime, score, terms }] best first; terms are the
+     *                  indexed words that matched, for highlighting
+     */
+    search(query) {
+        if (this.documents.size === 0) this.build();
+
+        const terms = Array.from(new Set(SearchIndex.tokenize(query)));
+        if (terms.length === 0) return [];
+
+        const scores = new Map();
+        const matchedTokens = new Map();
+        const matchedTerms = new Map();
+
+        terms.forEach((term) => {
+            this.expandTerm(term).forEach(({ token, quality }) => {
+                this.tokens.get(token).forEach((fields, animeId) => {
+                    const best = Math.max(...Array.from(fields).map(field => this.weights[field]));
+                    const termKey = `${animeId}:${term}`;
+                    // Only the best match per query term counts towards the score
+                    const previous = matchedTerms.get(termKey) || 0;
+                    if (best * quality > previous) {
+                        scores.set(animeId, (scores.get(animeId) || 0) - previous + best * quality);
+                        matchedTerms.set(termKey, best * quality);
+                    }
+
+                    if (!matchedTokens.has(animeId)) matchedTokens.set(animeId, new Set());
+                    matchedTokens.get(animeId).add(token);
+                });
+            });
+        });
+
+        const phrase = SearchIndex.normalize(query).trim();
+
+        return Array.from(scores.entries())
+            // Every query word has to match something
+            .filter(([animeId]) => terms.every(term => matchedTerms.has(`${animeId}:${term}`)))
+            .map(([animeId, score]) => {
+                const fields = this.documents.get(animeId);
+                const titles = SearchIndex.normalize(`${fields.title} ${fields.subtitle}`);
+                const bonus = terms.length > 1 && titles.includes(phrase) ? this.weights.title : 0;
+                return {
+                    anime: this.catalog.getById(animeId),
+                    score: Math.round((score + bonus) * 100) / 100,
+                    terms: Array.from(matchedTokens.get(animeId))
+                };
+            })
+            .sort((a, b) => b.score - a.score || (b.anime.rating || 0) - (a.anime.rating || 0));
+    }
+
+    /**
+     * Escape text for HTML and wrap the matched words in <mark>
+     * @param {string} text - Plain text
+     * @param {Array} terms - Indexed tokens returned by search()
+     * @returns {string} Safe HTML
+     */
+    highlight(text, terms = []) {
+        const { escape } = window.SafeHTML;
+        const source = String(text || '');
+        if (terms.length === 0) return escape(source);
+
+        const wanted = new Set(terms);
+        let html = '';
+        let last = 0;
+        source.replace(/[^\s\-–—.,:;!?()"'/]+/g, (word, offset) => {
+            if (SearchIndex.tokenize(word).some(token => wanted.has(token))) {
+                html += `${escape(source.slice(last, offset))}<mark>${escape(word)}</mark>`;
+                last = offset + word.length;
+            }
+            return word;
+        });
+
+        return html + escape(source.slice(last));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+} else {
+    window.SearchIndex = SearchIndex;
+}
@@ -0,0 +1,149 @@
+/**
+ * StartAnime - Similarity Index
+ * Finds titles similar to a given anime using weighted overlap of genres,
+ * tags, search themes, studio and difficulty
+ */
+
+// Weight of a shared feature of each kind
+const SIMILARITY_WEIGHTS = {
+    genre: 3,
+    studio: 2,
+    theme: 1.5,
+    tag: 1,
+    difficulty: 0.5
+};
+
+class SimilarityIndex {
+    /**
+     * @param {AnimeCatalog} catalog - Loaded anime catalog
+     * @param {Array} vocabulary - Theme vocabulary (recommendations.json searchTags)
+     */
+    constructor(catalog, vocabulary = []) {
+        this.catalog = catalog;
+        this.vocabulary = vocabulary.map(term => term.toLowerCase());
+        this.weights = { ...SIMILARITY_WEIGHTS };
+        this.features = new Map();
+    }
+
+    /**
+     * Compute the feature set of every catalog title
+     */
+    build() {
+        this.features.clear();
+        this.catalog.getAll().forEach(anime => {
+            this.features.set(anime.id, this.extractFeatures(anime));
+        });
+        return this;
+    }
+
+    /**
+     * Features are "kind:value" keys so kinds never collide
+     */
+    extractFeatures(anime) {
+        const features = new Set();
+        const genreLabels = this.catalog.getGenreLabels(anime);
+        const text = [...genreLabels, ...anime.tags, anime.description].join(' ').toLowerCase();
+
+        anime.genres.forEach(genre => features.add(`genre:${genre}`));
+        anime.tags.forEach(tag => features.add(`tag:${tag.toLowerCase()}`));
+
+        const genreTerms = new Set(genreLabels.map(label => label.toLowerCase()));
+        // Themes that merely repeat a genre would count the same signal twice
+        this.vocabulary.filter(term => !genreTerms.has(term)).forEach((term) => {
+            if (new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text)) {
+                features.add(`theme:${term}`);
+            }
+        });
+        if (anime.studio) {
+            anime.studio.split('/').forEach(studio => features.add(`studio:${studio.trim()}`));
+        }
+        if (anime.difficulty) features.add(`difficulty:${anime.difficulty}`);
+
+        return features;
+    }
+
+    getFeatures(animeId) {
+        if (this.features.size === 0) this.build();
+        const anime = this.catalog.getById(animeId);
+        return anime ? this.features.get(anime.id) : null;
+    }
+
+    featureWeight(feature) {
+        return this.weights[feature.split(':')[0]] || 0;
+    }
+
+    /**
+     * Weighted Jaccard similarity between two feature sets (0-1)
+     */
+    compare(featuresA, featuresB) {
+        let shared = 0;
+        let total = 0;
+        const union = new Set([...featuresA, ...featuresB]);
+
+        union.forEach((feature) => {
+            const weight = this.featureWeight(feature);
+            total += weight;
+            if (featuresA.has(feature) && featuresB.has(feature)) shared += weight;
+        });
+
+        return total > 0 ? shared / total : 0;
+    }
+
+    /**
+     * Titles most similar to the given anime
+     * @param {string} animeId - Catalog id (aliases allowed)
+     * @param {number} n - Maximum number of results
+     * @returns {Array} [{ anime, score, reasons }] most similar first
+     */
+    getSimilar(animeId, n = 4) {
+        const source = this.catalog.getById(animeId);
+        const sourceFeatures = this.getFeatures(animeId);
+        if (!source || !sourceFeatures) return [];
+
+        return this.catalog.getAll()
+            .filter(anime => anime.id !== source.id)
+            .map((anime) => {
+                const features = this.features.get(anime.id);
+                return {
+                    anime,
+                    score: Math.round(this.compare(sourceFeatures, features) * 1000) / 1000,
+                    reasons: this.explain(sourceFeatures, features)
+                };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || (b.anime.rating || 0) - (a.anime.rating || 0))
+            .slice(0, n);
+    }
+
+    /**
+     * Describe the shared features, strongest kinds first
+     */
+    explain(featuresA, featuresB) {
+        const shared = { genre: [], studio: [], theme: [] };
+        featuresA.forEach((feature) => {
+            if (!featuresB.has(feature)) return;
+            const separator = feature.indexOf(':');
+            const kind = feature.slice(0, separator);
+            if (shared[kind]) shared[kind].push(feature.slice(separator + 1));
+        });
+
+        const reasons = [];
+        if (shared.genre.length > 0) {
+            reasons.push(`Also ${shared.genre.map(genre => this.catalog.getGenreLabel(genre)).join(' & ')}`);
+        }
+        if (shared.studio.length > 0) {
+            reasons.push(`Same studio: ${shared.studio.join(', ')}`);
+        }
+        if (shared.theme.length > 0) {
+            reasons.push(`Shared themes: ${shared.theme.join(', ')}`);
+        }
+        return reasons;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimilarityIndex;
+} else {
+    window.SimilarityIndex = SimilarityIndex;
+}
@@ -0,0 +1,320 @@
+/**
+ * StartAnime - Storage Service
+ * Namespaced, versioned persistence. Small state lives in localStorage
+ * (with an in-memory fallback); larger data goes to IndexedDB.
+ */
+
+const STORAGE_NAMESPACE = 'startanime:';
+const STORAGE_VERSION = 1;
+const STORAGE_VERSION_KEY = 'version';
+
+/**
+ * Migrations run in order for every version newer than the stored one.
+ * Add a new entry (and bump STORAGE_VERSION) whenever a stored shape changes.
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move the original un-namespaced keys under startanime:',
+        migrate(storage) {
+            storage.adoptLegacyKey('startanime_userlist', 'watchlist');
+            storage.adoptLegacyKey('startanime_preferences', 'preferences');
+        }
+    }
+];
+
+class IndexedDBStore {
+    /**
+     * Promise-based key/value store on a single IndexedDB object store
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(dbName = 'startanime', storeName = 'keyval') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this.request('readonly', store => store.getAllKeys());
+    }
+}
+
+class StorageService {
+    /**
+     * @param {Storage} backend - Web Storage implementation (localStorage by default)
+     * @param {Object} options - { migrations, version: the version they bring data up to }
+     */
+    constructor(backend = StorageService.detectLocalStorage(), { migrations = STORAGE_MIGRATIONS, version = STORAGE_VERSION } = {}) {
+        this.backend = backend;
+        this.migrations = migrations;
+        this.version = version;
+        // Values that could not be written to the backend stay usable for this session
+        this.memory = new Map();
+        this.large = new IndexedDBStore();
+        // { version, error } of a migration that failed, retried on the next visit
+        this.migrationError = null;
+        // storageError details kept until a page takes them: the migration
+        // runs as this script loads, before anything listens
+        this.earlyErrors = [];
+        this.migrate();
+    }
+
+    /**
+     * localStorage, or null when it is disabled (e.g. some private modes)
+     */
+    static detectLocalStorage() {
+        try {
+            const probe = `${STORAGE_NAMESPACE}probe`;
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static isQuotaError(error) {
+        return error instanceof DOMException && (
+            error.name === 'QuotaExceededError'
+            || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code === 22
+            || error.code === 1014
+        );
+    }
+
+    key(name) {
+        return `${STORAGE_NAMESPACE}${name}`;
+    }
+
+    /**
+     * Dispatch storageError; StartAnime tells the user about failed writes
+     * and migrations
+     * @param {string} reason - 'quota' or 'unavailable' (the change only lasts
+     *   for this visit), 'unreadable' (a stored value isn't JSON) or 'migration'
+     */
+    reportError(name, reason, error) {
+        const detail = { key: name, reason, error };
+        if (this.earlyErrors) this.earlyErrors.push(detail);
+        document.dispatchEvent(new CustomEvent('storageError', { detail }));
+    }
+
+    /**
+     * storageError details reported before the caller started listening.
+     * Later errors only arrive as events.
+     * @returns {Array} [{ key, reason, error }]
+     */
+    takeEarlyErrors() {
+        const errors = this.earlyErrors || [];
+        this.earlyErrors = null;
+        return errors;
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} name - Key without the namespace
+     * @param {any} defaultValue - Returned when the key is missing or unreadable
+     */
+    get(name, defaultValue = null) {
+        const fullKey = this.key(name);
+        if (this.memory.has(fullKey)) return this.memory.get(fullKey);
+        if (!this.backend) return defaultValue;
+
+        try {
+            const raw = this.backend.getItem(fullKey);
+            return raw === null ? defaultValue : JSON.parse(raw);
+        } catch (error) {
+            this.reportError(name, 'unreadable', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Store a value
+     * @returns {boolean} True if it was persisted, false if kept in memory only
+     */
+    set(name, value) {
+        const fullKey = this.key(name);
+
+        try {
+            if (!this.backend) throw new Error('localStorage is not available');
+            this.backend.setItem(fullKey, JSON.stringify(value));
+            this.memory.delete(fullKey);
+            return true;
+        } catch (error) {
+            this.memory.set(fullKey, value);
+            this.reportError(name, StorageService.isQuotaError(error) ? 'quota' : 'unavailable', error);
+            return false;
+        }
+    }
+
+    remove(name) {
+        const fullKey = this.key(name);
+        this.memory.delete(fullKey);
+        if (!this.backend) return;
+
+        try {
+            this.backend.removeItem(fullKey);
+        } catch (error) {
+            this.reportError(name, 'unavailable', error);
+        }
+    }
+
+    /**
+     * Names of every stored key in the namespace
+     */
+    keys() {
+        const names = new Set();
+        if (this.backend) {
+            for (let i = 0; i < this.backend.length; i++) {
+                const fullKey = this.backend.key(i);
+                if (fullKey && fullKey.startsWith(STORAGE_NAMESPACE)) names.add(fullKey.slice(STORAGE_NAMESPACE.length));
+            }
+        }
+        this.memory.forEach((value, fullKey) => names.add(fullKey.slice(STORAGE_NAMESPACE.length)));
+        return Array.from(names);
+    }
+
+    /**
+     * Call back when another tab changes a key
+     * @param {string} name - Key without the namespace
+     * @param {Function} callback - Receives the new value (null when removed)
+     */
+    onExternalChange(name, callback) {
+        const fullKey = this.key(name);
+        window.addEventListener('storage', (e) => {
+            if (e.key !== fullKey) return;
+            let value = null;
+            try {
+                value = e.newValue === null ? null : JSON.parse(e.newValue);
+            } catch (error) {
+                this.reportError(name, 'unreadable', error);
+                return;
+            }
+            callback(value);
+        });
+    }
+
+    getVersion() {
+        return this.get(STORAGE_VERSION_KEY, 0);
+    }
+
+    /**
+     * Bring stored data up to this.version, one migration at a time. A
+     * failed migration stops the rest (they expect its result) and the
+     * stored version stays at the last one that succeeded, so it runs again
+     * on the next visit.
+     * @returns {number} The version stored data is now at
+     */
+    migrate() {
+        let current = this.getVersion();
+        if (current >= this.version) return current;
+
+        const pending = this.migrations
+            .filter(migration => migration.version > current && migration.version <= this.version)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            try {
+                migration.migrate(this);
+            } catch (error) {
+                this.migrationError = { version: migration.version, error };
+                this.reportError(STORAGE_VERSION_KEY, 'migration', error);
+                return current;
+            }
+            current = migration.version;
+            this.set(STORAGE_VERSION_KEY, current);
+        }
+
+        // Versions that changed nothing stored have no migration
+        if (current < this.version) {
+            current = this.version;
+            this.set(STORAGE_VERSION_KEY, current);
+        }
+        return current;
+    }
+
+    /**
+     * Move a pre-namespace key to its namespaced name, unless the new key exists
+     */
+    adoptLegacyKey(legacyKey, name) {
+        if (!this.backend) return;
+
+        const raw = this.backend.getItem(legacyKey);
+        if (raw === null) return;
+
+        if (this.backend.getItem(this.key(name)) === null) {
+            let value;
+            try {
+                value = JSON.parse(raw);
+            } catch (error) {
+                this.reportError(name, 'unreadable', error);
+                this.backend.removeItem(legacyKey);
+                return;
+            }
+            // Keep the original until the copy is safely written
+            if (!this.set(name, value)) return;
+        }
+        this.backend.removeItem(legacyKey);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageService, IndexedDBStore, STORAGE_MIGRATIONS };
+} else {
+    window.StorageService = StorageService;
+    window.IndexedDBStore = IndexedDBStore;
+    window.startAnimeStorage = new StorageService();
+}
@@ -0,0 +1,191 @@
+/**
+ * StartAnime - Taste Profile
+ * Onboarding quiz questions and the taste profile built from the answers,
+ * persisted with the user's preferences and used to rank recommendations
+ */
+
+const PREFERENCES_STORAGE_KEY = 'preferences';
+
+/**
+ * Quiz steps in order. Option `genres` feed the ranking's preferred genres;
+ * `maxEpisodes` caps series length; `avoidMature` demotes mature titles.
+ * Platform options are filled in from recommendations.json.
+ */
+const TASTE_QUIZ_STEPS = [
+    {
+        id: 'films',
+        title: 'Which Western films or shows do you enjoy?',
+        hint: 'Pick as many as you like',
+        multiple: true,
+        options: [
+            { value: 'superhero', label: 'Superhero blockbusters', genres: ['superhero', 'action'] },
+            { value: 'fantasy', label: 'Fantasy epics like The Lord of the Rings', genres: ['fantasy', 'adventure'] },
+            { value: 'sitcoms', label: 'Sitcoms and comedies', genres: ['comedy', 'slice-of-life'] },
+            { value: 'romance', label: 'Romantic dramas', genres: ['romance', 'drama'] },
+            { value: 'thrillers', label: 'Thrillers and mysteries', genres: ['thriller', 'mystery', 'psychological'] },
+            { value: 'horror', label: 'Horror', genres: ['horror', 'supernatural'] },
+            { value: 'family', label: 'Pixar and Disney films', genres: ['family', 'adventure', 'fantasy'] },
+            { value: 'coming-of-age', label: 'Coming-of-age and high-school stories', genres: ['school', 'drama'] }
+        ]
+    },
+    {
+        id: 'length',
+        title: 'How much time do you want to commit?',
+        hint: 'Some favourites run for over a hundred episodes',
+        multiple: false,
+        options: [
+            { value: 'movie', label: 'A movie or a very short series', maxEpisodes: 13 },
+            { value: 'season', label: 'A season or two', maxEpisodes: 26 },
+            { value: 'long', label: 'A long story is fine', maxEpisodes: 75 },
+            { value: 'any', label: 'The longer the better', maxEpisodes: null }
+        ]
+    },
+    {
+        id: 'audio',
+        title: 'Subtitles or dubs?',
+        hint: 'Most streaming services offer both for popular shows',
+        multiple: false,
+        options: [
+            { value: 'sub', label: 'Subtitles, original Japanese audio' },
+            { value: 'dub', label: 'English dub' },
+            { value: 'either', label: "I don't mind" }
+        ]
+    },
+    {
+        id: 'mature',
+        title: 'How do you feel about mature themes?',
+        hint: 'Graphic violence, horror and disturbing psychological stories',
+        multiple: false,
+        options: [
+            { value: 'avoid', label: "I'd rather avoid them", avoidMature: true },
+            { value: 'some', label: 'Some is fine if the story is good', avoidMature: false },
+            { value: 'fine', label: 'Bring it on', avoidMature: false }
+        ]
+    },
+    {
+        id: 'platforms',
+        title: 'Which streaming services do you have?',
+        hint: "We'll favour shows you can start tonight",
+        multiple: true,
+        options: []
+    }
+];
+
+class TasteProfile {
+    /**
+     * @param {StorageService} storage - Where preferences are persisted
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Quiz steps, with the platform step filled from the data files
+     * @param {Array} platforms - Streaming platform names
+     */
+    getSteps(platforms = []) {
+        return TASTE_QUIZ_STEPS.map(step => (step.id === 'platforms'
+            ? { ...step, options: platforms.map(platform => ({ value: platform, label: platform, platform })) }
+            : step));
+    }
+
+    /**
+     * The saved profile, or null before the quiz has been taken
+     */
+    get() {
+        const preferences = this.storage.get(PREFERENCES_STORAGE_KEY, {}) || {};
+        return preferences.tasteProfile || null;
+    }
+
+    has() {
+        return this.get() !== null;
+    }
+
+    /**
+     * Build and persist a profile from quiz answers
+     * @param {Object} answers - Step id -> value (or array of values for multiple-choice steps)
+     * @param {Array} platforms - Streaming platform names offered in the quiz
+     * @returns {Object} The saved profile
+     */
+    save(answers, platforms = []) {
+        const steps = this.getSteps(platforms);
+        const chosen = (stepId) => {
+            const step = steps.find(item => item.id === stepId);
+            const values = [].concat(answers[stepId] || []);
+            return step.options.filter(option => values.includes(option.value));
+        };
+
+        const length = chosen('length')[0];
+        const mature = chosen('mature')[0];
+        const audio = chosen('audio')[0];
+
+        const profile = {
+            answers: { ...answers },
+            genres: Array.from(new Set(chosen('films').flatMap(option => option.genres))),
+            maxEpisodes: length ? length.maxEpisodes : null,
+            audio: audio ? audio.value : 'either',
+            avoidMature: mature ? mature.avoidMature : false,
+            platforms: chosen('platforms').map(option => option.platform),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.write(profile);
+        return profile;
+    }
+
+    clear() {
+        this.write(null);
+    }
+
+    write(profile) {
+        const preferences = this.storage.get(PREFERENCES_STORAGE_KEY, {}) || {};
+        if (profile) {
+            preferences.tasteProfile = profile;
+        } else {
+            delete preferences.tasteProfile;
+        }
+        this.storage.set(PREFERENCES_STORAGE_KEY, preferences);
+        document.dispatchEvent(new CustomEvent('tasteProfileChanged', { detail: { profile } }));
+    }
+
+    /**
+     * Ranking criteria contributed by the profile
+     * @returns {Object} { genres, maxEpisodes, platforms, audio, avoidMature }
+     */
+    toCriteria() {
+        const profile = this.get();
+        if (!profile) return {};
+
+        return {
+            genres: profile.genres || [],
+            maxEpisodes: profile.maxEpisodes || null,
+            platforms: profile.platforms || [],
+            audio: profile.audio || 'either',
+            avoidMature: Boolean(profile.avoidMature)
+        };
+    }
+
+    /**
+     * Short human-readable lines describing the profile
+     */
+    describe(profile = this.get(), catalog = null) {
+        if (!profile) return [];
+
+        const genreLabel = genre => (catalog ? catalog.getGenreLabel(genre) : genre);
+        const lines = [];
+        if (profile.genres.length > 0) lines.push(`Into ${profile.genres.slice(0, 4).map(genreLabel).join(', ')}`);
+        lines.push(profile.maxEpisodes ? `Up to ${profile.maxEpisodes} episodes` : 'Any length');
+        lines.push({ sub: 'Prefers subtitles', dub: 'Prefers English dubs', either: 'Subs or dubs' }[profile.audio] || 'Subs or dubs');
+        if (profile.avoidMature) lines.push('Avoiding mature themes');
+        if (profile.platforms.length > 0) lines.push(`Watches on ${profile.platforms.join(', ')}`);
+        return lines;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TasteProfile, TASTE_QUIZ_STEPS };
+} else {
+    window.TasteProfile = TasteProfile;
+    window.tasteProfile = new TasteProfile(window.startAnimeStorage);
+}
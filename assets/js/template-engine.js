@@ -0,0 +1,258 @@
+/**
+ * StartAnime - Template Engine
+ * Handlebars-style templates for the component system: HTML-escaped
+ * {{value}} by default, raw {{{value}}}, {{#each}}, {{#if}} / {{#unless}}
+ * with {{else}}, dotted paths (anime.studio) and {{> component}} partials
+ */
+
+// {{! comment }}, {{{raw}}} or any other {{tag}}
+const TEMPLATE_TAG_PATTERN = /{{(!--[\s\S]*?--|![\s\S]*?|{[\s\S]*?}|[\s\S]*?)}}/g;
+
+const TEMPLATE_BLOCKS = ['each', 'if', 'unless'];
+
+// Partials may include themselves for nested data; deeper than this is a loop
+const TEMPLATE_MAX_PARTIAL_DEPTH = 32;
+
+const TEMPLATE_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+class TemplateEngine {
+    constructor() {
+        // template source -> compiled node tree
+        this.cache = new Map();
+        this.partials = new Map();
+        // Names of the partials being rendered, outermost first
+        this.partialStack = [];
+    }
+
+    /**
+     * Parse a template once; repeat calls reuse the cached tree
+     * @param {string} source - Template markup
+     * @returns {Array} Compiled nodes
+     */
+    compile(source) {
+        const template = String(source);
+        if (!this.cache.has(template)) {
+            this.cache.set(template, this.parse(template));
+        }
+        return this.cache.get(template);
+    }
+
+    parse(template) {
+        const root = { children: [] };
+        const stack = [root];
+        // Branch (children or inverse) each open block was started from
+        const branches = [];
+        let current = root.children;
+        let lastIndex = 0;
+        let match;
+
+        TEMPLATE_TAG_PATTERN.lastIndex = 0;
+        while ((match = TEMPLATE_TAG_PATTERN.exec(template)) !== null) {
+            if (match.index > lastIndex) {
+                current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = TEMPLATE_TAG_PATTERN.lastIndex;
+
+            const tag = match[1].trim();
+            const block = stack[stack.length - 1];
+
+            if (tag.startsWith('!')) continue;
+
+            if (tag.startsWith('{')) {
+                current.push({ type: 'value', path: tag.slice(1, -1).trim(), raw: true });
+            } else if (tag.startsWith('#')) {
+                const [name, path = 'this'] = tag.slice(1).trim().split(/\s+/);
+                if (!TEMPLATE_BLOCKS.includes(name)) {
+                    throw new Error(`Unknown template block "{{#${name}}}"`);
+                }
+                const node = { type: 'block', name, path, children: [], inverse: [] };
+                current.push(node);
+                stack.push(node);
+                branches.push(current);
+                current = node.children;
+            } else if (tag === 'else') {
+                if (stack.length === 1) throw new Error('{{else}} outside of a block');
+                current = block.inverse;
+            } else if (tag.startsWith('/')) {
+                const name = tag.slice(1).trim();
+                if (stack.length === 1 || block.name !== name) {
+                    throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${block.name}}}` : ''}`);
+                }
+                stack.pop();
+                current = branches.pop();
+            } else if (tag.startsWith('>')) {
+                const [name, path = 'this'] = tag.slice(1).trim().split(/\s+/);
+                current.push({ type: 'partial', name, path });
+            } else if (tag.startsWith('&')) {
+                current.push({ type: 'value', path: tag.slice(1).trim(), raw: true });
+            } else {
+                current.push({ type: 'value', path: tag, raw: false });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} block`);
+        }
+        if (lastIndex < template.length) {
+            current.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        return root.children;
+    }
+
+    /**
+     * Render a template with data
+     * @param {string} source - Template markup
+     * @param {Object} data - Values for the template
+     * @returns {string} HTML
+     */
+    render(source, data = {}) {
+        return this.renderNodes(this.compile(source), [data], {});
+    }
+
+    renderNodes(nodes, contexts, locals) {
+        return nodes.map(node => this.renderNode(node, contexts, locals)).join('');
+    }
+
+    renderNode(node, contexts, locals) {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'value': {
+                const value = this.lookup(node.path, contexts, locals);
+                const text = this.toText(value);
+                return node.raw ? text : TemplateEngine.escapeHTML(text);
+            }
+            case 'block':
+                return this.renderBlock(node, contexts, locals);
+            case 'partial': {
+                const partial = this.partials.get(node.name);
+                if (partial === undefined) throw new Error(`Unknown partial "{{> ${node.name}}}"`);
+                if (this.partialStack.length >= TEMPLATE_MAX_PARTIAL_DEPTH) {
+                    const chain = [...this.partialStack.slice(-3), node.name].join(' > ');
+                    throw new Error(`Partials nested more than ${TEMPLATE_MAX_PARTIAL_DEPTH} deep: ... > ${chain}`);
+                }
+
+                this.partialStack.push(node.name);
+                try {
+                    return this.renderNodes(this.compile(partial), [...contexts, this.lookup(node.path, contexts, locals)], locals);
+                } finally {
+                    this.partialStack.pop();
+                }
+            }
+            default:
+                return '';
+        }
+    }
+
+    renderBlock(node, contexts, locals) {
+        const value = this.lookup(node.path, contexts, locals);
+
+        if (node.name === 'each') {
+            const items = this.toList(value);
+            if (items.length === 0) return this.renderNodes(node.inverse, contexts, locals);
+
+            return items.map(([key, item], index) => this.renderNodes(node.children, [...contexts, item], {
+                ...locals,
+                index,
+                key,
+                first: index === 0,
+                last: index === items.length - 1
+            })).join('');
+        }
+
+        const truthy = this.isTruthy(value);
+        const branch = (node.name === 'if' ? truthy : !truthy) ? node.children : node.inverse;
+        return this.renderNodes(branch, contexts, locals);
+    }
+
+    /**
+     * Resolve "this", "@index"-style locals and dotted paths. Plain names
+     * fall back to enclosing contexts so loops can still reach outer data.
+     */
+    lookup(path, contexts, locals) {
+        if (path.startsWith('@')) return locals[path.slice(1)];
+        if (path === 'this' || path === '.') return contexts[contexts.length - 1];
+
+        const explicitThis = path.startsWith('this.');
+        const keys = (explicitThis ? path.slice(5) : path).split('.');
+        const scopes = explicitThis ? [contexts[contexts.length - 1]] : contexts.slice().reverse();
+
+        const owns = (value, key) => value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(Object(value), key);
+
+        // Own properties only, so {{constructor}} and friends render nothing
+        for (const scope of scopes) {
+            if (typeof scope === 'object' && owns(scope, keys[0])) {
+                return keys.reduce((value, key) => (owns(value, key) ? value[key] : undefined), scope);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * [key, value] pairs for arrays, objects and single values
+     */
+    toList(value) {
+        if (value === null || value === undefined || value === false) return [];
+        if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+        if (typeof value === 'object') return Object.entries(value);
+        return [[0, value]];
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return Boolean(value);
+    }
+
+    toText(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => this.toText(item)).join(', ');
+        return String(value);
+    }
+
+    registerPartial(name, source) {
+        this.partials.set(name, source);
+    }
+
+    hasPartial(name) {
+        return this.partials.has(name);
+    }
+
+    /**
+     * Names of the partials a template uses, including inside blocks
+     */
+    getPartialNames(source) {
+        const names = new Set();
+        const walk = nodes => nodes.forEach((node) => {
+            if (node.type === 'partial') names.add(node.name);
+            if (node.type === 'block') {
+                walk(node.children);
+                walk(node.inverse);
+            }
+        });
+        walk(this.compile(source));
+        return Array.from(names);
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"'`]/g, char => TEMPLATE_ESCAPES[char]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateEngine;
+} else {
+    window.TemplateEngine = TemplateEngine;
+}
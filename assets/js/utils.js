@@ -114,11 +114,14 @@ export const AnimationUtils = {
   export const AnimeUtils = {
     /**
      * Get anime by ID from data
-     * @param {Array} animeList - Array of anime objects
-     * @param {number} id - Anime ID
+     * @param {Array|AnimeCatalog} animeList - Array of anime objects or the shared catalog
+     * @param {string} id - Anime ID (catalog lookups also resolve legacy aliases)
      * @returns {Object|null} Anime object or null
      */
     getAnimeById(animeList, id) {
+      if (animeList && typeof animeList.getById === 'function') {
+        return animeList.getById(id);
+      }
       return animeList.find(anime => anime.id === id) || null;
     },
   
@@ -156,59 +159,48 @@ export const AnimationUtils = {
     },
   
     /**
-     * Get difficulty level based on rating and complexity
+     * Get difficulty level: the catalog's own rating when there is one,
+     * otherwise an estimate from length and rating
      * @param {Object} anime - Anime object
-     * @returns {string} Difficulty level
+     * @returns {string} 'beginner', 'intermediate' or 'advanced' (genres.json difficulty_progression keys)
      */
     getDifficultyLevel(anime) {
-      if (anime.beginner_friendly === true) return 'Beginner';
-      if (anime.episodes && anime.episodes <= 13) return 'Easy';
-      if (anime.rating && anime.rating >= 8.5) return 'Intermediate';
-      return 'Advanced';
+      if (anime.difficulty) return anime.difficulty;
+      if (anime.beginner_friendly === true) return 'beginner';
+      if (anime.episodes && anime.episodes <= 13) return 'beginner';
+      if (anime.rating && anime.rating >= 8.5) return 'intermediate';
+      return 'advanced';
     }
   };
   
-  // Local storage utilities
+  // Local storage utilities (thin wrapper over the shared StorageService in storage.js)
   export const StorageUtils = {
     /**
-     * Save data to localStorage
+     * Save data under the startanime: namespace
      * @param {string} key - Storage key
      * @param {any} data - Data to store
+     * @returns {boolean} True if the data was persisted
      */
     save(key, data) {
-      try {
-        localStorage.setItem(key, JSON.stringify(data));
-      } catch (error) {
-        console.warn('Could not save to localStorage:', error);
-      }
+      return window.startAnimeStorage.set(key, data);
     },
   
     /**
-     * Load data from localStorage
+     * Load data from the startanime: namespace
      * @param {string} key - Storage key
      * @param {any} defaultValue - Default value if key doesn't exist
      * @returns {any} Stored data or default value
      */
     load(key, defaultValue = null) {
-      try {
-        const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
-      } catch (error) {
-        console.warn('Could not load from localStorage:', error);
-        return defaultValue;
-      }
+      return window.startAnimeStorage.get(key, defaultValue);
     },
   
     /**
-     * Remove data from localStorage
+     * Remove data from the startanime: namespace
      * @param {string} key - Storage key
      */
     remove(key) {
-      try {
-        localStorage.removeItem(key);
-      } catch (error) {
-        console.warn('Could not remove from localStorage:', error);
-      }
+      window.startAnimeStorage.remove(key);
     }
   };
   
@@ -234,14 +226,29 @@ export const AnimationUtils = {
     },
   
     /**
-     * Sanitize HTML string
+     * Sanitize HTML string, safe for text and quoted attribute values
      * @param {string} str - String to sanitize
      * @returns {string} Sanitized string
      */
     sanitizeHTML(str) {
       const div = document.createElement('div');
-      div.textContent = str;
-      return div.innerHTML;
+      div.textContent = str === null || str === undefined ? '' : String(str);
+      // textContent only escapes &, < and >
+      return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+  
+    /**
+     * Drop URLs that could run script (javascript:, data:, vbscript:, ...)
+     * @param {string} url - URL from data or user input
+     * @returns {string} The URL if relative or http(s), otherwise ''
+     */
+    sanitizeURL(url) {
+      const value = url === null || url === undefined ? '' : String(url).trim();
+      // Browsers ignore tabs, newlines and control characters inside the scheme
+      const compact = Array.from(value).filter(char => char > ' ' && char !== '\u007F').join('');
+      const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+      if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) return '';
+      return value;
     }
   };
   
@@ -350,6 +357,11 @@ export const AnimationUtils = {
     }
   };
   
+  // Classic (non-module) scripts such as recommendations.js use these through window
+  window.PerformanceUtils = PerformanceUtils;
+  window.AnimeUtils = AnimeUtils;
+  window.ValidationUtils = ValidationUtils;
+  
   // Initialize utilities when DOM is ready
   DOMUtils.ready(() => {
     // Auto-apply hover lift to cards
@@ -0,0 +1,300 @@
+/**
+ * StartAnime - Watchlist Import/Export
+ * Converts the watchlist to and from MyAnimeList XML exports and
+ * AniList-style JSON, matching imported titles to catalog ids
+ */
+
+// Watchlist status <-> MyAnimeList my_status
+const MAL_STATUSES = {
+    plan_to_watch: 'Plan to Watch',
+    watching: 'Watching',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+// Watchlist status <-> AniList MediaListStatus
+const ANILIST_STATUSES = {
+    plan_to_watch: 'PLANNING',
+    watching: 'CURRENT',
+    completed: 'COMPLETED',
+    dropped: 'DROPPED'
+};
+
+// Statuses we have no equivalent for are kept as "still watching"
+const IMPORT_STATUS_FALLBACKS = {
+    'on-hold': 'watching',
+    paused: 'watching',
+    repeating: 'watching'
+};
+
+class WatchlistTransfer {
+    /**
+     * @param {Watchlist} watchlist - The user's watchlist
+     * @param {AnimeCatalog} catalog - Loaded anime catalog
+     */
+    constructor(watchlist, catalog) {
+        this.watchlist = watchlist;
+        this.catalog = catalog;
+    }
+
+    /**
+     * MyAnimeList XML export, importable on myanimelist.net
+     */
+    toMalXML() {
+        const entries = this.watchlist.getAll();
+        const counts = this.watchlist.getCounts();
+
+        const animeXML = entries.map((entry) => {
+            const anime = this.catalog.getById(entry.id);
+            return `
+    <anime>
+        <series_animedb_id>${anime && anime.malId ? anime.malId : 0}</series_animedb_id>
+        <series_title>${this.cdata(anime ? anime.title : entry.title)}</series_title>
+        <series_type>${anime && anime.type === 'movie' ? 'Movie' : 'TV'}</series_type>
+        <series_episodes>${anime && anime.episodes ? anime.episodes : 0}</series_episodes>
+        <my_watched_episodes>${entry.progress}</my_watched_episodes>
+        <my_score>${entry.score || 0}</my_score>
+        <my_status>${MAL_STATUSES[entry.status]}</my_status>
+        <my_comments>${this.cdata(entry.notes)}</my_comments>
+        <update_on_import>1</update_on_import>
+    </anime>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo>
+        <user_export_type>1</user_export_type>
+        <user_total_anime>${counts.all}</user_total_anime>
+        <user_total_watching>${counts.watching}</user_total_watching>
+        <user_total_completed>${counts.completed}</user_total_completed>
+        <user_total_onhold>0</user_total_onhold>
+        <user_total_dropped>${counts.dropped}</user_total_dropped>
+        <user_total_plantowatch>${counts.plan_to_watch}</user_total_plantowatch>
+    </myinfo>${animeXML}
+</myanimelist>
+`;
+    }
+
+    /**
+     * JSON export shaped like AniList's MediaListCollection, with the
+     * StartAnime id and list order kept alongside each entry
+     */
+    toJSON() {
+        const entries = this.watchlist.getAll();
+        const lists = Object.entries(ANILIST_STATUSES).map(([status, anilistStatus]) => ({
+            name: this.watchlist.getStatusLabel(status),
+            status: anilistStatus,
+            entries: entries.filter(entry => entry.status === status).map((entry) => {
+                const anime = this.catalog.getById(entry.id);
+                return {
+                    status: anilistStatus,
+                    progress: entry.progress,
+                    score: entry.score || 0,
+                    notes: entry.notes,
+                    media: {
+                        idMal: anime && anime.malId ? anime.malId : null,
+                        title: {
+                            romaji: anime && anime.subtitle ? anime.subtitle : entry.title,
+                            english: anime ? anime.title : entry.title
+                        },
+                        episodes: anime ? anime.episodes : null
+                    },
+                    startanime: {
+                        id: entry.id,
+                        position: entry.position,
+                        addedAt: entry.addedAt
+                    }
+                };
+            })
+        }));
+
+        return JSON.stringify({
+            format: 'startanime-watchlist',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            lists
+        }, null, 2);
+    }
+
+    /**
+     * Wrap text in CDATA, splitting any "]]>" it contains
+     */
+    cdata(text) {
+        return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+
+    /**
+     * Parse an exported file into neutral import items
+     * @param {string} text - File contents
+     * @returns {Array} [{ id, malId, titles, status, progress, score, notes }]
+     * @throws {Error} When the file is neither MAL XML nor supported JSON
+     */
+    parse(text) {
+        const content = String(text || '').trim();
+        if (content.startsWith('<')) return this.parseMalXML(content);
+        if (content.startsWith('{') || content.startsWith('[')) return this.parseJSON(content);
+        throw new Error('Unrecognised file: expected MyAnimeList XML or AniList JSON');
+    }
+
+    parseMalXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror') || !doc.querySelector('myanimelist')) {
+            throw new Error('This is not a MyAnimeList XML export');
+        }
+
+        const read = (node, tag) => {
+            const child = node.querySelector(tag);
+            return child ? child.textContent.trim() : '';
+        };
+
+        return Array.from(doc.querySelectorAll('anime')).map(node => ({
+            id: null,
+            malId: parseInt(read(node, 'series_animedb_id'), 10) || null,
+            titles: [read(node, 'series_title')].filter(Boolean),
+            status: this.mapStatus(read(node, 'my_status')),
+            progress: parseInt(read(node, 'my_watched_episodes'), 10) || 0,
+            score: parseInt(read(node, 'my_score'), 10) || null,
+            notes: read(node, 'my_comments')
+        }));
+    }
+
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        // Accept our export, a raw AniList API response, or a bare entry array
+        const collection = data.data && data.data.MediaListCollection ? data.data.MediaListCollection : data;
+        if (!Array.isArray(collection) && !Array.isArray(collection.lists)) {
+            throw new Error('This JSON file has no AniList lists');
+        }
+
+        const entries = Array.isArray(collection)
+            ? collection
+            : collection.lists.filter(Boolean).flatMap(list => (list.entries || []).filter(Boolean).map(entry => ({ status: list.status, ...entry })));
+
+        // AniList leaves null in place of removed entries
+        return entries.filter(Boolean).map((entry) => {
+            const media = entry.media || {};
+            const title = media.title || {};
+            return {
+                id: entry.startanime ? entry.startanime.id : null,
+                malId: parseInt(media.idMal, 10) || null,
+                titles: [title.english, title.romaji, title.userPreferred, entry.title].filter(Boolean),
+                status: this.mapStatus(entry.status),
+                progress: parseInt(entry.progress, 10) || 0,
+                score: this.normalizeScore(entry.score),
+                notes: entry.notes || ''
+            };
+        });
+    }
+
+    /**
+     * Map MAL or AniList status text onto a watchlist status
+     */
+    mapStatus(status) {
+        const value = String(status || '').toLowerCase().replace(/[\s_]+/g, '-');
+        const known = Object.keys(MAL_STATUSES).find(key => (
+            key.replace(/_/g, '-') === value
+            || MAL_STATUSES[key].toLowerCase().replace(/\s+/g, '-') === value
+            || ANILIST_STATUSES[key].toLowerCase() === value
+        ));
+        return known || IMPORT_STATUS_FALLBACKS[value] || 'plan_to_watch';
+    }
+
+    /**
+     * AniList scores may be on a 100-point scale
+     */
+    normalizeScore(score) {
+        const value = Number(score) || 0;
+        if (value <= 0) return null;
+        return Math.round(value > 10 ? value / 10 : value);
+    }
+
+    normalizeTitle(title) {
+        return String(title || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '');
+    }
+
+    /**
+     * Find the catalog title an imported item refers to
+     * @returns {Object|null} { anime, method } or null when unmatched
+     */
+    match(item) {
+        const byId = item.id ? this.catalog.getById(item.id) : null;
+        if (byId) return { anime: byId, method: 'id' };
+
+        const byMalId = item.malId ? this.catalog.getByMalId(item.malId) : null;
+        if (byMalId) return { anime: byMalId, method: 'malId' };
+
+        const wanted = item.titles.map(title => this.normalizeTitle(title)).filter(Boolean);
+        const byTitle = this.catalog.getAll().find(anime => (
+            [anime.title, anime.subtitle, anime.id].some(title => wanted.includes(this.normalizeTitle(title)))
+        ));
+        return byTitle ? { anime: byTitle, method: 'title' } : null;
+    }
+
+    /**
+     * Match parsed items against the catalog without changing anything
+     * @returns {Object} { matched: [{ item, anime, method, existing }], unmatched: [item] }
+     */
+    preview(items) {
+        const matched = [];
+        const unmatched = [];
+        const seen = new Set();
+
+        items.forEach((item) => {
+            const result = this.match(item);
+            if (!result) {
+                unmatched.push(item);
+            } else if (!seen.has(result.anime.id)) {
+                seen.add(result.anime.id);
+                matched.push({ item, ...result, existing: this.watchlist.has(result.anime.id) });
+            }
+        });
+
+        return { matched, unmatched };
+    }
+
+    /**
+     * Write matched items to the watchlist
+     * @param {Object} preview - Result of preview()
+     * @param {Object} options - { overwrite: replace entries already on the list }
+     * @returns {Object} { added, updated, skipped }
+     */
+    apply(preview, { overwrite = false } = {}) {
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        preview.matched.forEach(({ item, anime }) => {
+            const fields = {
+                status: item.status,
+                progress: item.progress,
+                score: item.score,
+                notes: item.notes
+            };
+            // Let the watchlist fill in episodes for titles completed without a count
+            if (item.status === 'completed' && !item.progress) delete fields.progress;
+
+            if (!this.watchlist.has(anime.id)) {
+                this.watchlist.add(anime, fields);
+                result.added++;
+            } else if (overwrite) {
+                this.watchlist.update(anime.id, fields);
+                result.updated++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatchlistTransfer;
+} else {
+    window.WatchlistTransfer = WatchlistTransfer;
+}
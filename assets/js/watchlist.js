@@ -0,0 +1,268 @@
+/**
+ * StartAnime - Watchlist
+ * The user's "My List": statuses, episode progress, personal score and
+ * notes, persisted through the storage service
+ */
+
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+
+const WATCHLIST_STATUSES = {
+    plan_to_watch: 'Plan to Watch',
+    watching: 'Watching',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+const WATCHLIST_SORTS = {
+    custom: (a, b) => a.position - b.position,
+    added: (a, b) => b.addedAt.localeCompare(a.addedAt),
+    updated: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+    title: (a, b) => a.title.localeCompare(b.title),
+    score: (a, b) => (b.score || 0) - (a.score || 0),
+    progress: (a, b) => b.progress - a.progress
+};
+
+class Watchlist {
+    /**
+     * @param {AnimeCatalog} catalog - Used to clamp progress to episode counts
+     * @param {StorageService} storage - Where the list is persisted
+     */
+    constructor(catalog, storage) {
+        this.catalog = catalog;
+        this.storage = storage;
+        this.entries = [];
+        this.read();
+
+        // Keep several open tabs in sync
+        this.storage.onExternalChange(WATCHLIST_STORAGE_KEY, () => {
+            this.read();
+            this.emit('sync');
+        });
+    }
+
+    /**
+     * Load entries, upgrading the original { id, title, image, addedAt } shape
+     * and merging titles listed under more than one id (e.g. "fmab")
+     */
+    read() {
+        const stored = this.storage.get(WATCHLIST_STORAGE_KEY, []);
+        const entries = new Map();
+        (Array.isArray(stored) ? stored : [])
+            .filter(entry => entry && entry.id)
+            .map((entry, index) => this.normalizeEntry(entry, index))
+            .sort(WATCHLIST_SORTS.custom)
+            .forEach((entry) => {
+                const existing = entries.get(entry.id);
+                if (existing) {
+                    this.mergeEntries(existing, entry);
+                } else {
+                    entries.set(entry.id, entry);
+                }
+            });
+        this.entries = Array.from(entries.values());
+        return this;
+    }
+
+    write() {
+        return this.storage.set(WATCHLIST_STORAGE_KEY, this.entries);
+    }
+
+    normalizeEntry(entry, index) {
+        const addedAt = entry.addedAt || new Date().toISOString();
+        return {
+            id: this.resolveId(entry.id),
+            title: entry.title || entry.id,
+            image: entry.image || '',
+            status: WATCHLIST_STATUSES[entry.status] ? entry.status : 'plan_to_watch',
+            progress: Math.max(0, parseInt(entry.progress, 10) || 0),
+            score: this.normalizeScore(entry.score),
+            notes: typeof entry.notes === 'string' ? entry.notes : '',
+            position: Number.isFinite(entry.position) ? entry.position : index,
+            addedAt,
+            updatedAt: entry.updatedAt || addedAt
+        };
+    }
+
+    /**
+     * Fold a second entry for the same title into the first, keeping
+     * whatever the user recorded in either
+     */
+    mergeEntries(entry, duplicate) {
+        if (entry.status === 'plan_to_watch') entry.status = duplicate.status;
+        entry.progress = Math.max(entry.progress, duplicate.progress);
+        entry.score = entry.score || duplicate.score;
+        entry.notes = entry.notes || duplicate.notes;
+        if (duplicate.addedAt < entry.addedAt) entry.addedAt = duplicate.addedAt;
+        if (duplicate.updatedAt > entry.updatedAt) entry.updatedAt = duplicate.updatedAt;
+        return entry;
+    }
+
+    /**
+     * The catalog id for an id or one of its aliases
+     */
+    resolveId(id) {
+        return this.catalog ? this.catalog.resolveId(id) : id;
+    }
+
+    normalizeScore(score) {
+        const value = parseInt(score, 10);
+        return value >= 1 && value <= 10 ? value : null;
+    }
+
+    /**
+     * Total episodes of a listed title, or null when unknown
+     */
+    getEpisodeCount(id) {
+        const anime = this.catalog ? this.catalog.getById(id) : null;
+        return anime && anime.episodes ? anime.episodes : null;
+    }
+
+    getAll() {
+        return [...this.entries].sort(WATCHLIST_SORTS.custom);
+    }
+
+    get(id) {
+        const resolved = this.resolveId(id);
+        return this.entries.find(entry => entry.id === resolved) || null;
+    }
+
+    has(id) {
+        return this.get(id) !== null;
+    }
+
+    /**
+     * Add an anime (no-op if it is already listed)
+     * @param {Object} anime - Catalog record
+     * @param {Object} fields - Optional initial status, progress, score, notes
+     * @returns {Object} The list entry
+     */
+    add(anime, fields = {}) {
+        const existing = this.get(anime.id);
+        if (existing) return existing;
+
+        const entry = this.normalizeEntry({
+            id: anime.id,
+            title: anime.title,
+            image: anime.image,
+            position: this.entries.reduce((max, item) => Math.max(max, item.position + 1), 0)
+        }, this.entries.length);
+        this.applyChanges(entry, fields);
+
+        this.entries.push(entry);
+        this.write();
+        this.emit('add', entry);
+        return entry;
+    }
+
+    /**
+     * Change status, progress, score or notes of a listed title
+     * @returns {Object|null} Updated entry, or null if not listed
+     */
+    update(id, changes = {}) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        this.applyChanges(entry, changes);
+        entry.updatedAt = new Date().toISOString();
+        this.write();
+        this.emit('update', entry);
+        return entry;
+    }
+
+    /**
+     * Apply status, progress, score and notes changes to an entry in place
+     */
+    applyChanges(entry, changes) {
+        if ('status' in changes && WATCHLIST_STATUSES[changes.status]) {
+            entry.status = changes.status;
+            // Finishing a show fills in the remaining episodes
+            const total = this.getEpisodeCount(entry.id);
+            if (changes.status === 'completed' && total && !('progress' in changes)) {
+                entry.progress = total;
+            }
+        }
+        if ('progress' in changes) {
+            const total = this.getEpisodeCount(entry.id);
+            const progress = Math.max(0, parseInt(changes.progress, 10) || 0);
+            entry.progress = total ? Math.min(progress, total) : progress;
+            if (entry.status === 'plan_to_watch' && entry.progress > 0) entry.status = 'watching';
+        }
+        if ('score' in changes) entry.score = this.normalizeScore(changes.score);
+        if ('notes' in changes) entry.notes = String(changes.notes || '');
+    }
+
+    remove(id) {
+        const entry = this.get(id);
+        if (!entry) return false;
+
+        this.entries = this.entries.filter(item => item !== entry);
+        this.write();
+        this.emit('remove', entry);
+        return true;
+    }
+
+    /**
+     * Move a title to a new place in the custom order
+     * @param {string} id - Listed anime id
+     * @param {number} toIndex - Target index in getAll() order
+     */
+    move(id, toIndex) {
+        const ordered = this.getAll();
+        const resolved = this.resolveId(id);
+        const fromIndex = ordered.findIndex(entry => entry.id === resolved);
+        if (fromIndex === -1) return false;
+
+        const target = Math.max(0, Math.min(toIndex, ordered.length - 1));
+        if (target === fromIndex) return false;
+
+        const [entry] = ordered.splice(fromIndex, 1);
+        ordered.splice(target, 0, entry);
+        ordered.forEach((item, index) => { item.position = index; });
+
+        this.write();
+        this.emit('move', entry);
+        return true;
+    }
+
+    /**
+     * Filtered and sorted entries
+     * @param {Object} options - { status, sort }
+     */
+    query({ status = '', sort = 'custom' } = {}) {
+        const compare = WATCHLIST_SORTS[sort] || WATCHLIST_SORTS.custom;
+        return this.entries
+            .filter(entry => !status || entry.status === status)
+            .sort(compare);
+    }
+
+    /**
+     * Number of titles per status
+     */
+    getCounts() {
+        const counts = { all: this.entries.length };
+        Object.keys(WATCHLIST_STATUSES).forEach((status) => {
+            counts[status] = this.entries.filter(entry => entry.status === status).length;
+        });
+        return counts;
+    }
+
+    getStatusLabel(status) {
+        return WATCHLIST_STATUSES[status] || status;
+    }
+
+    getStatuses() {
+        return { ...WATCHLIST_STATUSES };
+    }
+
+    emit(action, entry = null) {
+        document.dispatchEvent(new CustomEvent('watchlistChanged', { detail: { action, entry } }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Watchlist;
+} else {
+    window.Watchlist = Watchlist;
+    window.watchlist = new Watchlist(window.animeCatalog, window.startAnimeStorage);
+}
@@ -0,0 +1,100 @@
+// Generated by scripts/generate-precache.js from the project files: don't edit
+self.PRECACHE_MANIFEST = {
+  "version": "9ec95f9e0043",
+  "files": [
+    {"url":"anime/a-silent-voice.html","revision":"0fa831a2cc04"},
+    {"url":"anime/anohana.html","revision":"8415435f567d"},
+    {"url":"anime/attack-on-titan.html","revision":"6a799b225da8"},
+    {"url":"anime/death-parade.html","revision":"d2ead7469b67"},
+    {"url":"anime/demon-slayer.html","revision":"6c767a092305"},
+    {"url":"anime/devilman-crybaby.html","revision":"b9baa37b5115"},
+    {"url":"anime/erased.html","revision":"a0a7140d72e6"},
+    {"url":"anime/fullmetal-alchemist-brotherhood.html","revision":"16fffba1cd6d"},
+    {"url":"anime/hunter-x-hunter.html","revision":"e06d4bc37d10"},
+    {"url":"anime/jujutsu-kaisen.html","revision":"34ec346e6b50"},
+    {"url":"anime/kaguya-sama.html","revision":"4f044d831fea"},
+    {"url":"anime/konosuba.html","revision":"90f89541c55b"},
+    {"url":"anime/mob-psycho-100.html","revision":"9d81e878b1d5"},
+    {"url":"anime/my-hero-academia.html","revision":"f4335c73ce04"},
+    {"url":"anime/oddtaxi.html","revision":"fa596c7a0f94"},
+    {"url":"anime/one-punch-man.html","revision":"e32e4b441885"},
+    {"url":"anime/spirited-away.html","revision":"00fd71621c11"},
+    {"url":"anime/spy-x-family.html","revision":"f7a8d9798318"},
+    {"url":"anime/violet-evergarden.html","revision":"cdf773b5a876"},
+    {"url":"anime/your-name.html","revision":"1cc4ed70a463"},
+    {"url":"assets/css/animations.css","revision":"8ce46f2bd681"},
+    {"url":"assets/css/components.css","revision":"b9677a64d548"},
+    {"url":"assets/css/genres.css","revision":"8b59c8cc666e"},
+    {"url":"assets/css/main.css","revision":"bedb23af1e45"},
+    {"url":"assets/css/mobile-optimizations.css","revision":"cf4fd3b83e03"},
+    {"url":"assets/css/my-list.css","revision":"3bc588b51030"},
+    {"url":"assets/css/performance.css","revision":"c6da35ad4fae"},
+    {"url":"assets/css/recommendations.css","revision":"0358a210da5d"},
+    {"url":"assets/fonts/Inter-Bold.woff2","revision":"7a0413877d90"},
+    {"url":"assets/fonts/Inter-Medium.woff2","revision":"67ce235c66e9"},
+    {"url":"assets/fonts/Inter-Regular.woff2","revision":"6b7d48964e1c"},
+    {"url":"assets/images/icons/genre-isekai.svg","revision":"b53bb3b211ff"},
+    {"url":"assets/images/icons/genre-romance.svg","revision":"2e8b85c05db2"},
+    {"url":"assets/images/icons/genre-seinen.svg","revision":"83a43f92b9d0"},
+    {"url":"assets/images/icons/genre-shounen.svg","revision":"b95e198c2ba7"},
+    {"url":"assets/images/icons/genre-slice-of-life.svg","revision":"720f2684827b"},
+    {"url":"assets/images/icons/icon-152x152.png","revision":"e08bd3116ffa"},
+    {"url":"assets/images/ui/arrow-right.svg","revision":"e3b0c44298fc"},
+    {"url":"assets/images/ui/logo.svg","revision":"e3b0c44298fc"},
+    {"url":"assets/images/ui/star.svg","revision":"e3b0c44298fc"},
+    {"url":"assets/js/animations.js","revision":"60b6c55d8cfa"},
+    {"url":"assets/js/anime-details.js","revision":"2d919a014e62"},
+    {"url":"assets/js/catalog.js","revision":"06e8710c060b"},
+    {"url":"assets/js/components.js","revision":"15615bc4267e"},
+    {"url":"assets/js/featured.js","revision":"a57e9b8d66ff"},
+    {"url":"assets/js/filters.js","revision":"044071a99186"},
+    {"url":"assets/js/genre-explorer.js","revision":"7cb6ec205eaa"},
+    {"url":"assets/js/genres.js","revision":"198de6dd5dfb"},
+    {"url":"assets/js/journey.js","revision":"369165e90c26"},
+    {"url":"assets/js/main.js","revision":"30317c53f3df"},
+    {"url":"assets/js/moods.js","revision":"5afe7280406c"},
+    {"url":"assets/js/my-list.js","revision":"f29c1f90ad38"},
+    {"url":"assets/js/onboarding-quiz.js","revision":"22eba12d3d8d"},
+    {"url":"assets/js/ranking.js","revision":"6d35da36ff6b"},
+    {"url":"assets/js/recommendations.js","revision":"e3bb7a0c867e"},
+    {"url":"assets/js/router.js","revision":"6708413c10ca"},
+    {"url":"assets/js/safe-html.js","revision":"8ef21f8602cf"},
+    {"url":"assets/js/search.js","revision":"a81f9d998ffc"},
+    {"url":"assets/js/similarity.js","revision":"d1345df5a471"},
+    {"url":"assets/js/storage.js","revision":"6449f6c05c56"},
+    {"url":"assets/js/taste-profile.js","revision":"d12fe7a104de"},
+    {"url":"assets/js/template-engine.js","revision":"50770e07404c"},
+    {"url":"assets/js/utils.js","revision":"7cbaec0ded7a"},
+    {"url":"assets/js/watchlist-transfer.js","revision":"64fcce40731e"},
+    {"url":"assets/js/watchlist.js","revision":"74f8f3b6ab00"},
+    {"url":"components/anime-card-template.html","revision":"a0ffe341850d"},
+    {"url":"components/anime-card.html","revision":"b94849eb0521"},
+    {"url":"components/anime-page-template.html","revision":"8555f616aba1"},
+    {"url":"components/footer-template.html","revision":"3b5ffc7033a0"},
+    {"url":"components/footer.html","revision":"59a00b18ebba"},
+    {"url":"components/genre-card-template.html","revision":"d9a3d66fd761"},
+    {"url":"components/genre-card.html","revision":"647f52f7c67a"},
+    {"url":"components/genre-page-template.html","revision":"de052525c3d5"},
+    {"url":"components/header-template.html","revision":"4247eb5fbdb7"},
+    {"url":"components/header.html","revision":"fa39c46c7232"},
+    {"url":"data/anime-list.json","revision":"1b3fc8d5e002"},
+    {"url":"data/genres.json","revision":"10ad6ad14c52"},
+    {"url":"data/moods.json","revision":"1bee64b3c7e6"},
+    {"url":"data/recommendations.json","revision":"b266d82b6d00"},
+    {"url":"genre/action.html","revision":"fec64b02c923"},
+    {"url":"genre/comedy.html","revision":"c5ae535647ad"},
+    {"url":"genre/isekai.html","revision":"2a8a4856e608"},
+    {"url":"genre/romance.html","revision":"28b28846a7b8"},
+    {"url":"genre/seinen.html","revision":"c34d97ea9a36"},
+    {"url":"genre/shounen.html","revision":"8e3f84606cb2"},
+    {"url":"genre/slice-of-life.html","revision":"5c63f8d4d69d"},
+    {"url":"genre/supernatural.html","revision":"b6eee61a6bad"},
+    {"url":"genres.html","revision":"a7cfc2af228b"},
+    {"url":"./","revision":"37191f0a4d04"},
+    {"url":"index.html","revision":"37191f0a4d04"},
+    {"url":"manifest.json","revision":"376fb5a4df8d"},
+    {"url":"my-list.html","revision":"925cf2c02243"},
+    {"url":"offline.html","revision":"f0418e712885"},
+    {"url":"recommend.html","revision":"4766777d0d1a"}
+  ]
+};
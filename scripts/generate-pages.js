@@ -0,0 +1,239 @@
+/**
+ * StartAnime - Static Page Generator
+ * Writes a linkable, indexable page for every catalog anime
+ * (anime/<id>.html) and every genre in genres.json (genre/<id>.html),
+ * rendered from the anime-page and genre-page component templates, with
+ * Open Graph/Twitter meta and schema.org JSON-LD, plus sitemap.xml.
+ * Run with `npm run generate-pages`; SITE_URL sets the address used in
+ * canonical links and the sitemap (package.json's homepage by default).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TemplateEngine = require('../assets/js/template-engine.js');
+const { readFile, createWindow, renderPage } = require('./prerender');
+const { homepage } = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = (process.env.SITE_URL || homepage).replace(/\/+$/, '');
+const PAGE_TEMPLATE = 'scripts/templates/page.html';
+const ANIME_DIR = 'anime';
+const GENRE_DIR = 'genre';
+
+// Site pages listed in the sitemap besides the generated ones (my-list.html is personal)
+const SITEMAP_PAGES = ['', 'recommend.html', 'genres.html'];
+
+const pageURL = file => `${SITE_URL}/${file}`;
+const animeFile = id => `${ANIME_DIR}/${id}.html`;
+const genreFile = id => `${GENRE_DIR}/${id}.html`;
+
+// Absolute http(s) address for an image, or null
+function imageURL(image) {
+  try {
+    const url = new URL(image, `${SITE_URL}/`);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "2019" or "2019–2021", as in the detail view
+function formatYears(anime) {
+  if (!anime.year) return 'Unknown';
+  return anime.yearEnd && anime.yearEnd !== anime.year ? `${anime.year}–${anime.yearEnd}` : String(anime.year);
+}
+
+// JSON for a <script> element: "</script>" can't end it early
+function toScriptJSON(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * schema.org TVSeries or Movie for an anime record
+ */
+function createStructuredData(anime, { url, image, genres }) {
+  const isMovie = anime.type === 'movie';
+  const year = anime.year ? String(anime.year) : undefined;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': isMovie ? 'Movie' : 'TVSeries',
+    name: anime.title,
+    alternateName: anime.subtitle || undefined,
+    description: anime.description,
+    url,
+    image: image || undefined,
+    genre: genres,
+    keywords: anime.tags.length > 0 ? anime.tags.join(', ') : undefined,
+    datePublished: isMovie ? year : undefined,
+    startDate: isMovie ? undefined : year,
+    endDate: !isMovie && anime.yearEnd ? String(anime.yearEnd) : undefined,
+    numberOfEpisodes: !isMovie && anime.episodes ? anime.episodes : undefined,
+    productionCompany: anime.studio ? { '@type': 'Organization', name: anime.studio } : undefined,
+    sameAs: anime.malId ? `https://myanimelist.net/anime/${anime.malId}` : undefined,
+    // The rating is StartAnime's own, so it's a review rather than an aggregate
+    review: anime.rating !== null ? {
+      '@type': 'Review',
+      author: { '@type': 'Organization', name: 'StartAnime' },
+      reviewRating: { '@type': 'Rating', ratingValue: anime.rating, bestRating: 10, worstRating: 1 }
+    } : undefined
+  };
+}
+
+/**
+ * Everything to generate, described from the catalog and genre library
+ * of a window running the site's scripts
+ * @returns {Array} [{ file, component, props, meta }]
+ */
+function describePages(window) {
+  const catalog = window.animeCatalog;
+  const library = window.genreLibrary;
+  const levels = catalog.sources.recommendations.difficultyLevels || {};
+  const similarity = new window.SimilarityIndex(catalog, catalog.sources.recommendations.searchTags || []).build();
+  const { toProps } = window.ComponentLoader.getDefinition('anime-card');
+  const card = anime => toProps({ ...anime, href: animeFile(anime.id) });
+
+  const animePages = catalog.getAll().map((anime) => {
+    const file = animeFile(anime.id);
+    const image = imageURL(anime.image);
+    const genres = anime.genres.map(slug => ({
+      label: catalog.getGenreLabel(slug),
+      href: library.get(slug) ? genreFile(slug) : null
+    }));
+    const difficulty = levels[anime.difficulty];
+    const isMovie = anime.type === 'movie';
+
+    return {
+      file,
+      component: 'anime-page',
+      props: {
+        id: anime.id,
+        title: anime.title,
+        subtitle: anime.subtitle,
+        description: anime.description,
+        image,
+        rating: anime.rating !== null ? anime.rating.toFixed(1) : null,
+        studio: anime.studio,
+        years: formatYears(anime),
+        episodes: isMovie ? 'Movie' : anime.episodes || 'Unknown',
+        status: anime.status,
+        warning: anime.warning,
+        reasons: anime.reasons,
+        genres,
+        tags: anime.tags,
+        streamingPlatforms: anime.streamingPlatforms,
+        difficulty: difficulty ? { ...difficulty, level: anime.difficulty.charAt(0).toUpperCase() + anime.difficulty.slice(1) } : null,
+        similar: similarity.getSimilar(anime.id, 4).map(result => card(result.anime))
+      },
+      meta: {
+        title: anime.title,
+        description: anime.description,
+        url: pageURL(file),
+        image,
+        ogType: isMovie ? 'video.movie' : 'video.tv_show',
+        structuredData: toScriptJSON(createStructuredData(anime, { url: pageURL(file), image, genres: genres.map(genre => genre.label) }))
+      }
+    };
+  });
+
+  const genrePages = library.getAll().map((genre) => {
+    const file = genreFile(genre.id);
+    return {
+      file,
+      component: 'genre-page',
+      props: {
+        ...genre,
+        examples: library.getExamples(genre.id).map(example => ({
+          title: example.title,
+          reason: example.reason,
+          href: example.anime ? animeFile(example.anime.id) : null
+        })),
+        titles: library.getTitles(genre.id).map(card)
+      },
+      meta: {
+        title: `${genre.name} Anime`,
+        description: genre.description,
+        url: pageURL(file),
+        image: null,
+        ogType: 'website',
+        structuredData: null
+      }
+    };
+  });
+
+  return [...animePages, ...genrePages];
+}
+
+async function loadPages() {
+  const dom = await createWindow('<!DOCTYPE html><html><head></head><body></body></html>', 'index.html');
+  await dom.window.genreLibrary.load();
+  const pages = describePages(dom.window);
+  dom.window.close();
+  // Plain objects, not the data window's
+  return JSON.parse(JSON.stringify(pages));
+}
+
+async function renderStaticPage(template, { file, component, props, meta }) {
+  const dom = await createWindow(template.render(readFile(PAGE_TEMPLATE), { ...meta, component }), file);
+  await renderPage(dom.window, { data: { [component]: props } });
+  const html = `<!DOCTYPE html>\n${dom.window.document.documentElement.outerHTML}`;
+  dom.window.close();
+  return `${html}\n`;
+}
+
+function createSitemap(files) {
+  const escapeXML = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const urls = files.map(file => `  <url>\n    <loc>${escapeXML(pageURL(file))}</loc>\n  </url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+// Write a file if its contents changed; returns whether it did
+function writeFile(file, contents) {
+  const filePath = path.join(ROOT, file);
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === contents) return false;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  return true;
+}
+
+// Delete generated pages whose anime or genre is gone
+function removeStalePages(files) {
+  const removed = [];
+  [ANIME_DIR, GENRE_DIR].forEach((dir) => {
+    if (!fs.existsSync(path.join(ROOT, dir))) return;
+    fs.readdirSync(path.join(ROOT, dir))
+      .map(name => `${dir}/${name}`)
+      .filter(file => file.endsWith('.html') && !files.includes(file))
+      .forEach((file) => {
+        fs.unlinkSync(path.join(ROOT, file));
+        removed.push(file);
+      });
+  });
+  return removed;
+}
+
+async function main() {
+  const template = new TemplateEngine();
+  const pages = await loadPages();
+  let written = 0;
+
+  for (const page of pages) {
+    if (writeFile(page.file, await renderStaticPage(template, page))) written++;
+  }
+
+  const files = pages.map(page => page.file);
+  const removed = removeStalePages(files);
+  const sitemapChanged = writeFile('sitemap.xml', createSitemap([...SITEMAP_PAGES, ...files]));
+
+  console.log(`Generated ${pages.length} pages (${written} changed${removed.length > 0 ? `, removed ${removed.join(', ')}` : ''})`);
+  console.log(`sitemap.xml: ${SITEMAP_PAGES.length + files.length} URLs${sitemapChanged ? '' : ', up to date'}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Page generation failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createStructuredData, toScriptJSON };
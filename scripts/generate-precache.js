@@ -0,0 +1,101 @@
+/**
+ * StartAnime - Precache Manifest Generator
+ * Lists the files the service worker caches on install, scanned from the
+ * project rather than kept by hand, each with a hash of its contents, and
+ * writes them to precache-manifest.js for sw.js to import. The manifest's
+ * version (a hash of every entry) names the service worker's static cache,
+ * so any changed file installs a new cache and the old one is deleted.
+ * Run with `npm run generate-precache` as the last build step, after the
+ * pages are rendered.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = 'precache-manifest.js';
+
+// Directories (not recursive) and the files in them the site needs offline.
+// Cover images aren't precached: sw.js caches them as they're shown.
+const PRECACHE_SOURCES = [
+  { dir: '', pattern: /\.html$/ },
+  { dir: '', pattern: /^manifest\.json$/ },
+  { dir: 'anime', pattern: /\.html$/ },
+  { dir: 'genre', pattern: /\.html$/ },
+  { dir: 'components', pattern: /\.html$/ },
+  { dir: 'assets/css', pattern: /^(?!.*\.min\.css$).*\.css$/ },
+  { dir: 'assets/js', pattern: /^(?!.*\.min\.js$).*\.js$/ },
+  { dir: 'assets/fonts', pattern: /\.woff2$/ },
+  { dir: 'assets/images/ui', pattern: /\.svg$/ },
+  { dir: 'assets/images/icons', pattern: /\.(svg|png)$/ },
+  { dir: 'data', pattern: /\.json$/ }
+];
+
+// Other URLs for a file: the site root is index.html
+const ALIASES = { 'index.html': ['./'] };
+
+const hash = contents => crypto.createHash('sha256').update(contents).digest('hex').slice(0, 12);
+
+/**
+ * Files to precache under root, relative to it, sorted
+ */
+function collectFiles(root = ROOT, sources = PRECACHE_SOURCES) {
+  const files = new Set();
+  sources.forEach(({ dir, pattern }) => {
+    const dirPath = path.join(root, dir);
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isFile() && pattern.test(entry.name))
+      .forEach(entry => files.add(dir ? `${dir}/${entry.name}` : entry.name));
+  });
+  return Array.from(files).sort();
+}
+
+/**
+ * @returns {Object} { version, files: [{ url, revision }] } with URLs
+ *   relative to the site root, where sw.js is
+ */
+function createManifest(root = ROOT, sources = PRECACHE_SOURCES) {
+  const files = [];
+  collectFiles(root, sources).forEach((file) => {
+    const revision = hash(fs.readFileSync(path.join(root, file)));
+    [...(ALIASES[file] || []), file].forEach(url => files.push({ url, revision }));
+  });
+  const version = hash(files.map(({ url, revision }) => `${url} ${revision}`).join('\n'));
+  return { version, files };
+}
+
+// One entry per line, so a diff shows which files changed
+function toScript({ version, files }) {
+  const entries = files.map(file => `    ${JSON.stringify(file)}`).join(',\n');
+  return `// Generated by scripts/generate-precache.js from the project files: don't edit
+self.PRECACHE_MANIFEST = {
+  "version": ${JSON.stringify(version)},
+  "files": [
+${entries}
+  ]
+};
+`;
+}
+
+function main() {
+  const manifest = createManifest();
+  const filePath = path.join(ROOT, MANIFEST_FILE);
+  const script = toScript(manifest);
+  const changed = !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== script;
+  if (changed) fs.writeFileSync(filePath, script);
+
+  console.log(`${MANIFEST_FILE}: ${manifest.files.length} files, version ${manifest.version}${changed ? '' : ', up to date'}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Precache manifest generation failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { collectFiles, createManifest };
@@ -0,0 +1,191 @@
+/**
+ * StartAnime - Static Pre-renderer
+ * Expands the component placeholders, navigation, footer and data-driven
+ * sections of the pages into static HTML, using the same templates and
+ * browser scripts as the site, so they show without JavaScript and
+ * without a layout shift. Rendered elements get data-prerendered and
+ * ComponentLoader hydrates them instead of fetching them again.
+ * Run with `npm run prerender` after changing data/, components/ or the pages.
+ * scripts/generate-pages.js renders its pages with the same functions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES = ['index.html', 'recommend.html'];
+
+// Everything the renderers need, in page order. utils.js provides the
+// escaping SafeHTML uses.
+const SCRIPTS = [
+  'assets/js/storage.js',
+  'assets/js/catalog.js',
+  'assets/js/moods.js',
+  'assets/js/ranking.js',
+  'assets/js/similarity.js',
+  'assets/js/search.js',
+  'assets/js/genres.js',
+  'assets/js/template-engine.js',
+  'assets/js/components.js',
+  'assets/js/safe-html.js',
+  'assets/js/recommendations.js',
+  'assets/js/utils.js'
+];
+
+function readFile(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// The scripts as one classic script: they share the page's global scope,
+// and jsdom can't run utils.js as a module
+function bundleScripts() {
+  return SCRIPTS.map((file) => {
+    const code = readFile(file);
+    if (!/^\s*export /m.test(code)) return code;
+    return `(() => {${code.replace(/export default[\s\S]*?};/, '').replace(/^\s*export /gm, '')}})();`;
+  }).join('\n;\n');
+}
+
+// A window for the page with the site's files served from disk
+async function createWindow(html, page) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(`${page}:`, ...args));
+  virtualConsole.on('warn', (...args) => console.warn(`${page}:`, ...args));
+  virtualConsole.on('jsdomError', error => console.error(`${page}:`, error.message));
+
+  const dom = new JSDOM(html, {
+    url: `http://localhost/${page}`,
+    runScripts: 'outside-only',
+    includeNodeLocations: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  window.fetch = async (url) => {
+    const file = path.join(ROOT, new URL(String(url), window.document.baseURI).pathname);
+    if (!fs.existsSync(file)) {
+      return { ok: false, status: 404, statusText: 'Not Found', text: async () => '', json: async () => ({}) };
+    }
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, text: async () => body, json: async () => JSON.parse(body) };
+  };
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.matchMedia = () => ({ matches: false, addListener() {}, addEventListener() {} });
+
+  // Run the scripts once the page has loaded, so none of their
+  // DOMContentLoaded set-up (event binding, animations) runs
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  }
+  window.eval(bundleScripts());
+
+  return dom;
+}
+
+/**
+ * Render the page's components and sections, returning the elements changed
+ * @param {Object} options - { data: props for placeholders by component name,
+ *   instead of their data-component-data }
+ */
+async function renderPage(window, { data = {} } = {}) {
+  const { document } = window;
+  const loader = new window.ComponentLoader();
+  const rendered = [];
+  const mark = (element, name) => {
+    element.setAttribute('data-prerendered', name);
+    rendered.push(element);
+  };
+  const expect = (ok, what) => {
+    if (!ok) throw new Error(`Could not render ${what}`);
+  };
+
+  // Render again what an earlier run rendered
+  document.querySelectorAll('[data-prerendered]').forEach(element => element.removeAttribute('data-prerendered'));
+
+  const navbar = document.querySelector('.navbar');
+  if (navbar) {
+    expect(await loader.replaceNavigation(), 'the navigation');
+    mark(navbar, 'header');
+  }
+
+  const footer = document.querySelector('.footer');
+  if (footer) {
+    expect(await loader.replaceFooter(), 'the footer');
+    mark(footer, 'footer');
+  }
+
+  for (const placeholder of document.querySelectorAll('[data-component]')) {
+    const componentName = placeholder.dataset.component;
+    const ok = placeholder.hasAttribute('data-source')
+      ? await loader.renderRegion(placeholder)
+      : await loader.injectComponent(componentName, placeholder, data[componentName] || placeholder.dataset.componentData);
+    expect(ok, `"${componentName}" components`);
+    mark(placeholder, componentName);
+  }
+
+  const moodGrid = document.querySelector('.mood-grid');
+  const optionLists = document.querySelectorAll('.preferences-form [data-options]');
+  if (moodGrid || optionLists.length > 0) {
+    const engine = new window.RecommendationEngine({ autoInit: false });
+    await engine.loadRecommendations();
+    if (moodGrid) {
+      engine.renderMoodCards();
+      mark(moodGrid, 'moods');
+    }
+    // Options are appended after the legend, so drop those of an earlier run
+    optionLists.forEach(list => list.replaceChildren(...list.querySelectorAll('legend')));
+    engine.renderPreferenceOptions();
+    optionLists.forEach(list => mark(list, `${list.dataset.options}-options`));
+  }
+
+  loader.destroy();
+  return rendered;
+}
+
+// Put the rendered elements' markup in place of the originals, leaving
+// the rest of the file exactly as written
+function splice(html, dom, elements) {
+  return elements
+    .filter(element => !elements.some(other => other !== element && other.contains(element)))
+    .map(element => ({ element, location: dom.nodeLocation(element) }))
+    .sort((a, b) => b.location.startOffset - a.location.startOffset)
+    .reduce((output, { element, location }) => (
+      output.slice(0, location.startOffset) + element.outerHTML + output.slice(location.endOffset)
+    ), html);
+}
+
+async function prerender(page) {
+  const html = readFile(page);
+  const dom = await createWindow(html, page);
+  const rendered = await renderPage(dom.window);
+  const output = splice(html, dom, rendered);
+  dom.window.close();
+
+  const names = rendered.map(element => element.dataset.prerendered).join(', ');
+  if (output === html) {
+    console.log(`${page}: up to date (${names})`);
+  } else {
+    fs.writeFileSync(path.join(ROOT, page), output);
+    console.log(`${page}: rendered ${names}`);
+  }
+}
+
+async function main() {
+  for (const page of PAGES) {
+    await prerender(page);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Pre-rendering failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { readFile, createWindow, renderPage };
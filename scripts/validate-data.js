@@ -0,0 +1,220 @@
+/**
+ * StartAnime - Data Validator
+ * Checks data/*.json against their JSON schemas and cross-checks the
+ * references between files. Run with `npm run validate:data`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const AnimeCatalog = require('../assets/js/catalog.js');
+const MoodRegistry = require('../assets/js/moods.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SCHEMA_DIR = path.join(DATA_DIR, 'schemas');
+const DATA_FILES = ['anime-list.json', 'genres.json', 'moods.json', 'recommendations.json'];
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Validate each file against data/schemas/<name>.schema.json
+function validateSchemas(files) {
+  const ajv = new Ajv({ allErrors: true });
+  const errors = [];
+
+  for (const fileName of DATA_FILES) {
+    const schemaPath = path.join(SCHEMA_DIR, fileName.replace('.json', '.schema.json'));
+    const validate = ajv.compile(readJSON(schemaPath));
+
+    if (!validate(files[fileName])) {
+      validate.errors.forEach((error) => {
+        const location = error.instancePath || '/';
+        errors.push(`${fileName} ${location}: ${error.message}`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Check the references between files that the schemas cannot express
+function validateReferences(files) {
+  const errors = [];
+  const warnings = [];
+  const animeList = files['anime-list.json'];
+  const genresData = files['genres.json'];
+  const recommendations = files['recommendations.json'];
+  const moodsData = files['moods.json'];
+
+  const catalog = new AnimeCatalog().ingest(animeList, recommendations);
+  const titles = new Set(catalog.getAll().map(anime => anime.title.toLowerCase()));
+  const genreIds = new Set(Object.keys(genresData.genres || {}));
+  const catalogGenres = new Set(catalog.getAll().flatMap(anime => anime.genres));
+  const knownGenre = id => genreIds.has(id) || catalogGenres.has(id);
+  const moods = new MoodRegistry().ingest(moodsData, genresData);
+  const checkMood = (key, location) => {
+    if (!moods.resolve(key)) errors.push(`${location}: "${key}" is not a mood id or alias in moods.json`);
+  };
+
+  // moods.json: ids and aliases must be unique across all moods
+  const moodKeys = new Map();
+  Object.entries(moodsData.moods || {}).forEach(([key, mood]) => {
+    if (mood.id !== key) errors.push(`moods.json moods.${key}: id "${mood.id}" does not match its key`);
+    [key, ...(mood.aliases || [])].forEach((alias) => {
+      if (moodKeys.has(alias) && moodKeys.get(alias) !== key) {
+        errors.push(`moods.json moods.${key}: "${alias}" is already used by mood "${moodKeys.get(alias)}"`);
+      }
+      moodKeys.set(alias, key);
+    });
+  });
+
+  // Duplicate ids within a single list
+  const checkDuplicates = (entries, location) => {
+    const seen = new Set();
+    entries.forEach((entry) => {
+      if (seen.has(entry.id)) errors.push(`${location}: duplicate anime id "${entry.id}"`);
+      seen.add(entry.id);
+    });
+  };
+
+  checkDuplicates(animeList.featured || [], 'anime-list.json featured');
+  Object.entries(animeList.recommendations || {}).forEach(([mood, entries]) => {
+    checkDuplicates(entries, `anime-list.json recommendations.${mood}`);
+    checkMood(mood, 'anime-list.json recommendations');
+  });
+
+  // anime-list.json: genre examples and difficulty levels
+  Object.entries(animeList.genres || {}).forEach(([genre, info]) => {
+    (info.examples || []).forEach((id) => {
+      if (!catalog.getById(id)) {
+        errors.push(`anime-list.json genres.${genre}.examples: "${id}" is not a catalog id`);
+      }
+    });
+    if (!genreIds.has(genre)) {
+      warnings.push(`anime-list.json genres.${genre}: genre is not described in genres.json`);
+    }
+  });
+
+  const listDifficulties = Object.keys(animeList.difficulty_guide || {});
+  [...(animeList.featured || []), ...Object.values(animeList.recommendations || {}).flat()].forEach((entry) => {
+    if (entry.difficulty && !listDifficulties.includes(entry.difficulty)) {
+      errors.push(`anime-list.json "${entry.id}": difficulty "${entry.difficulty}" is not in difficulty_guide`);
+    }
+  });
+
+  // recommendations.json: category moods, platforms and difficulty levels
+  const platforms = recommendations.streamingPlatforms || [];
+  const recDifficulties = Object.keys(recommendations.difficultyLevels || {});
+  Object.entries(recommendations.categories || {}).forEach(([key, category]) => {
+    if (category.mood !== key) {
+      errors.push(`recommendations.json categories.${key}: mood "${category.mood}" does not match its key`);
+    }
+    checkDuplicates(category.anime || [], `recommendations.json categories.${key}`);
+    checkMood(key, 'recommendations.json categories');
+
+    (category.anime || []).forEach((entry) => {
+      (entry.streamingPlatforms || []).forEach((platform) => {
+        if (!platforms.includes(platform)) {
+          errors.push(`recommendations.json "${entry.id}": platform "${platform}" is not in streamingPlatforms`);
+        }
+      });
+      if (entry.difficulty && !recDifficulties.includes(entry.difficulty)) {
+        errors.push(`recommendations.json "${entry.id}": difficulty "${entry.difficulty}" is not in difficultyLevels`);
+      }
+    });
+  });
+
+  // MyAnimeList ids: one per title, never shared between titles
+  const malIds = new Map();
+  const malOwners = new Map();
+  const rawEntries = [
+    ...(animeList.featured || []),
+    ...Object.values(animeList.recommendations || {}).flat(),
+    ...Object.values(recommendations.categories || {}).flatMap(category => category.anime || [])
+  ];
+  rawEntries.filter(entry => entry.malId !== undefined).forEach((entry) => {
+    const id = catalog.resolveId(entry.id);
+    if (malIds.has(id) && malIds.get(id) !== entry.malId) {
+      errors.push(`"${id}": conflicting malId ${entry.malId} and ${malIds.get(id)}`);
+    }
+    if (malOwners.has(entry.malId) && malOwners.get(entry.malId) !== id) {
+      errors.push(`"${id}": malId ${entry.malId} is already used by "${malOwners.get(entry.malId)}"`);
+    }
+    malIds.set(id, entry.malId);
+    malOwners.set(entry.malId, id);
+  });
+
+  // genres.json: ids, example titles and genre references
+  Object.entries(genresData.genres || {}).forEach(([key, genre]) => {
+    if (genre.id !== key) {
+      errors.push(`genres.json genres.${key}: id "${genre.id}" does not match its key`);
+    }
+    (genre.examples || []).forEach((example) => {
+      if (!titles.has(String(example.title).toLowerCase())) {
+        errors.push(`genres.json genres.${key}.examples: "${example.title}" is not a catalog title`);
+      }
+    });
+  });
+
+  Object.entries(genresData.mood_based_recommendations || {}).forEach(([mood, info]) => {
+    checkMood(mood, 'genres.json mood_based_recommendations');
+    (info.recommended_genres || []).forEach((genre) => {
+      if (!knownGenre(genre)) {
+        errors.push(`genres.json mood_based_recommendations.${mood}.recommended_genres: unknown genre "${genre}"`);
+      }
+    });
+  });
+
+  Object.entries(genresData.difficulty_progression || {}).forEach(([level, info]) => {
+    (info.genres || []).forEach((genre) => {
+      if (!knownGenre(genre)) {
+        warnings.push(`genres.json difficulty_progression.${level}.genres: "${genre}" has no genre entry or catalog titles`);
+      }
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate every data file
+ * @param {string} dataDir - Directory holding the data files
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateData(dataDir = DATA_DIR) {
+  const files = {};
+  const errors = [];
+
+  for (const fileName of DATA_FILES) {
+    try {
+      files[fileName] = readJSON(path.join(dataDir, fileName));
+    } catch (error) {
+      errors.push(`${fileName}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) return { errors, warnings: [] };
+
+  // The reference checks read the files as the schemas describe them
+  const schemaErrors = validateSchemas(files);
+  if (schemaErrors.length > 0) return { errors: schemaErrors, warnings: [] };
+
+  return validateReferences(files);
+}
+
+if (require.main === module) {
+  const { errors, warnings } = validateData(process.argv[2] || DATA_DIR);
+
+  warnings.forEach(message => console.warn(`warning  ${message}`));
+  errors.forEach(message => console.error(`error    ${message}`));
+
+  if (errors.length > 0) {
+    console.error(`\nData validation failed: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    process.exit(1);
+  }
+
+  console.log(`Data validation passed (${warnings.length} warning(s))`);
+}
+
+module.exports = { validateData };
@@ -3,57 +3,67 @@
  * PWA functionality with advanced caching and offline support
  */
 
+// Files to cache on install, with content hashes: generated by
+// scripts/generate-precache.js (`npm run generate-precache`)
+try {
+  importScripts('precache-manifest.js');
+} catch (error) {
+  console.error('Service Worker: No precache manifest, nothing will be precached', error);
+}
+const PRECACHE_MANIFEST = self.PRECACHE_MANIFEST || { version: 'none', files: [] };
+
 const CACHE_NAME = 'startanime-v1.0.0';
-const STATIC_CACHE = 'startanime-static-v1.0.0';
+// A new manifest version (any file changed) installs a fresh static cache
+const STATIC_CACHE = `startanime-static-${PRECACHE_MANIFEST.version}`;
 const DYNAMIC_CACHE = 'startanime-dynamic-v1.0.0';
 const IMAGE_CACHE = 'startanime-images-v1.0.0';
 
-// Files to cache immediately
-const STATIC_FILES = [
-  '/',
-  '/index.html',
-  '/recommend.html',
-  '/assets/css/main.css',
-  '/assets/css/mobile-optimizations.css',
-  '/assets/css/performance.css',
-  '/assets/css/recomendations.css',
-  '/assets/css/animations.css',
-  '/assets/css/components.css',
-  '/assets/js/main.js',
-  '/assets/js/recommendations.js',
-  '/assets/js/animations.js',
-  '/assets/js/utils.js',
-  '/assets/fonts/Inter-Regular.woff2',
-  '/assets/fonts/Inter-Medium.woff2',
-  '/assets/fonts/Inter-Bold.woff2',
-  '/assets/images/ui/logo.svg',
-  '/assets/images/ui/arrow-right.svg',
-  '/assets/images/ui/star.svg',
-  '/data/anime-list.json',
-  '/data/genres.json',
-  '/data/recommendations.json'
-];
-
 // Install event - cache static files
 self.addEventListener('install', (event) => {
   console.log('Service Worker: Installing...');
   
   event.waitUntil(
-    caches.open(STATIC_CACHE)
-      .then((cache) => {
-        console.log('Service Worker: Caching static files');
-        return cache.addAll(STATIC_FILES);
-      })
-      .then(() => {
-        console.log('Service Worker: Static files cached');
-        return self.skipWaiting();
-      })
-      .catch((error) => {
-        console.error('Service Worker: Failed to cache static files', error);
+    precacheFiles(PRECACHE_MANIFEST.files)
+      .then((failed) => {
+        console.log(`Service Worker: ${PRECACHE_MANIFEST.files.length - failed.length} of ${PRECACHE_MANIFEST.files.length} static files cached`);
+        if (failed.length > 0) {
+          return reportPrecacheFailures(failed);
+        }
       })
+      .then(() => self.skipWaiting())
   );
 });
 
+// Cache each file on its own, so one missing file doesn't leave the
+// others uncached; returns the files that failed as [{ url, reason }]
+async function precacheFiles(files) {
+  const cache = await caches.open(STATIC_CACHE);
+  const results = await Promise.allSettled(files.map(async ({ url }) => {
+    const href = new URL(url, self.location.href).href;
+    // Past the HTTP cache, which may hold the previous version
+    const response = await fetch(new Request(href, { cache: 'no-cache' }));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    await cache.put(href, response);
+  }));
+
+  return results
+    .map((result, index) => ({ url: files[index].url, result }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ url, result }) => ({ url, reason: result.reason && result.reason.message ? result.reason.message : String(result.reason) }));
+}
+
+// Log the files that won't work offline and tell the open pages
+async function reportPrecacheFailures(failed) {
+  console.error(`Service Worker: Failed to cache ${failed.length} static file(s)`, failed);
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => {
+    client.postMessage({ type: 'PRECACHE_FAILED', failed });
+  });
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
   console.log('Service Worker: Activating...');
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ *
+ * AnimeCatalog: one record per title from both data files
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { readData } = require('./helpers/browser');
+
+const animeList = readData('anime-list.json');
+const recommendations = readData('recommendations.json');
+const catalog = new AnimeCatalog().ingest(animeList, recommendations);
+
+describe('ingest', () => {
+    test('merges a title listed in both files into one record, anime-list.json first', () => {
+        const anime = catalog.getById('spy-x-family');
+
+        expect(catalog.getAll().filter(record => record.title === 'Spy x Family')).toHaveLength(1);
+        expect(anime.sources).toEqual(['anime-list', 'recommendations']);
+        // anime-list.json wins where both have a value...
+        expect(anime.rating).toBe(8.8);
+        expect(anime.description).toMatch(/^A spy, an assassin, and a telepath/);
+        // ...and recommendations.json fills in what it leaves out
+        expect(anime.studio).toBe('WIT Studio/CloverWorks');
+        expect(anime.streamingPlatforms).toEqual(['Crunchyroll', 'Hulu']);
+        expect([anime.year, anime.yearEnd]).toEqual([2022, 2023]);
+        expect(anime.moods).toEqual(['comedy']);
+    });
+
+    test('combines genres and tags without case-insensitive duplicates', () => {
+        const anime = catalog.getById('spy-x-family');
+
+        expect(anime.genres).toEqual(['comedy', 'action', 'family']);
+        expect(anime.tags).toEqual(['family', 'wholesome', 'comedy', 'Fake Family', 'Spies']);
+        expect(catalog.getGenreLabels(anime)).toEqual(['Comedy', 'Action', 'Family']);
+    });
+
+    test('treats a title listed as a movie in either file as a movie', () => {
+        const anime = catalog.getById('your-name');
+
+        expect(anime.type).toBe('movie');
+        expect(anime.episodes).toBe(1);
+        expect(catalog.query({ type: 'movie' })).toContain(anime);
+    });
+
+    test('re-ingesting replaces the previous records', () => {
+        const small = new AnimeCatalog().ingest(animeList, recommendations);
+        small.ingest({ featured: [animeList.featured[0]] });
+
+        expect(small.getAll().map(anime => anime.id)).toEqual([animeList.featured[0].id]);
+        expect(small.getMoods()).toEqual([]);
+    });
+});
+
+describe('id aliases', () => {
+    test('files the recommendations.json ids under the catalog ids', () => {
+        expect(recommendations.categories.comedy.anime.map(entry => entry.id)).toContain('spy-family');
+        expect(recommendations.categories.short.anime.map(entry => entry.id)).toContain('odd-taxi');
+
+        expect(catalog.getById('spy-family')).toBe(catalog.getById('spy-x-family'));
+        expect(catalog.getById('odd-taxi')).toBe(catalog.getById('oddtaxi'));
+        expect(catalog.getAll().map(anime => anime.id)).not.toEqual(expect.arrayContaining(['spy-family']));
+        expect(catalog.getByMood('short').map(anime => anime.id)).toContain('oddtaxi');
+    });
+
+    test('resolves the homepage cards\' short ids', () => {
+        expect(catalog.getById('fmab').title).toBe('Fullmetal Alchemist: Brotherhood');
+        expect(catalog.getByIds(['aot', 'missing', 'mha']).map(anime => anime.id)).toEqual(['attack-on-titan', 'my-hero-academia']);
+        expect(catalog.getById('missing')).toBeNull();
+    });
+
+    test('finds titles by MyAnimeList id and by either name', () => {
+        expect(catalog.getByMalId('32281').id).toBe('your-name');
+        expect(catalog.getByTitle('kimi no na wa!').id).toBe('your-name');
+        expect(catalog.getByTitle('Spy × Family')).toBeNull();
+    });
+});
+
+describe('query', () => {
+    test('requires every criterion to match', () => {
+        const results = catalog.query({ genre: 'Comedy', difficulty: 'beginner', maxEpisodes: 26 });
+
+        expect(results.length).toBeGreaterThan(0);
+        results.forEach((anime) => {
+            expect(anime.genres).toContain('comedy');
+            expect(anime.difficulty).toBe('beginner');
+            expect(anime.episodes).toBeLessThanOrEqual(26);
+        });
+        expect(results.map(anime => anime.id)).toContain('spy-x-family');
+    });
+
+    test('matches text in titles, descriptions, genre labels and tags, ignoring case', () => {
+        expect(catalog.query({ text: 'BODY SWAP' }).map(anime => anime.id)).toContain('your-name');
+        expect(catalog.query({ text: 'Slice of Life' }).every(anime => anime.genres.includes('slice-of-life') || /slice of life/i.test(anime.description))).toBe(true);
+        expect(catalog.query({ text: 'nothing matches this' })).toEqual([]);
+    });
+
+    test('filters by mood and platform', () => {
+        expect(catalog.query({ mood: 'comedy', platform: 'Hulu' }).map(anime => anime.id)).toContain('spy-x-family');
+        expect(catalog.query({ mood: 'short', platform: 'Hulu' }).map(anime => anime.id)).not.toContain('spy-x-family');
+    });
+});
+
+test.each([
+    [2016, [2016, null]],
+    ['2016', [2016, null]],
+    ['2016-2022', [2016, 2022]],
+    ['', [null, null]],
+    [null, [null, null]],
+    ['unknown', [null, null]]
+])('parseYearRange(%p)', (value, expected) => {
+    expect(AnimeCatalog.parseYearRange(value)).toEqual(expected);
+});
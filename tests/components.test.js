@@ -0,0 +1,219 @@
+/**
+ * ComponentLoader lifecycle (props, onMount/onUnmount, scoped listeners,
+ * the instance registry and lifecycle events), data-bound regions and
+ * hydration of pre-rendered markup
+ */
+
+const { readData, loadScripts, stubFetch } = require('./helpers/browser');
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeAll(() => {
+    stubFetch();
+    loadScripts([
+        'assets/js/storage.js',
+        'assets/js/catalog.js',
+        'assets/js/template-engine.js',
+        'assets/js/components.js',
+        'assets/js/utils.js'
+    ]);
+});
+
+describe('data-bound regions', () => {
+    let loader;
+
+    beforeEach(() => {
+        loader = new window.ComponentLoader();
+    });
+
+    afterEach(() => {
+        loader.destroy();
+    });
+
+    test('renders one card per catalog title in the region\'s order and limit', async () => {
+        document.body.innerHTML = `
+            <div class="anime-grid" data-component="anime-card" data-source="catalog:featured" data-order="rating" data-limit="3">
+                <p class="fallback">Loading…</p>
+            </div>`;
+        const region = document.querySelector('.anime-grid');
+        const loaded = jest.fn();
+        document.addEventListener('componentLoaded', loaded, { once: true });
+
+        await expect(loader.renderRegion(region)).resolves.toBe(true);
+
+        const expected = readData('anime-list.json').featured
+            .slice()
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, 3)
+            .map(anime => anime.id);
+        expect(Array.from(region.querySelectorAll('.anime-card'), card => card.dataset.animeId)).toEqual(expected);
+        expect(region.querySelector('.fallback')).toBeNull();
+        const first = window.animeCatalog.getById(expected[0]);
+        expect(region.querySelector('.anime-card-genres').textContent)
+            .toBe(window.animeCatalog.getGenreLabels(first).slice(0, 3).join(', '));
+        expect(loaded.mock.calls[0][0].detail.element).toBe(region);
+        expect(loader.getInstances('anime-card')).toHaveLength(3);
+    });
+
+    test('drops script URLs from card images and links', async () => {
+        const { toProps } = window.ComponentLoader.getDefinition('anime-card');
+        const anime = window.animeCatalog.getById('erased');
+        const hostile = await loader.createComponent('anime-card', toProps({ ...anime, image: 'java\tscript:alert(1)', href: ' JavaScript:alert(2)' }));
+        const linked = await loader.createComponent('anime-card', toProps({ ...anime, href: 'anime/erased.html' }));
+
+        expect(hostile.querySelector('img').getAttribute('src')).toBe('');
+        expect(hostile.querySelector('a')).toBeNull();
+        expect(hostile.querySelector('button.anime-card-btn')).not.toBeNull();
+        expect(linked.querySelector('img').getAttribute('src')).toBe(anime.image);
+        expect(linked.querySelector('a.anime-card-btn').getAttribute('href')).toBe('anime/erased.html');
+    });
+
+    test('passes query-string criteria to catalog.query()', async () => {
+        document.body.innerHTML = '<div data-component="anime-card" data-source="catalog:genre=isekai&difficulty=beginner"></div>';
+        const region = document.querySelector('[data-source]');
+        await loader.renderRegion(region);
+
+        const titles = window.animeCatalog.query({ genre: 'isekai', difficulty: 'beginner' });
+        expect(titles.length).toBeGreaterThan(0);
+        expect(region.querySelectorAll('.anime-card')).toHaveLength(titles.length);
+    });
+
+    test('keeps the fallback markup when the source is unknown or empty', async () => {
+        document.body.innerHTML = `
+            <div id="unknown" data-component="anime-card" data-source="nowhere:all"><p class="fallback"></p></div>
+            <div id="empty" data-component="anime-card" data-source="catalog:genre=no-such-genre"><p class="fallback"></p></div>`;
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(loader.renderRegion(document.getElementById('unknown'))).resolves.toBe(false);
+        await expect(loader.renderRegion(document.getElementById('empty'))).resolves.toBe(false);
+
+        expect(document.querySelectorAll('.fallback')).toHaveLength(2);
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        consoleError.mockRestore();
+    });
+
+    test('hydrates pre-rendered regions and navigation without fetching', async () => {
+        document.body.innerHTML = `
+            <nav class="navbar component-loaded" data-prerendered="header"><a class="header__nav-link" href="/">Home</a></nav>
+            <div class="anime-grid" data-component="anime-card" data-source="catalog:featured" data-prerendered="anime-card">
+                <div class="anime-card" data-anime-id="a"></div>
+                <div class="anime-card" data-anime-id="b"></div>
+            </div>`;
+        const region = document.querySelector('.anime-grid');
+        const loaded = jest.fn();
+        document.addEventListener('componentLoaded', loaded, { once: true });
+        window.fetch.mockClear();
+
+        await expect(loader.renderRegion(region)).resolves.toBe(true);
+        await expect(loader.replaceNavigation()).resolves.toBe(true);
+
+        expect(window.fetch).not.toHaveBeenCalled();
+        expect(region.querySelectorAll('.anime-card')).toHaveLength(2);
+        expect(loader.getInstances('anime-card').map(instance => instance.element.dataset.animeId)).toEqual(['a', 'b']);
+        expect(loader.getInstance(document.querySelector('.navbar')).componentName).toBe('header');
+        expect(loaded.mock.calls[0][0].detail).toEqual({ componentName: 'anime-card', element: region, prerendered: true });
+    });
+
+    test('fetches a template once for a whole batch of cards', async () => {
+        window.fetch.mockClear();
+        const cards = await loader.createAnimeCards(window.animeCatalog.getAll());
+
+        expect(cards).toHaveLength(window.animeCatalog.getAll().length);
+        expect(window.fetch.mock.calls.filter(([url]) => url.includes('anime-card'))).toHaveLength(1);
+    });
+});
+
+describe('ComponentLoader lifecycle', () => {
+    let loader;
+    let hooks;
+    let events;
+
+    beforeAll(() => {
+        window.ComponentLoader.define('genre-card', {
+            props: { icon: '🎭', examples: [] },
+            onMount({ element, props, on }) {
+                hooks.push(`mount ${props.name}`);
+                on(element, 'click', () => hooks.push(`click ${props.name}`));
+                return () => hooks.push(`cleanup ${props.name}`);
+            },
+            onUnmount({ props }) {
+                hooks.push(`unmount ${props.name}`);
+            }
+        });
+
+        ['componentMounted', 'componentUnmounted'].forEach((type) => {
+            document.addEventListener(type, e => events.push(`${type} ${e.detail.componentName}`));
+        });
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="host"></div>';
+        loader = new window.ComponentLoader();
+        hooks = [];
+        events = [];
+    });
+
+    afterEach(() => {
+        loader.destroy();
+    });
+
+    test('fills in default props and mounts injected components', async () => {
+        const host = document.querySelector('.host');
+        await loader.injectComponent('genre-card', host, { name: 'Isekai' });
+
+        expect(host.querySelector('.genre-icon').textContent).toBe('🎭');
+        expect(loader.getInstance(host).props).toEqual({ icon: '🎭', examples: [], name: 'Isekai' });
+        expect(hooks).toEqual(['mount Isekai']);
+        expect(events).toEqual(['componentMounted genre-card']);
+    });
+
+    test('unmounts the previous component and its listeners when re-injecting', async () => {
+        const host = document.querySelector('.host');
+        await loader.injectComponent('genre-card', host, { name: 'Isekai' });
+        await loader.injectComponent('genre-card', host, { name: 'Romance' });
+        host.click();
+
+        expect(hooks).toEqual(['mount Isekai', 'unmount Isekai', 'cleanup Isekai', 'mount Romance', 'click Romance']);
+        expect(loader.getInstances('genre-card')).toHaveLength(1);
+    });
+
+    test('mounts created components when inserted and forgets them when removed', async () => {
+        const card = await loader.createComponent('genre-card', { name: 'Seinen' });
+        expect(hooks).toEqual([]);
+
+        document.body.appendChild(card);
+        await flushMutations();
+        expect(hooks).toEqual(['mount Seinen']);
+
+        card.remove();
+        await flushMutations();
+        card.click();
+        expect(hooks).toEqual(['mount Seinen', 'unmount Seinen', 'cleanup Seinen']);
+        expect(loader.getInstance(card)).toBeNull();
+        expect(events).toEqual(['componentMounted genre-card', 'componentUnmounted genre-card']);
+    });
+
+    test('replacing the navigation again does not stack click handlers', async () => {
+        document.body.innerHTML = '<nav class="navbar"></nav>';
+        await loader.replaceNavigation();
+        await loader.replaceNavigation();
+
+        const navbar = document.querySelector('.navbar');
+        const menu = navbar.querySelector('.header__nav');
+        // The header template's toggle sits outside its nav, so add one the way pages do
+        navbar.insertAdjacentHTML('beforeend', '<button class="mobile-menu-btn"></button>');
+        loader.unmountWithin(navbar);
+        loader.mountComponent('header', navbar);
+        navbar.querySelector('.mobile-menu-btn').click();
+
+        expect(menu.classList.contains('open')).toBe(true);
+        expect(loader.getInstances('header')).toHaveLength(1);
+        expect(events.filter(event => event.endsWith('header'))).toEqual([
+            'componentMounted header',
+            'componentUnmounted header',
+            'componentMounted header',
+            'componentUnmounted header',
+            'componentMounted header'
+        ]);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Homepage Top 5: the featured region picks anime-list.json's featured
+ * titles in file order, and FeaturedAnime, mounted by the page's
+ * ComponentLoader, ranks them and opens details
+ */
+
+const { readData, loadPage, loadScripts, stubFetch, waitFor } = require('./helpers/browser');
+
+const animeList = readData('anime-list.json');
+// Reversed and one longer than the grid, so neither rating nor the data's length decides
+const featured = animeList.featured.slice().reverse().concat({ ...animeList.featured[0], id: 'sixth-title', title: 'Sixth Title' });
+
+describe('FeaturedAnime', () => {
+    let loader;
+    let region;
+
+    const cardIds = () => Array.from(region.querySelectorAll('.anime-card'), card => card.dataset.animeId);
+    const ranks = () => Array.from(region.querySelectorAll('.anime-card-rank'), rank => rank.textContent);
+
+    beforeAll(async () => {
+        stubFetch({ 'anime-list.json': { ...animeList, featured } });
+        // jsdom has no navigation timing
+        window.performance.getEntriesByType = () => [{}];
+        window.performance.getEntriesByName = () => [];
+        loadPage('index.html');
+        loadScripts([
+            'assets/js/storage.js',
+            'assets/js/catalog.js',
+            'assets/js/safe-html.js',
+            'assets/js/template-engine.js',
+            'assets/js/components.js',
+            'assets/js/main.js',
+            'assets/js/featured.js',
+            'assets/js/utils.js'
+        ]);
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        region = document.querySelector('.featured-anime');
+        await waitFor(() => region.querySelector('.anime-card-rank'));
+        loader = window.startAnimeApp.componentLoader;
+    });
+
+    afterAll(() => {
+        loader.destroy();
+    });
+
+    beforeEach(() => {
+        window.animeDetailView = { open: jest.fn() };
+    });
+
+    afterEach(() => {
+        delete window.animeDetailView;
+    });
+
+    test('ranks the featured titles the build pre-rendered into the homepage', () => {
+        expect(loader.getInstance(region)).toMatchObject({ componentName: 'featured-anime', mounted: true });
+        expect(cardIds()).toEqual(animeList.featured.map(anime => anime.id));
+        expect(ranks()).toEqual(['1', '2', '3', '4', '5']);
+    });
+
+    test('labels each card\'s button and opens the detail view once per click', () => {
+        const button = region.querySelector('.anime-card-btn');
+
+        expect(button.getAttribute('aria-label')).toBe(`Learn more about ${animeList.featured[0].title}`);
+        expect(button.getAttribute('aria-haspopup')).toBe('dialog');
+
+        button.click();
+        expect(window.animeDetailView.open).toHaveBeenCalledTimes(1);
+        expect(window.animeDetailView.open).toHaveBeenCalledWith(animeList.featured[0].id, { trigger: button });
+    });
+
+    test('re-renders the first five featured titles in file order and keeps ranking and opening them', async () => {
+        // Render from the data instead of hydrating the build-time markup
+        region.removeAttribute('data-prerendered');
+        await loader.renderRegion(region);
+        await loader.renderRegion(region);
+
+        expect(loader.getInstance(region).mounted).toBe(true);
+        expect(cardIds()).toEqual(featured.slice(0, 5).map(anime => anime.id));
+        expect(ranks()).toEqual(['1', '2', '3', '4', '5']);
+
+        const button = region.querySelector('.anime-card-btn');
+        button.click();
+        expect(window.animeDetailView.open).toHaveBeenCalledTimes(1);
+        expect(window.animeDetailView.open).toHaveBeenCalledWith(featured[0].id, { trigger: button });
+    });
+});
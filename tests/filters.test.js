@@ -0,0 +1,157 @@
+/**
+ * AnimeFilters and FilterPanel: faceted filtering of the real catalog,
+ * live counts, the URL round trip and the checkbox panel
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { AnimeFilters, FilterPanel } = require('../assets/js/filters.js');
+const { readData, loadScripts } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+const animeList = catalog.getAll();
+
+describe('AnimeFilters', () => {
+    let filters;
+
+    const ids = () => filters.apply(animeList).map(anime => anime.id);
+    const options = facetId => filters.getCounts(animeList).find(group => group.facet.id === facetId).options;
+    const option = (facetId, value) => options(facetId).find(item => item.value === value);
+
+    beforeAll(() => {
+        loadScripts(['assets/js/safe-html.js', 'assets/js/utils.js']);
+    });
+
+    beforeEach(() => {
+        window.history.replaceState(null, '', '/recommend.html');
+        filters = new AnimeFilters(catalog);
+    });
+
+    test('matches any selected value within a facet and every facet with a selection', () => {
+        filters.toggle('genre', 'thriller');
+        filters.toggle('genre', 'mystery');
+        expect(ids()).toEqual(['attack-on-titan', 'erased', 'death-parade', 'oddtaxi']);
+
+        filters.toggle('difficulty', 'advanced');
+        expect(ids()).toEqual(['death-parade', 'oddtaxi']);
+
+        filters.clear('genre');
+        expect(ids()).toEqual(['death-parade', 'oddtaxi', 'devilman-crybaby']);
+        expect(filters.getActiveCount()).toBe(1);
+    });
+
+    test('counts each option against the other facets\' selections only', () => {
+        filters.toggle('genre', 'thriller');
+        filters.toggle('difficulty', 'advanced');
+
+        // Genres among the advanced titles, ignoring the genre selection itself
+        expect(option('genre', 'thriller')).toMatchObject({ count: 1, selected: true });
+        expect(option('genre', 'mystery')).toMatchObject({ count: 1, selected: false });
+        expect(option('genre', 'horror').count).toBe(1);
+        // Levels among the thriller titles
+        expect(options('difficulty').map(({ value, count }) => [value, count]))
+            .toEqual([['beginner', 0], ['intermediate', 2], ['advanced', 1]]);
+        expect(option('difficulty', 'advanced').label).toBe('Advanced');
+    });
+
+    test('keeps selected options with no results visible so they can be cleared', () => {
+        filters.fromParams(new URLSearchParams('studio=Ufotable&genre=mystery&genre=mecha'));
+
+        expect(option('studio', 'Ufotable')).toMatchObject({ count: 0, selected: true });
+        expect(option('genre', 'mecha')).toMatchObject({ count: 0, selected: true });
+        expect(ids()).toEqual([]);
+    });
+
+    test('writes the selection to the URL and reads it back', () => {
+        filters.toggle('genre', 'comedy');
+        filters.toggle('genre', 'slice-of-life');
+        filters.toggle('episodes', '1-13');
+
+        expect(window.location.search).toBe('?genre=comedy&genre=slice-of-life&episodes=1-13');
+
+        const params = filters.toParams(new URLSearchParams('q=quiet&genre=action&platform='));
+        expect(params.toString()).toBe('q=quiet&genre=comedy&genre=slice-of-life&episodes=1-13');
+
+        const restored = new AnimeFilters(catalog).readFromURL();
+        expect(restored.toParams().toString()).toBe(filters.toParams().toString());
+        expect(restored.apply(animeList).map(anime => anime.id)).toEqual(ids());
+        expect(new AnimeFilters(catalog).fromParams(new URLSearchParams('platform=')).isActive()).toBe(false);
+    });
+
+    test('splits co-productions into one studio option each', () => {
+        const studios = options('studio').map(item => item.value);
+
+        expect(studios).toEqual(expect.arrayContaining(['MAPPA', 'WIT Studio', 'CloverWorks']));
+        expect(studios).not.toContain('MAPPA/WIT Studio');
+        expect(option('studio', 'MAPPA').count).toBe(2);
+        expect(option('studio', 'WIT Studio').count).toBe(2);
+
+        filters.toggle('studio', 'WIT Studio');
+        expect(ids()).toEqual(['attack-on-titan', 'spy-x-family']);
+    });
+
+    describe('FilterPanel', () => {
+        let container;
+        let cleanups;
+
+        const input = (facetId, value) => Array.from(container.querySelectorAll('input[data-facet]'))
+            .find(item => item.dataset.facet === facetId && item.value === value);
+
+        beforeEach(() => {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+            cleanups = [];
+            new FilterPanel(container, filters, {
+                on: (target, type, handler) => {
+                    target.addEventListener(type, handler);
+                    cleanups.push(() => target.removeEventListener(type, handler));
+                }
+            });
+        });
+
+        afterEach(() => {
+            cleanups.forEach(cleanup => cleanup());
+            container.remove();
+        });
+
+        const announce = anime => document.dispatchEvent(new CustomEvent('resultsUpdated', { detail: { anime } }));
+
+        test('shows options for the announced results and hides without any', () => {
+            announce(animeList);
+            expect(container.hidden).toBe(false);
+            expect(input('genre', 'action').closest('label').textContent).toContain(catalog.getGenreLabel('action'));
+
+            announce([]);
+            expect(container.hidden).toBe(true);
+        });
+
+        test('toggles filters from the checkboxes and disables options that would empty the results', () => {
+            announce(animeList);
+
+            const box = input('studio', 'MAPPA');
+            box.checked = true;
+            box.dispatchEvent(new Event('change', { bubbles: true }));
+
+            expect(filters.isSelected('studio', 'MAPPA')).toBe(true);
+            expect(input('studio', 'MAPPA').checked).toBe(true);
+            // Studios stay combinable: their counts ignore the studio selection
+            expect(input('studio', 'Ufotable').disabled).toBe(false);
+            // No MAPPA title is a movie
+            expect(input('type', 'movie').disabled).toBe(true);
+            expect(container.querySelector('[data-clear-filters]').hidden).toBe(false);
+
+            container.querySelector('[data-clear-filters]').click();
+            expect(filters.isActive()).toBe(false);
+            expect(input('studio', 'MAPPA').checked).toBe(false);
+            expect(container.querySelector('[data-clear-filters]').hidden).toBe(true);
+        });
+
+        test('keeps a selected option with no results enabled so it can be unchecked', () => {
+            filters.fromParams(new URLSearchParams('studio=Ufotable&genre=mystery'));
+            announce(animeList);
+
+            expect(input('studio', 'Ufotable')).toMatchObject({ checked: true, disabled: false });
+            expect(input('studio', 'Ufotable').closest('label').classList.contains('is-empty')).toBe(false);
+            expect(input('studio', 'Bones').closest('label').classList.contains('is-empty')).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ *
+ * schema.org data for the generated anime pages
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { createStructuredData, toScriptJSON } = require('../scripts/generate-pages');
+const { readData } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+
+const describeAnime = anime => createStructuredData(anime, {
+    url: `https://example.com/anime/${anime.id}.html`,
+    image: 'https://example.com/cover.jpg',
+    genres: catalog.getGenreLabels(anime)
+});
+
+describe('createStructuredData', () => {
+    test('describes series as TVSeries with their episodes and first year', () => {
+        const anime = catalog.getById('demon-slayer');
+        const data = JSON.parse(toScriptJSON(describeAnime(anime)));
+
+        expect(data).toMatchObject({
+            '@context': 'https://schema.org',
+            '@type': 'TVSeries',
+            name: anime.title,
+            alternateName: anime.subtitle,
+            numberOfEpisodes: anime.episodes,
+            startDate: String(anime.year),
+            genre: catalog.getGenreLabels(anime),
+            sameAs: `https://myanimelist.net/anime/${anime.malId}`
+        });
+        expect(data.review.reviewRating).toEqual({ '@type': 'Rating', ratingValue: anime.rating, bestRating: 10, worstRating: 1 });
+        expect(data).not.toHaveProperty('datePublished');
+    });
+
+    test('describes movies as Movie without an episode count', () => {
+        const anime = catalog.getById('spirited-away');
+        const data = JSON.parse(toScriptJSON(describeAnime(anime)));
+
+        expect(data['@type']).toBe('Movie');
+        expect(data.datePublished).toBe(String(anime.year));
+        expect(data).not.toHaveProperty('numberOfEpisodes');
+        expect(data).not.toHaveProperty('startDate');
+    });
+});
+
+test('toScriptJSON keeps markup in values from closing the script element', () => {
+    const json = toScriptJSON({ name: '</script><script>alert(1)</script>' });
+
+    expect(json).not.toContain('<');
+    expect(JSON.parse(json).name).toBe('</script><script>alert(1)</script>');
+});
@@ -0,0 +1,89 @@
+/**
+ * Run the site's browser scripts inside Jest's jsdom window, the way the
+ * pages load them: classic scripts as <script> elements sharing one global
+ * scope, utils.js with its exports stripped (jsdom can't run modules).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function readFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readData(name) {
+    return JSON.parse(readFile(path.join('data', name)));
+}
+
+/**
+ * Browser APIs the scripts use that jsdom doesn't implement
+ */
+function stubBrowserAPIs() {
+    window.IntersectionObserver = window.IntersectionObserver || class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = window.matchMedia || (() => ({ matches: false, addListener() {}, addEventListener() {} }));
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+}
+
+/**
+ * @param {Array} files - Script paths relative to the repository root, in page order
+ */
+function loadScripts(files) {
+    stubBrowserAPIs();
+    files.forEach((file) => {
+        let code = readFile(file);
+        if (/^\s*export /m.test(code)) {
+            code = `(() => {${code.replace(/export default[\s\S]*?};/, '').replace(/^\s*export /gm, '')}})();`;
+        }
+        const script = document.createElement('script');
+        script.textContent = `${code}\n//# sourceURL=${file}`;
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Use a page's markup (without running its scripts) as the document
+ */
+function loadPage(file) {
+    const html = readFile(file);
+    document.body.innerHTML = html.slice(html.indexOf('<body'), html.lastIndexOf('</body>'))
+        .replace(/^<body[^>]*>/, '')
+        .replace(/<script[\s\S]*?<\/script>/g, '');
+}
+
+/**
+ * Serve the site's files (data/*.json, components/*.html) from disk, with
+ * optional replacement contents by file name
+ * @param {Object} overrides - { 'anime-list.json': data }
+ */
+function stubFetch(overrides = {}) {
+    window.fetch = jest.fn(async (url) => {
+        const file = new URL(String(url), 'http://localhost/').pathname;
+        const name = path.basename(file);
+        let body;
+        if (Object.prototype.hasOwnProperty.call(overrides, name)) {
+            body = JSON.stringify(overrides[name]);
+        } else if (fs.existsSync(path.join(ROOT, file))) {
+            body = readFile(file);
+        } else {
+            return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}), text: async () => '' };
+        }
+        return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+    });
+}
+
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the page scripts');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = { readData, loadScripts, loadPage, stubFetch, waitFor };
@@ -0,0 +1,113 @@
+/**
+ * AnimeJourney: stages from genres.json's difficulty progression, filled
+ * and unlocked from the real catalog and My List, and JourneyPanel rendering them
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { StorageService } = require('../assets/js/storage.js');
+const Watchlist = require('../assets/js/watchlist.js');
+const { AnimeJourney, JourneyPanel } = require('../assets/js/journey.js');
+const { readData, loadScripts, waitFor } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+const progression = readData('genres.json').difficulty_progression;
+
+describe('AnimeJourney', () => {
+    let watchlist;
+    let journey;
+
+    beforeAll(() => {
+        loadScripts(['assets/js/safe-html.js', 'assets/js/utils.js']);
+    });
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        watchlist = new Watchlist(catalog, new StorageService(window.localStorage));
+        journey = new AnimeJourney(catalog, watchlist, null).ingest(progression);
+    });
+
+    const complete = ids => ids.forEach(id => watchlist.add(catalog.getById(id), { status: 'completed' }));
+
+    test('puts every title in the stage for its difficulty, best rated first', () => {
+        const stages = journey.getProgress();
+
+        expect(stages.map(stage => stage.level)).toEqual(['beginner', 'intermediate', 'advanced']);
+        expect(stages.flatMap(stage => stage.titles)).toHaveLength(catalog.getAll().length);
+        stages.forEach((stage) => {
+            const ratings = stage.titles.map(anime => anime.rating);
+            expect(ratings).toEqual([...ratings].sort((a, b) => b - a));
+            stage.titles.forEach(anime => expect(anime.difficulty).toBe(stage.level));
+        });
+        expect(stages[1].titles.map(anime => anime.id)).toEqual(['hunter-x-hunter', 'attack-on-titan', 'violet-evergarden', 'erased']);
+    });
+
+    test('places titles without a difficulty by episodes and rating', () => {
+        const small = new AnimeCatalog().ingest({
+            featured: [
+                { id: 'short', title: 'Short', episodes: 12, rating: 7 },
+                { id: 'acclaimed', title: 'Acclaimed', episodes: 50, rating: 9 },
+                { id: 'long', title: 'Long', episodes: 200, rating: 7.5 }
+            ]
+        });
+        const stages = new AnimeJourney(small, watchlist, null).ingest(progression).getProgress();
+
+        expect(stages.map(stage => stage.titles.map(anime => anime.id))).toEqual([['short'], ['acclaimed'], ['long']]);
+    });
+
+    test('unlocks each stage after enough completed titles from the one before', () => {
+        let [beginner, intermediate, advanced] = journey.getProgress();
+        expect([beginner.unlocked, intermediate.unlocked, advanced.unlocked]).toEqual([true, false, false]);
+        expect(beginner.current).toBe(true);
+        expect(intermediate).toMatchObject({ needed: 3, previousLevel: 'beginner' });
+
+        complete(['spy-x-family', 'your-name', 'erased']);
+        [beginner, intermediate, advanced] = journey.getProgress();
+        expect(intermediate).toMatchObject({ unlocked: false, needed: 1 });
+
+        complete(['konosuba']);
+        [beginner, intermediate, advanced] = journey.getProgress();
+        expect(intermediate).toMatchObject({ unlocked: true, current: true, needed: 0 });
+        expect(beginner.current).toBe(false);
+        expect(advanced).toMatchObject({ unlocked: false, needed: 1 });
+
+        complete(['violet-evergarden']);
+        [beginner, intermediate, advanced] = journey.getProgress();
+        expect([intermediate.current, advanced.unlocked, advanced.current]).toEqual([false, true, true]);
+    });
+
+    test('suggests unlisted titles from the current stage first, favouring its genres', () => {
+        expect(journey.getSuggestions(2).map(({ anime, genreMatches }) => [anime.id, genreMatches]))
+            .toEqual([['kaguya-sama', 2], ['fullmetal-alchemist-brotherhood', 1]]);
+
+        complete(['kaguya-sama', 'spy-x-family', 'konosuba']);
+        watchlist.add(catalog.getById('erased'));
+        const suggestions = journey.getSuggestions(10);
+
+        expect(suggestions.map(({ stage }) => stage.level).slice(0, 3)).toEqual(['intermediate', 'intermediate', 'intermediate']);
+        expect(suggestions[0].anime.id).toBe('attack-on-titan');
+        expect(suggestions.map(({ anime }) => anime.id)).not.toContain('kaguya-sama');
+        expect(suggestions.map(({ anime }) => anime.id)).not.toContain('erased');
+    });
+
+    test('renders hostile stage and catalog text as text', async () => {
+        const hostile = '<img src=x onerror="window.__xss = 1">';
+        const small = new AnimeCatalog().ingest({
+            featured: [{ id: '"><b>', title: hostile, image: 'javascript:window.__xss = 2', episodes: 12, rating: 7, difficulty: 'beginner' }]
+        });
+        const stage = { ...progression.beginner, title: hostile, description: hostile, color: '"><b>', genres: [hostile], tips: [hostile] };
+        const library = { load: () => Promise.resolve(), getProgression: () => ({ beginner: stage }) };
+        const container = document.createElement('div');
+
+        new JourneyPanel(container, new AnimeJourney(small, watchlist, library));
+        await waitFor(() => container.querySelector('.journey-stage'));
+
+        expect(container.querySelectorAll('img[onerror], b')).toHaveLength(0);
+        expect(container.querySelector('.journey-stage-title').textContent).toBe(hostile);
+        expect(container.querySelector('.journey-tips li').textContent).toBe(hostile);
+        expect(container.querySelector('.journey-genre').getAttribute('href')).toBe(`recommend.html?q=${encodeURIComponent(hostile)}`);
+        expect(container.querySelector('.journey-suggestion-title').textContent).toBe(hostile);
+        expect(container.querySelector('.journey-suggestion-title').dataset.journeyDetails).toBe('"><b>');
+        expect(container.querySelector('.journey-suggestion-image').getAttribute('src')).toBe('');
+        expect(window.__xss).toBeUndefined();
+    });
+});
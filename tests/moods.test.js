@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ *
+ * MoodRegistry: mood ids and aliases from moods.json, with genres.json's
+ * mood_based_recommendations attached as each mood's genre tags
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const MoodRegistry = require('../assets/js/moods.js');
+const { readData } = require('./helpers/browser');
+
+const moodsData = readData('moods.json');
+const genresData = readData('genres.json');
+const recommendations = readData('recommendations.json');
+const moods = new MoodRegistry().ingest(moodsData, genresData);
+
+describe('MoodRegistry', () => {
+    test('lists every mood in moods.json in file order', () => {
+        expect(moods.getAll().map(mood => mood.id)).toEqual(Object.keys(moodsData.moods));
+        expect(moods.resolve('short')).toMatchObject({ emoji: '⚡', maxEpisodes: expect.any(Number), aliases: ['quick'] });
+    });
+
+    test('resolves mood ids and aliases, ignoring case', () => {
+        expect(moods.resolve('hyped').id).toBe('hyped');
+        expect(moods.resolve('excited').id).toBe('hyped');
+        expect(moods.resolve('Chill').id).toBe('comedy');
+        expect(moods.resolve('relaxed')).toBe(moods.resolve('comedy'));
+        expect(moods.getKeys('sad')).toEqual(['emotional', 'sad', 'drama']);
+    });
+
+    test('returns nothing for unknown or missing moods', () => {
+        expect(moods.resolve('sleepy')).toBeNull();
+        expect(moods.resolve('')).toBeNull();
+        expect(moods.resolve(undefined)).toBeNull();
+        expect(moods.getKeys('sleepy')).toEqual([]);
+        expect(new MoodRegistry().ingest().getAll()).toEqual([]);
+    });
+
+    test('tags each mood with the genres genres.json recommends under any of its keys', () => {
+        const tags = Object.fromEntries(moods.getAll().map(mood => [mood.id, mood.recommendedGenres]));
+
+        expect(tags).toEqual({
+            hyped: genresData.mood_based_recommendations.excited.recommended_genres,
+            emotional: genresData.mood_based_recommendations.emotional.recommended_genres,
+            comedy: genresData.mood_based_recommendations.relaxed.recommended_genres,
+            short: genresData.mood_based_recommendations.quick.recommended_genres
+        });
+    });
+
+    test('merges genre tags from several keys of one mood and skips unknown keys', () => {
+        const registry = new MoodRegistry().ingest(moodsData, {
+            mood_based_recommendations: {
+                chill: { recommended_genres: ['comedy', 'slice-of-life'] },
+                funny: { recommended_genres: ['comedy', 'parody'] },
+                sleepy: { recommended_genres: ['iyashikei'] }
+            }
+        });
+
+        expect(registry.resolve('comedy').recommendedGenres).toEqual(['comedy', 'slice-of-life', 'parody']);
+        expect(registry.getAll().flatMap(mood => mood.recommendedGenres)).not.toContain('iyashikei');
+    });
+
+    test('resolves every mood the data files use, to genres the catalog has', () => {
+        const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), recommendations);
+        const catalogGenres = new Set(catalog.getAll().flatMap(anime => anime.genres));
+
+        Object.keys(recommendations.categories).forEach(key => expect(moods.resolve(key)).not.toBeNull());
+        Object.keys(genresData.mood_based_recommendations).forEach(key => expect(moods.resolve(key)).not.toBeNull());
+        moods.getAll().forEach(mood => expect(mood.recommendedGenres.some(genre => catalogGenres.has(genre))).toBe(true));
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Storage problems reach the user: StartAnime shows a notification for
+ * storageError events, including ones reported while storage.js loaded
+ */
+
+const { loadPage, loadScripts, stubFetch } = require('./helpers/browser');
+
+const notifications = () => Array.from(document.querySelectorAll('.notification'), notification => ({
+    role: notification.getAttribute('role'),
+    text: notification.textContent
+}));
+
+describe('storage notifications', () => {
+    beforeAll(() => {
+        stubFetch();
+        // jsdom has no navigation timing
+        window.performance.getEntriesByType = () => [{}];
+        window.performance.getEntriesByName = () => [];
+        loadPage('my-list.html');
+        window.localStorage.setItem('startanime_userlist', '[]');
+        // The version 1 migration can't read the original list
+        const getItem = jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new DOMException('The operation is insecure.', 'SecurityError');
+        });
+        loadScripts(['assets/js/storage.js']);
+        getItem.mockRestore();
+
+        loadScripts([
+            'assets/js/catalog.js',
+            'assets/js/template-engine.js',
+            'assets/js/components.js',
+            'assets/js/main.js',
+            'assets/js/utils.js'
+        ]);
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+    });
+
+    afterAll(() => {
+        if (window.startAnimeApp.componentLoader) window.startAnimeApp.componentLoader.destroy();
+    });
+
+    test('shows a migration that failed before the page was listening', () => {
+        expect(window.startAnimeStorage.migrationError).not.toBeNull();
+        expect(notifications()).toEqual([
+            { role: 'alert', text: expect.stringContaining("couldn't update your saved list") }
+        ]);
+    });
+
+    test('warns once when a save only lasts for this visit', () => {
+        const error = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        document.dispatchEvent(new CustomEvent('storageError', { detail: { key: 'watchlist', reason: 'quota', error } }));
+        document.dispatchEvent(new CustomEvent('storageError', { detail: { key: 'watchlist', reason: 'quota', error } }));
+        document.dispatchEvent(new CustomEvent('storageError', { detail: { key: 'watchlist', reason: 'unreadable', error } }));
+
+        expect(notifications()).toHaveLength(2);
+        expect(notifications()[1]).toEqual({ role: 'alert', text: expect.stringContaining('storage is full') });
+    });
+});
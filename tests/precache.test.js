@@ -0,0 +1,157 @@
+/**
+ * @jest-environment node
+ *
+ * The service worker's precache: the manifest scanned from the project and
+ * an install that caches what it can and reports the rest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { collectFiles, createManifest } = require('../scripts/generate-precache');
+
+const ROOT = path.resolve(__dirname, '..');
+
+describe('collectFiles', () => {
+    test('lists the pages, components, scripts, styles and data the site loads', () => {
+        const files = collectFiles();
+        const components = fs.readdirSync(path.join(ROOT, 'components')).map(name => `components/${name}`);
+
+        expect(files).toEqual(expect.arrayContaining([
+            'index.html',
+            'offline.html',
+            'manifest.json',
+            'anime/erased.html',
+            'genre/isekai.html',
+            'assets/css/recommendations.css',
+            'assets/js/components.js',
+            'data/anime-list.json',
+            ...components
+        ]));
+        files.forEach(file => expect(fs.existsSync(path.join(ROOT, file))).toBe(true));
+    });
+
+    test('leaves out build and project files', () => {
+        const files = collectFiles();
+
+        ['sw.js', 'precache-manifest.js', 'package.json', 'requests.jsonl', 'README.md'].forEach(file => expect(files).not.toContain(file));
+        expect(files.some(file => /^(tests|scripts|docs|node_modules|data\/schemas)\//.test(file))).toBe(false);
+    });
+});
+
+describe('createManifest', () => {
+    let root;
+    const sources = [{ dir: '', pattern: /\.html$/ }, { dir: 'assets/css', pattern: /\.css$/ }];
+    const write = (file, contents) => {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), contents);
+    };
+    const revisions = manifest => Object.fromEntries(manifest.files.map(({ url, revision }) => [url, revision]));
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'precache-'));
+        write('index.html', '<h1>Home</h1>');
+        write('assets/css/main.css', 'body {}');
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('gives each file a hash of its contents, and the site root index.html\'s', () => {
+        const manifest = revisions(createManifest(root, sources));
+
+        expect(Object.keys(manifest)).toEqual(['assets/css/main.css', './', 'index.html']);
+        expect(manifest['./']).toBe(manifest['index.html']);
+        expect(manifest['index.html']).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    test('changes the revision of a changed file and the version', () => {
+        const before = createManifest(root, sources);
+        write('assets/css/main.css', 'body { color: red; }');
+        const after = createManifest(root, sources);
+
+        expect(revisions(after)['assets/css/main.css']).not.toBe(revisions(before)['assets/css/main.css']);
+        expect(revisions(after)['index.html']).toBe(revisions(before)['index.html']);
+        expect(after.version).not.toBe(before.version);
+        expect(createManifest(root, sources)).toEqual(after);
+    });
+});
+
+describe('service worker install', () => {
+    const FILES = {
+        'https://startanime.test/index.html': '<h1>Home</h1>',
+        'https://startanime.test/assets/css/main.css': 'body {}'
+    };
+
+    // Runs sw.js as a worker would, with the given manifest and a network serving FILES
+    function startWorker(manifest) {
+        const listeners = {};
+        const cached = new Map();
+        const messages = [];
+        const worker = {
+            location: new URL('https://startanime.test/sw.js'),
+            addEventListener: (type, listener) => { listeners[type] = listeners[type] || listener; },
+            importScripts: () => { worker.PRECACHE_MANIFEST = manifest; },
+            skipWaiting: jest.fn(async () => {}),
+            clients: { matchAll: async () => [{ postMessage: message => messages.push(message) }] },
+            caches: {
+                open: async () => ({ put: async (url, response) => cached.set(url, await response.text()) })
+            },
+            fetch: async (request) => {
+                if (request.url.includes('offline')) throw new TypeError('Failed to fetch');
+                const body = FILES[request.url];
+                return body ? new Response(body) : new Response('', { status: 404 });
+            },
+            Request,
+            Response,
+            URL,
+            console: { log() {}, warn() {}, error: jest.fn() }
+        };
+        worker.self = worker;
+        vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), worker);
+
+        return {
+            worker,
+            cached,
+            messages,
+            install: () => {
+                let installing;
+                listeners.install({ waitUntil: (promise) => { installing = promise; } });
+                return installing;
+            }
+        };
+    }
+
+    test('caches the files it can when others fail, and reports the failures', async () => {
+        const { worker, cached, messages, install } = startWorker({
+            version: 'abc',
+            files: [
+                { url: 'index.html', revision: '1' },
+                { url: 'assets/css/recomendations.css', revision: '2' },
+                { url: 'offline.html', revision: '3' },
+                { url: 'assets/css/main.css', revision: '4' }
+            ]
+        });
+
+        await install();
+
+        expect(Array.from(cached.keys())).toEqual(['https://startanime.test/index.html', 'https://startanime.test/assets/css/main.css']);
+        expect(worker.skipWaiting).toHaveBeenCalled();
+        expect(messages).toEqual([{
+            type: 'PRECACHE_FAILED',
+            failed: [
+                { url: 'assets/css/recomendations.css', reason: 'HTTP 404' },
+                { url: 'offline.html', reason: 'Failed to fetch' }
+            ]
+        }]);
+        expect(worker.console.error).toHaveBeenCalled();
+    });
+
+    test('names the static cache after the manifest version', () => {
+        const { worker } = startWorker({ version: 'abc', files: [] });
+
+        expect(vm.runInNewContext('STATIC_CACHE', worker)).toBe('startanime-static-abc');
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ *
+ * RecommendationRanker: mood matching, preference scoring and reasons
+ * over the real catalog and moods
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const MoodRegistry = require('../assets/js/moods.js');
+const RecommendationRanker = require('../assets/js/ranking.js');
+const { readData } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+const moods = new MoodRegistry().ingest(readData('moods.json'), readData('genres.json'));
+const ranker = new RecommendationRanker(catalog, moods);
+
+const ids = results => results.map(result => result.anime.id);
+const find = (results, id) => results.find(result => result.anime.id === id);
+
+describe('RecommendationRanker', () => {
+    test('keeps only titles that fit the mood', () => {
+        const mood = moods.resolve('hyped');
+        const results = ranker.rank({ mood: 'hyped' });
+
+        expect(results.length).toBeGreaterThan(0);
+        results.forEach(({ anime }) => {
+            const listed = anime.moods.some(key => moods.getKeys(mood.id).includes(key));
+            const genre = anime.genres.some(slug => mood.recommendedGenres.includes(slug));
+            expect(listed || genre).toBe(true);
+        });
+        expect(ids(results)).not.toContain('kaguya-sama');
+    });
+
+    test('sorts by score, best first', () => {
+        const scores = ranker.rank({ mood: 'hyped' }).map(result => result.score);
+
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    test('ranks titles that preferences penalise lower instead of dropping them', () => {
+        const unfiltered = ranker.rank({ mood: 'hyped' });
+        const results = ranker.rank({ mood: 'hyped', difficulty: 'beginner', maxEpisodes: 13 });
+
+        expect(ids(results).sort()).toEqual(ids(unfiltered).sort());
+        // 75 episodes and rated harder than beginner
+        const titan = find(results, 'attack-on-titan');
+        expect(titan.score).toBeLessThan(find(unfiltered, 'attack-on-titan').score);
+        expect(ids(results).indexOf('attack-on-titan')).toBeGreaterThan(ids(results).indexOf('anohana'));
+        expect(results.some(result => result.score <= 0)).toBe(true);
+    });
+
+    test('moves preferred genres and platforms up and says why', () => {
+        const plain = ranker.rank({ mood: 'emotional' });
+        const results = ranker.rank({ mood: 'emotional', genres: ['supernatural'], platforms: ['Funimation'] });
+        const yourName = find(results, 'your-name');
+
+        expect(ids(results).indexOf('your-name')).toBeLessThan(ids(plain).indexOf('your-name'));
+        expect(yourName.reasons).toEqual(expect.arrayContaining([
+            `Hand-picked for "${moods.resolve('emotional').title}"`,
+            'You like Supernatural',
+            'Streaming on Funimation'
+        ]));
+    });
+
+    test('counts warned titles and horror, psychological and dark fantasy as mature', () => {
+        expect(ranker.isMature(catalog.getById('devilman-crybaby'))).toBe(true);
+        expect(ranker.isMature(catalog.getById('death-parade'))).toBe(true);
+        expect(ranker.isMature(catalog.getById('attack-on-titan'))).toBe(true);
+        expect(ranker.isMature(catalog.getById('spy-x-family'))).toBe(false);
+        expect(ranker.isMature({ genres: ['comedy'], warning: 'Flashing lights' })).toBe(true);
+    });
+
+    test('ranks mature titles lower when avoiding them, without dropping them', () => {
+        const plain = ranker.rank({ mood: 'hyped' });
+        const results = ranker.rank({ mood: 'hyped', avoidMature: true });
+
+        expect(ids(results).sort()).toEqual(ids(plain).sort());
+        expect(find(results, 'attack-on-titan').score).toBeCloseTo(find(plain, 'attack-on-titan').score + ranker.weights.matureAvoided);
+        expect(ids(results).indexOf('attack-on-titan')).toBeGreaterThan(ids(plain).indexOf('attack-on-titan'));
+        results.filter(result => !ranker.isMature(result.anime)).forEach((result) => {
+            expect(result.score).toBeCloseTo(find(plain, result.anime.id).score);
+        });
+    });
+
+    test('moves titles on dub-heavy services up for viewers who want dubs', () => {
+        const plain = ranker.rank({ mood: 'emotional' });
+        const results = ranker.rank({ mood: 'emotional', audio: 'dub' });
+        const silentVoice = find(results, 'a-silent-voice');
+
+        expect(silentVoice.score).toBeCloseTo(find(plain, 'a-silent-voice').score + ranker.weights.dubbed);
+        expect(silentVoice.reasons).toContain('Dubbed on Netflix, Funimation');
+        // Only on Crunchyroll
+        expect(find(results, 'oddtaxi').score).toBe(find(plain, 'oddtaxi').score);
+        expect(ranker.rank({ mood: 'emotional', audio: 'sub' }).map(result => result.score)).toEqual(plain.map(result => result.score));
+    });
+
+    test('ranks the whole catalog without a mood', () => {
+        expect(ranker.rank({})).toHaveLength(catalog.getAll().length);
+    });
+});
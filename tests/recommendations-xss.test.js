@@ -0,0 +1,205 @@
+/**
+ * Recommendation rendering with hostile catalog data and search queries:
+ * everything must come out as text, never as elements, handlers or
+ * script URLs.
+ */
+
+const { readData, loadScripts, loadPage, stubFetch, waitFor } = require('./helpers/browser');
+
+const PAYLOADS = [
+    '<script>window.__xss = "script"</script>',
+    '<img src=x onerror="window.__xss = \'img\'">',
+    '"><svg onload="window.__xss = \'svg\'">',
+    "' autofocus onfocus='window.__xss = \"attr\"",
+    '</h3><iframe src="javascript:window.__xss = 1"></iframe>',
+    '$& $` {{title}}'
+];
+
+const HOSTILE_TITLE = `Zephyr ${PAYLOADS[1]} Saga`;
+
+const HOSTILE_ANIME = {
+    id: 'zephyr-saga',
+    title: HOSTILE_TITLE,
+    subtitle: `Zephyr ${PAYLOADS[2]}`,
+    description: PAYLOADS.join(' '),
+    genre: ['action', `<b onmouseover="window.__xss = 'genre'">Zephyr</b>`],
+    rating: 8.5,
+    episodes: 12,
+    year: 2020,
+    difficulty: 'beginner',
+    image: 'java\tscript:window.__xss = "image"',
+    reasons: [PAYLOADS[0]],
+    tags: PAYLOADS.slice(0, 4).concat('zephyr')
+};
+
+const SCRIPTS = [
+    'assets/js/storage.js',
+    'assets/js/catalog.js',
+    'assets/js/moods.js',
+    'assets/js/ranking.js',
+    'assets/js/similarity.js',
+    'assets/js/search.js',
+    'assets/js/safe-html.js',
+    'assets/js/anime-details.js',
+    'assets/js/watchlist.js',
+    'assets/js/taste-profile.js',
+    'assets/js/template-engine.js',
+    'assets/js/components.js',
+    'assets/js/filters.js',
+    'assets/js/onboarding-quiz.js',
+    'assets/js/recommendations.js',
+    'assets/js/utils.js'
+];
+
+function expectNoInjection(container) {
+    expect(container.querySelectorAll('script, iframe, svg, object, embed, b')).toHaveLength(0);
+
+    container.querySelectorAll('*').forEach((element) => {
+        Array.from(element.attributes).forEach((attribute) => {
+            expect(attribute.name).not.toMatch(/^on|^autofocus$/);
+            if (['src', 'href'].includes(attribute.name)) {
+                expect(attribute.value.replace(/\s/g, '')).not.toMatch(/^javascript:/i);
+            }
+        });
+    });
+
+    expect(window.__xss).toBeUndefined();
+}
+
+describe('recommendation rendering', () => {
+    let engine;
+    let results;
+
+    beforeAll(async () => {
+        const animeList = readData('anime-list.json');
+        animeList.featured.push(HOSTILE_ANIME);
+        stubFetch({ 'anime-list.json': animeList });
+        loadPage('recommend.html');
+        loadScripts(SCRIPTS);
+
+        engine = new window.RecommendationEngine();
+        await waitFor(() => engine.searchIndex !== null && document.querySelector('.mood-card'));
+        results = document.querySelector('.recommendations-results');
+    });
+
+    afterEach(() => {
+        delete window.__xss;
+    });
+
+    test('escapes hostile titles, tags, genres and descriptions in anime cards', () => {
+        const anime = engine.findAnimeById('zephyr-saga');
+        const card = document.createElement('div');
+        card.innerHTML = engine.createAnimeCardHTML(anime, 0, [PAYLOADS[3]]);
+
+        expectNoInjection(card);
+        expect(card.querySelector('.anime-title').textContent).toBe(HOSTILE_TITLE);
+        expect(card.querySelector('.anime-image').getAttribute('alt')).toBe(HOSTILE_TITLE);
+        expect(card.querySelector('.anime-image').getAttribute('src')).toBe('');
+        expect(card.querySelector('.anime-description').textContent).toBe(PAYLOADS.join(' '));
+        expect(Array.from(card.querySelectorAll('.anime-tag'), tag => tag.textContent)).toEqual(HOSTILE_ANIME.tags);
+        expect(card.querySelector('.anime-genre').textContent).toContain(HOSTILE_ANIME.genre[1]);
+        expect(card.querySelector('.anime-match-reasons li').textContent).toBe(PAYLOADS[3]);
+    });
+
+    test('escapes the mood, category and similar titles in recommendation results', () => {
+        const anime = engine.findAnimeById('zephyr-saga');
+        const mood = { ...engine.moods.getAll()[0], emoji: PAYLOADS[0] };
+        const category = { title: PAYLOADS[1], description: PAYLOADS[2] };
+        engine.rankedResults = [{ anime, reasons: [PAYLOADS[4]] }];
+        engine.visibleResults = engine.rankedResults;
+        engine.resultsShown = 1;
+
+        results.innerHTML = engine.createRecommendationsHTML(category, mood, engine.visibleResults);
+
+        expectNoInjection(results);
+        expect(results.querySelector('.recommendations-title').textContent).toContain(PAYLOADS[0]);
+        expect(results.querySelector('.recommendations-title').textContent).toContain(PAYLOADS[1]);
+        expect(results.querySelector('.recommendations-subtitle').textContent).toBe(PAYLOADS[2]);
+        expect(results.querySelectorAll('.anime-card')).toHaveLength(1);
+    });
+
+    test('escapes the title in "because you liked" results', () => {
+        engine.showBecauseYouLiked('zephyr-saga');
+
+        expectNoInjection(results);
+        expect(results.querySelector('.recommendations-title').textContent).toBe(`Because you liked ${HOSTILE_TITLE}`);
+    });
+
+    test.each(PAYLOADS)('escapes the search query %s', (query) => {
+        engine.displaySearchResults([], query);
+
+        expectNoInjection(results);
+        expect(results.querySelector('h3').textContent).toBe(`No anime found for "${query.trim()}"`);
+    });
+
+    test('highlights matches in hostile titles without injecting markup', () => {
+        const query = `zephyr ${PAYLOADS[1]}`;
+        engine.displaySearchResults(engine.searchAnime('zephyr'), query);
+
+        expectNoInjection(results);
+        expect(results.querySelector('h2').textContent).toBe(`Search Results for "${query}"`);
+        const card = results.querySelector('[data-anime-id="zephyr-saga"]');
+        expect(card.querySelector('.anime-title').textContent).toBe(HOSTILE_TITLE);
+        expect(card.querySelector('.anime-title mark').textContent).toBe('Zephyr');
+    });
+
+    test('escapes hostile catalog data in the detail view a card opens', async () => {
+        engine.displaySearchResults(engine.searchAnime('zephyr'), 'zephyr');
+        results.querySelector('[data-anime-id="zephyr-saga"] .learn-more-btn').click();
+        await waitFor(() => document.querySelector('.modal.active .modal-title'));
+
+        const modal = document.querySelector('.modal.active');
+        expectNoInjection(modal);
+        expect(modal.querySelector('.modal-title').textContent).toBe(HOSTILE_TITLE);
+        expect(modal.querySelector('.anime-detail-subtitle').textContent).toBe(HOSTILE_ANIME.subtitle);
+        expect(modal.querySelector('.anime-detail-image').getAttribute('src')).toBe('');
+        expect(modal.querySelector('.anime-detail-image').getAttribute('alt')).toBe(HOSTILE_TITLE);
+        expect(modal.querySelector('.anime-detail-description').textContent).toBe(PAYLOADS.join(' '));
+        expect(Array.from(modal.querySelectorAll('.badge-secondary'), tag => tag.textContent)).toEqual(HOSTILE_ANIME.tags);
+        expect(modal.querySelector('.anime-detail-section li').textContent).toBe(PAYLOADS[0]);
+        expect(Array.from(modal.querySelectorAll('.anime-detail-section h3'), heading => heading.textContent)).toContain('Difficulty: Beginner');
+
+        window.animeDetailView.close();
+    });
+
+    test('escapes hostile genre labels in the filter panel', () => {
+        const panel = document.querySelector('.filter-panel');
+        const filterPanel = new window.FilterPanel(panel, new window.AnimeFilters(engine.catalog));
+        filterPanel.results = [engine.findAnimeById('zephyr-saga')];
+        filterPanel.render();
+
+        expectNoInjection(panel);
+        const labels = Array.from(panel.querySelectorAll('.filter-option-label'), label => label.textContent);
+        expect(labels).toContain(HOSTILE_ANIME.genre[1]);
+    });
+
+    test('escapes hostile platform names in the quiz and the profile summary', async () => {
+        const container = document.querySelector('.taste-quiz');
+        const quiz = new window.OnboardingQuiz(window.tasteProfile, engine.catalog);
+        await waitFor(() => quiz.steps.length > 0);
+        quiz.platforms = [PAYLOADS[1], PAYLOADS[3]];
+        quiz.steps = window.tasteProfile.getSteps(quiz.platforms);
+
+        quiz.start({});
+        quiz.goTo(quiz.steps.length - 1);
+        expectNoInjection(container);
+        expect(Array.from(container.querySelectorAll('.taste-quiz-option span'), label => label.textContent)).toEqual(quiz.platforms);
+        expect(Array.from(container.querySelectorAll('.taste-quiz-option input'), input => input.value)).toEqual(quiz.platforms);
+
+        container.querySelector('.taste-quiz-option input').checked = true;
+        quiz.handleAction('next');
+        expectNoInjection(container);
+        expect(container.querySelector('.taste-quiz-traits').textContent).toContain(`Watches on ${PAYLOADS[1]}`);
+
+        window.tasteProfile.clear();
+    });
+
+    test('searching through the search box renders hostile input as text', () => {
+        const input = document.querySelector('.search-input');
+        input.value = PAYLOADS[2];
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+        expectNoInjection(results);
+        expect(results.textContent).toContain(PAYLOADS[2]);
+    });
+});
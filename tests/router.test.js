@@ -0,0 +1,208 @@
+/**
+ * Client-side routing: links to the site's pages swap the route view in
+ * place, page behaviour follows the view, and anything the router can't
+ * show is loaded normally.
+ */
+
+const { loadScripts, waitFor } = require('./helpers/browser');
+
+const page = ({ title, view, head = '', scripts = [] }) => `<!DOCTYPE html>
+<html><head><title>${title}</title>${head}</head>
+<body>
+    <nav class="navbar"></nav>
+    <main class="route-view">${view}</main>
+    ${scripts.map(src => `<script src="${src}"></script>`).join('')}
+</body></html>`;
+
+const PAGES = {
+    '/': page({ title: 'StartAnime', view: '<p class="home" data-test-section="home">Home</p>' }),
+    '/recommend.html': page({
+        title: 'Recommendations | StartAnime',
+        head: '<meta name="description" content="Find your first anime">',
+        view: '<section class="recommendations-section" data-test-section="recommend"><a href="anime/erased.html" class="anime-link">Erased</a></section>'
+    }),
+    '/anime/erased.html': page({
+        title: 'Erased | StartAnime',
+        head: '<base href="../"><link rel="canonical" href="https://example.com/anime/erased.html">',
+        view: '<article data-anime-id="erased"><a href="genre/mystery.html" class="genre-link">Mystery</a></article>'
+    }),
+    '/genre/mystery.html': page({
+        title: 'Mystery Anime | StartAnime',
+        head: '<base href="../">',
+        view: '<article data-genre-id="mystery"></article>',
+        scripts: ['assets/js/storage.js', 'assets/js/genres.js', 'assets/js/genre-explorer.js']
+    }),
+    '/my-list.html': '<!DOCTYPE html><html><head><title>My List</title></head><body><p>No route view</p></body></html>'
+};
+
+const HOME_VIEW = `
+    <nav class="navbar">
+        <a href="recommend.html" class="nav-link">Recommendations</a>
+        <a href="https://example.com/recommend.html" class="external-link">Elsewhere</a>
+        <a href="#genres" class="anchor-link">Genres</a>
+    </nav>
+    <main class="route-view"><p class="home" data-test-section="home">Home</p></main>
+`;
+
+describe('Router', () => {
+    let router;
+    let routes;
+    const recordRoute = e => routes.push(e.detail);
+
+    beforeAll(() => {
+        loadScripts(['assets/js/template-engine.js', 'assets/js/components.js', 'assets/js/router.js']);
+    });
+
+    beforeEach(() => {
+        window.history.replaceState(null, '', '/');
+        document.title = 'StartAnime';
+        document.head.querySelectorAll('base, meta, link').forEach(element => element.remove());
+        document.body.innerHTML = HOME_VIEW;
+
+        window.fetch = jest.fn(async (url) => {
+            const body = PAGES[new URL(url).pathname];
+            return body
+                ? { ok: true, status: 200, text: async () => body }
+                : { ok: false, status: 404, text: async () => '' };
+        });
+
+        routes = [];
+        document.addEventListener('routeChanged', recordRoute);
+        router = new window.Router({ root: 'http://localhost/' });
+        router.start();
+    });
+
+    afterEach(() => {
+        router.destroy();
+        document.removeEventListener('routeChanged', recordRoute);
+    });
+
+    test('matches the site pages by path from the root', () => {
+        expect(router.match('http://localhost/')).toMatchObject({ name: 'home', id: null });
+        expect(router.match('http://localhost/recommend.html?mood=hyped')).toMatchObject({ name: 'recommendations' });
+        expect(router.match('http://localhost/genres.html#isekai')).toMatchObject({ name: 'genre', id: null });
+        expect(router.match('http://localhost/genre/mystery.html')).toMatchObject({ name: 'genre', id: 'mystery' });
+        expect(router.match('http://localhost/anime/erased.html')).toMatchObject({ name: 'anime', id: 'erased' });
+        expect(router.match('http://localhost/my-list.html')).toMatchObject({ name: 'watchlist' });
+        expect(router.match('http://localhost/sw.js')).toBeNull();
+        expect(router.match('https://example.com/recommend.html')).toBeNull();
+
+        const subpath = new window.Router({ root: 'http://localhost/startanime/' });
+        expect(subpath.match('http://localhost/startanime/my-list.html')).toMatchObject({ name: 'watchlist' });
+        expect(subpath.match('http://localhost/my-list.html')).toBeNull();
+    });
+
+    test('shows a linked page in place of the current view', async () => {
+        document.querySelector('.nav-link').click();
+        await waitFor(() => routes.length === 1);
+
+        expect(window.location.pathname).toBe('/recommend.html');
+        expect(document.title).toBe('Recommendations | StartAnime');
+        expect(document.querySelector('meta[name="description"]').content).toBe('Find your first anime');
+        expect(document.querySelector('.home')).toBeNull();
+        expect(routes[0].view).toBe(document.querySelector('.route-view'));
+        expect(routes[0].view.querySelector('.recommendations-section')).not.toBeNull();
+        expect(routes[0].route).toMatchObject({ name: 'recommendations' });
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('mounts page behaviour on the new view and unmounts the old view\'s', async () => {
+        const loader = new window.ComponentLoader();
+        const pings = [];
+        window.ComponentLoader.define('test-section', {
+            selector: '[data-test-section]',
+            onMount({ element, on }) {
+                on(document, 'testPing', () => pings.push(element.dataset.testSection));
+            }
+        });
+        const mountView = e => loader.mountAll(e.detail.view);
+        loader.mountAll();
+        document.addEventListener('routeChanged', mountView);
+
+        await router.navigate('recommend.html');
+        // Removed instances unmount once the MutationObserver reports the swap
+        await new Promise(resolve => setTimeout(resolve, 0));
+        document.dispatchEvent(new CustomEvent('testPing'));
+
+        expect(pings).toEqual(['recommend']);
+        document.removeEventListener('routeChanged', mountView);
+        loader.destroy();
+    });
+
+    test('resolves generated pages\' links from their <base> and drops it for pages without one', async () => {
+        await router.navigate('anime/erased.html');
+
+        expect(document.querySelector('base').href).toBe('http://localhost/');
+        expect(document.querySelector('link[rel="canonical"]').href).toBe('https://example.com/anime/erased.html');
+        expect(document.querySelector('.genre-link').href).toBe('http://localhost/genre/mystery.html');
+
+        await router.navigate('recommend.html');
+
+        expect(document.querySelector('base')).toBeNull();
+        expect(document.querySelector('link[rel="canonical"]')).toBeNull();
+    });
+
+    test('loads the scripts a page needs that this one hasn\'t, in page order', async () => {
+        const existing = document.createElement('script');
+        existing.src = 'assets/js/storage.js';
+        document.body.appendChild(existing);
+        router.loadElement = jest.fn(async () => {});
+
+        await router.navigate('genre/mystery.html');
+
+        expect(router.loadElement.mock.calls.map(([tagName, attributes]) => [tagName, attributes.src])).toEqual([
+            ['script', 'http://localhost/assets/js/genres.js'],
+            ['script', 'http://localhost/assets/js/genre-explorer.js']
+        ]);
+    });
+
+    test('goes back to the previous page and where it was scrolled to', async () => {
+        router.scrollPositions.set('http://localhost/', 480);
+        const scrollTo = jest.spyOn(window, 'scrollTo');
+
+        await router.navigate('recommend.html');
+        expect(scrollTo).toHaveBeenLastCalledWith(0, 0);
+
+        window.history.back();
+        await waitFor(() => routes.length === 2);
+
+        expect(window.location.pathname).toBe('/');
+        expect(document.querySelector('.home')).not.toBeNull();
+        expect(scrollTo).toHaveBeenLastCalledWith(0, 480);
+        scrollTo.mockRestore();
+    });
+
+    test('leaves modified clicks, other sites and in-page anchors to the browser', () => {
+        const defaultPrevented = [];
+        // Runs after the router's listener; stops jsdom from navigating
+        const record = (e) => {
+            defaultPrevented.push(e.defaultPrevented);
+            e.preventDefault();
+        };
+        window.addEventListener('click', record);
+
+        document.querySelector('.nav-link').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true }));
+        document.querySelector('.external-link').click();
+        document.querySelector('.anchor-link').click();
+
+        expect(defaultPrevented).toEqual([false, false, false]);
+        expect(window.fetch).not.toHaveBeenCalled();
+        window.removeEventListener('click', record);
+    });
+
+    test('loads the page normally when it can\'t be shown in place', async () => {
+        router.loadNormally = jest.fn();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(router.navigate('my-list.html')).resolves.toBe(false);
+        await expect(router.navigate('genres.html')).resolves.toBe(false);
+
+        expect(router.loadNormally.mock.calls.map(([target]) => target.href)).toEqual([
+            'http://localhost/my-list.html',
+            'http://localhost/genres.html'
+        ]);
+        expect(document.querySelector('.home')).not.toBeNull();
+        expect(window.location.pathname).toBe('/');
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * ValidationUtils escaping and the SafeHTML tagged template built on it
+ */
+
+const { loadScripts } = require('./helpers/browser');
+
+let html;
+let raw;
+let url;
+
+beforeAll(() => {
+    loadScripts(['assets/js/safe-html.js', 'assets/js/utils.js']);
+    ({ html, raw, url } = window.SafeHTML);
+});
+
+describe('ValidationUtils.sanitizeHTML', () => {
+    test('escapes markup and both kinds of quotes', () => {
+        expect(window.ValidationUtils.sanitizeHTML(`<a href="x" title='y'>&</a>`))
+            .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    });
+
+    test('turns null and undefined into empty strings', () => {
+        expect(window.ValidationUtils.sanitizeHTML(null)).toBe('');
+        expect(window.ValidationUtils.sanitizeHTML(undefined)).toBe('');
+        expect(window.ValidationUtils.sanitizeHTML(0)).toBe('0');
+    });
+});
+
+describe('ValidationUtils.sanitizeURL', () => {
+    test.each([
+        'https://example.com/a.jpg',
+        'http://example.com/?q=a&b=c',
+        '//cdn.example.com/a.jpg',
+        'assets/images/a.jpg',
+        '/genres.html#isekai',
+        '?anime=demon-slayer'
+    ])('keeps %s', (url) => {
+        expect(window.ValidationUtils.sanitizeURL(url)).toBe(url);
+    });
+
+    test.each([
+        'javascript:alert(1)',
+        ' JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>'
+    ])('drops %j', (url) => {
+        expect(window.ValidationUtils.sanitizeURL(url)).toBe('');
+    });
+});
+
+describe('SafeHTML.html', () => {
+    test('escapes interpolated values but not the template', () => {
+        expect(String(html`<p title="${'"x"'}">${'<b>'}</p>`))
+            .toBe('<p title="&quot;x&quot;">&lt;b&gt;</p>');
+    });
+
+    test('keeps nested templates, renders arrays in order and skips empty values', () => {
+        const items = ['<i>', 'b'].map(item => html`<li>${item}</li>`);
+        expect(String(html`<ul>${items}</ul>${null}${undefined}${false}${0}`))
+            .toBe('<ul><li>&lt;i&gt;</li><li>b</li></ul>0');
+    });
+
+    test('escapes joined strings, so lists must be passed as arrays', () => {
+        expect(String(html`${[html`<br>`].join('')}`)).toBe('&lt;br&gt;');
+    });
+
+    test('passes raw() markup through and sanitizes url() values', () => {
+        expect(String(html`${raw('<mark>a</mark>')}<img src="${url('javascript:alert(1)')}">`))
+            .toBe('<mark>a</mark><img src="">');
+        expect(String(html`<a href="${url('?a=1&b="2"')}">`)).toBe('<a href="?a=1&amp;b=&quot;2&quot;">');
+    });
+
+    test('leaves replacement patterns alone', () => {
+        expect(String(html`${'$& $1 $`'}`)).toBe('$&amp; $1 $`');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * SearchIndex: tokens, typo tolerance, ranking and highlighting over the
+ * real catalog
+ */
+
+const { readData, loadScripts } = require('./helpers/browser');
+
+let SearchIndex;
+let index;
+
+beforeAll(() => {
+    loadScripts(['assets/js/catalog.js', 'assets/js/search.js', 'assets/js/safe-html.js', 'assets/js/utils.js']);
+    SearchIndex = window.SearchIndex;
+    const catalog = new window.AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+    index = new SearchIndex(catalog).build();
+});
+
+const ids = query => index.search(query).map(result => result.anime.id);
+
+describe('tokenize', () => {
+    test('splits on anything but letters and digits, lowercased and without accents', () => {
+        expect(SearchIndex.tokenize('Kaguya-sama: Love is War!')).toEqual(['kaguya', 'sama', 'love', 'is', 'war']);
+        expect(SearchIndex.tokenize('Pokémon  ÉCOLE 100%')).toEqual(['pokemon', 'ecole', '100']);
+        expect(SearchIndex.tokenize(null)).toEqual([]);
+    });
+});
+
+describe('editDistance', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(SearchIndex.editDistance('kitten', 'sitting', 5)).toBe(3);
+        expect(SearchIndex.editDistance('psycic', 'psychic', 2)).toBe(1);
+        expect(SearchIndex.editDistance('erased', 'erased', 2)).toBe(0);
+    });
+
+    test('counts two swapped letters as one edit', () => {
+        expect(SearchIndex.editDistance('earsed', 'erased', 1)).toBe(1);
+    });
+
+    test('gives up with max + 1 once the words are too far apart', () => {
+        expect(SearchIndex.editDistance('abcdef', 'uvwxyz', 2)).toBe(3);
+        expect(SearchIndex.editDistance('one', 'onepiece', 2)).toBe(3);
+    });
+
+    test('allows more typos in longer words', () => {
+        expect(['one', 'erased', 'evergarden'].map(SearchIndex.maxTypos)).toEqual([0, 1, 2]);
+    });
+});
+
+describe('expandTerm', () => {
+    test('rates exact, prefix and fuzzy matches', () => {
+        expect(index.expandTerm('death')).toContainEqual({ token: 'death', quality: 1 });
+        expect(index.expandTerm('deat')).toEqual([{ token: 'death', quality: 0.8 }]);
+        expect(index.expandTerm('erasd')).toEqual([{ token: 'erased', quality: 0.5 }]);
+        // Too short for typos
+        expect(index.expandTerm('zed')).toEqual([]);
+    });
+});
+
+describe('search', () => {
+    test('finds titles through a typo', () => {
+        expect(ids('evergardn')).toEqual(['violet-evergarden']);
+        expect(ids('psycic')).toEqual(['mob-psycho-100']);
+    });
+
+    test('finds titles through swapped letters', () => {
+        expect(ids('earsed')).toEqual(['erased']);
+    });
+
+    test('finds Japanese titles and studios', () => {
+        expect(ids('kimetsu')).toEqual(['demon-slayer']);
+        expect(ids('madhouse')).toEqual(expect.arrayContaining(['one-punch-man', 'death-parade']));
+    });
+
+    test('ranks title matches above matches elsewhere', () => {
+        const [first, second] = index.search('demon');
+
+        expect(first.anime.id).toBe('demon-slayer');
+        expect(first.score).toBeGreaterThan(second.score);
+    });
+
+    test('requires every word to match', () => {
+        expect(ids('spy family')).toEqual(['spy-x-family']);
+        expect(ids('erased qqqq')).toEqual([]);
+    });
+
+    test('matches nothing for words too far from any title', () => {
+        expect(ids('xyzzy')).toEqual([]);
+        expect(ids('zzz')).toEqual([]);
+        expect(ids('  !! ')).toEqual([]);
+    });
+});
+
+describe('highlight', () => {
+    test('marks the matched words and escapes the rest', () => {
+        const [result] = index.search('evergardn');
+
+        expect(index.highlight('Violet Evergarden <3 & "more"', result.terms))
+            .toBe('Violet <mark>Evergarden</mark> &lt;3 &amp; &quot;more&quot;');
+    });
+
+    test('marks words whose tokens matched, inside punctuation', () => {
+        expect(index.highlight('Kaguya-sama: Love is War', ['kaguya', 'war'])).toBe('<mark>Kaguya</mark>-sama: Love is <mark>War</mark>');
+        expect(index.highlight('<b>Erased</b>', [])).toBe('&lt;b&gt;Erased&lt;/b&gt;');
+    });
+});
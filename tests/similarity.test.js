@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ *
+ * SimilarityIndex: features, weighted Jaccard similarity and "More like
+ * this" over the real catalog
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const SimilarityIndex = require('../assets/js/similarity.js');
+const { readData } = require('./helpers/browser');
+
+const recommendations = readData('recommendations.json');
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), recommendations);
+const index = new SimilarityIndex(catalog, recommendations.searchTags).build();
+
+describe('SimilarityIndex', () => {
+    test('extracts genres, tags, themes, each studio and the difficulty', () => {
+        const features = index.getFeatures('spy-family');
+
+        expect(features).toEqual(new Set([
+            'genre:comedy', 'genre:action', 'genre:family',
+            'tag:family', 'tag:wholesome', 'tag:comedy', 'tag:fake family', 'tag:spies',
+            'studio:WIT Studio', 'studio:CloverWorks',
+            'difficulty:beginner'
+        ]));
+        // "family" is a theme word too, but it only repeats the genre
+        expect(features.has('theme:family')).toBe(false);
+        expect(index.getFeatures('erased').has('theme:time travel')).toBe(true);
+        expect(index.getFeatures('missing')).toBeNull();
+    });
+
+    test('weights shared features by kind', () => {
+        const a = new Set(['genre:action', 'tag:spies']);
+
+        // Shared genre (3) over genre + both tags (3 + 1 + 1)
+        expect(index.compare(a, new Set(['genre:action', 'tag:robots']))).toBeCloseTo(0.6);
+        // Shared tag (1) over both genres + the tag (3 + 3 + 1)
+        expect(index.compare(a, new Set(['genre:drama', 'tag:spies']))).toBeCloseTo(1 / 7);
+        expect(index.compare(a, new Set(a))).toBe(1);
+        expect(index.compare(a, new Set(['studio:Bones']))).toBe(0);
+        expect(index.compare(new Set(), new Set())).toBe(0);
+    });
+
+    test('lists the most similar titles first, without the title itself', () => {
+        const results = index.getSimilar('demon-slayer', 4);
+        const scores = results.map(result => result.score);
+
+        expect(results).toHaveLength(4);
+        expect(results[0].anime.id).toBe('jujutsu-kaisen');
+        expect(results.map(result => result.anime.id)).not.toContain('demon-slayer');
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+        scores.forEach(score => expect(score).toBeGreaterThan(0));
+    });
+
+    test('explains each match by shared genres, studios and themes', () => {
+        const erased = index.getSimilar('your-name', 10).find(result => result.anime.id === 'erased');
+
+        expect(erased.reasons).toEqual(['Also Supernatural', 'Shared themes: time travel']);
+        expect(index.getSimilar('spy-family', 10).some(result => result.reasons.includes('Same studio: WIT Studio'))).toBe(true);
+        expect(index.getSimilar('missing')).toEqual([]);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * StorageService: migrations between stored versions and the in-memory
+ * fallback when localStorage is full
+ */
+
+const { StorageService } = require('../assets/js/storage.js');
+
+// Web Storage on a Map; setItem throws QuotaExceededError once full
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+        this.full = false;
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.full) throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+describe('StorageService', () => {
+    let errors;
+    const recordError = e => errors.push(e.detail);
+
+    beforeEach(() => {
+        errors = [];
+        document.addEventListener('storageError', recordError);
+    });
+
+    afterEach(() => {
+        document.removeEventListener('storageError', recordError);
+    });
+
+    describe('migrate', () => {
+        const migration = (version, migrate = () => {}) => ({ version, description: `v${version}`, migrate: jest.fn(migrate) });
+
+        test('runs the migrations newer than the stored version, in version order', () => {
+            const backend = new MemoryStorage({ 'startanime:version': '1' });
+            const ran = [];
+            const migrations = [3, 1, 2].map(version => migration(version, () => ran.push(version)));
+
+            const storage = new StorageService(backend, { migrations, version: 3 });
+
+            expect(ran).toEqual([2, 3]);
+            expect(storage.getVersion()).toBe(3);
+            expect(storage.migrate()).toBe(3);
+            expect(ran).toEqual([2, 3]);
+        });
+
+        test('stops at a failing migration and runs it again next time', () => {
+            const backend = new MemoryStorage();
+            let broken = true;
+            const migrations = [
+                migration(1),
+                migration(2, () => {
+                    if (broken) throw new Error('Unexpected shape');
+                }),
+                migration(3)
+            ];
+
+            const storage = new StorageService(backend, { migrations, version: 3 });
+
+            expect(storage.getVersion()).toBe(1);
+            expect(migrations[2].migrate).not.toHaveBeenCalled();
+            expect(storage.migrationError).toMatchObject({ version: 2, error: expect.any(Error) });
+            expect(errors).toEqual([expect.objectContaining({ key: 'version', reason: 'migration' })]);
+
+            broken = false;
+            const retried = new StorageService(backend, { migrations, version: 3 });
+
+            expect(migrations[0].migrate).toHaveBeenCalledTimes(1);
+            expect(migrations[1].migrate).toHaveBeenCalledTimes(2);
+            expect(migrations[2].migrate).toHaveBeenCalledTimes(1);
+            expect(retried.getVersion()).toBe(3);
+            expect(retried.migrationError).toBeNull();
+        });
+
+        test('keeps the errors from before anyone listened until they are taken', () => {
+            const migrations = [migration(1, () => {
+                throw new Error('Unexpected shape');
+            })];
+            const storage = new StorageService(new MemoryStorage(), { migrations, version: 1 });
+
+            expect(storage.takeEarlyErrors()).toEqual([expect.objectContaining({ key: 'version', reason: 'migration' })]);
+            storage.reportError('watchlist', 'quota', new Error('Full'));
+            expect(storage.takeEarlyErrors()).toEqual([]);
+            expect(errors.map(error => error.reason)).toEqual(['migration', 'quota']);
+        });
+
+        test('moves the original un-namespaced keys under the namespace', () => {
+            const backend = new MemoryStorage({ startanime_userlist: '{"items":[]}', startanime_preferences: 'not json' });
+
+            const storage = new StorageService(backend);
+
+            expect(storage.get('watchlist')).toEqual({ items: [] });
+            expect(storage.get('preferences')).toBeNull();
+            expect(backend.getItem('startanime_userlist')).toBeNull();
+            expect(backend.getItem('startanime_preferences')).toBeNull();
+            expect(errors).toEqual([expect.objectContaining({ key: 'preferences', reason: 'unreadable' })]);
+            expect(storage.getVersion()).toBe(1);
+        });
+    });
+
+    describe('when localStorage is full', () => {
+        test('keeps the value in memory for this visit and reports the quota', () => {
+            const backend = new MemoryStorage();
+            const storage = new StorageService(backend);
+            backend.full = true;
+
+            expect(storage.set('watchlist', { items: ['erased'] })).toBe(false);
+
+            expect(storage.get('watchlist')).toEqual({ items: ['erased'] });
+            expect(storage.keys()).toContain('watchlist');
+            expect(backend.getItem('startanime:watchlist')).toBeNull();
+            expect(errors).toEqual([expect.objectContaining({ key: 'watchlist', reason: 'quota' })]);
+        });
+
+        test('persists again once there is room', () => {
+            const backend = new MemoryStorage();
+            const storage = new StorageService(backend);
+            backend.full = true;
+            storage.set('watchlist', { items: ['erased'] });
+            backend.full = false;
+
+            expect(storage.set('watchlist', { items: ['erased', 'mushishi'] })).toBe(true);
+
+            expect(JSON.parse(backend.getItem('startanime:watchlist'))).toEqual({ items: ['erased', 'mushishi'] });
+            expect(storage.get('watchlist')).toEqual({ items: ['erased', 'mushishi'] });
+        });
+    });
+
+    test('reports values it can\'t read and returns the default', () => {
+        const storage = new StorageService(new MemoryStorage({ 'startanime:version': '1', 'startanime:preferences': '{' }));
+
+        expect(storage.get('preferences', {})).toEqual({});
+        expect(errors).toEqual([expect.objectContaining({ key: 'preferences', reason: 'unreadable' })]);
+    });
+});
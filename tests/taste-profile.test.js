@@ -0,0 +1,44 @@
+/**
+ * TasteProfile: quiz answers to a saved profile and ranking criteria
+ */
+
+const { StorageService } = require('../assets/js/storage.js');
+const { TasteProfile } = require('../assets/js/taste-profile.js');
+
+describe('TasteProfile', () => {
+    let profile;
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        profile = new TasteProfile(new StorageService(window.localStorage));
+    });
+
+    test('turns quiz answers into ranking criteria', () => {
+        const saved = profile.save({
+            films: ['sitcoms', 'horror'],
+            length: 'season',
+            audio: 'dub',
+            mature: 'avoid',
+            platforms: ['Hulu', 'Netflix']
+        }, ['Crunchyroll', 'Hulu']);
+
+        expect(Object.keys(saved).sort()).toEqual(['answers', 'audio', 'avoidMature', 'genres', 'maxEpisodes', 'platforms', 'updatedAt']);
+        expect(profile.toCriteria()).toEqual({
+            genres: ['comedy', 'slice-of-life', 'horror', 'supernatural'],
+            maxEpisodes: 26,
+            platforms: ['Hulu'],
+            audio: 'dub',
+            avoidMature: true
+        });
+        expect(profile.describe()).toEqual(expect.arrayContaining(['Prefers English dubs', 'Avoiding mature themes']));
+    });
+
+    test('only avoids mature titles when asked to', () => {
+        profile.save({ mature: 'some' });
+        expect(profile.toCriteria()).toMatchObject({ avoidMature: false, maxEpisodes: null, genres: [], audio: 'either' });
+        expect(profile.describe()).toContain('Subs or dubs');
+
+        profile.clear();
+        expect(profile.toCriteria()).toEqual({});
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ *
+ * TemplateEngine: blocks, escaping, loop locals, lookups and partials
+ */
+
+const TemplateEngine = require('../assets/js/template-engine.js');
+
+describe('TemplateEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new TemplateEngine();
+    });
+
+    test('renders nested {{#if}} and {{#each}} blocks with their {{else}} branches', () => {
+        const template = '{{#each shelves}}[{{name}}: {{#if titles}}{{#each titles}}{{this}};{{/each}}{{else}}empty{{/if}}]{{else}}no shelves{{/each}}';
+
+        expect(engine.render(template, {
+            shelves: [{ name: 'Watching', titles: ['Erased', 'Mushishi'] }, { name: 'Dropped', titles: [] }]
+        })).toBe('[Watching: Erased;Mushishi;][Dropped: empty]');
+        expect(engine.render(template, { shelves: [] })).toBe('no shelves');
+        expect(engine.render('{{#unless rating}}unrated{{else}}{{rating}}{{/unless}}', { rating: 0 })).toBe('unrated');
+    });
+
+    test('escapes {{values}} and leaves {{{raw}}} and {{& raw}} values as written', () => {
+        const data = { title: '<b onclick="x">Tom & Jerry\'s`</b>', markup: '<em>ok</em>' };
+
+        expect(engine.render('{{title}}', data)).toBe('&lt;b onclick=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&#96;&lt;/b&gt;');
+        expect(engine.render('{{{markup}}}|{{& markup}}', data)).toBe('<em>ok</em>|<em>ok</em>');
+        expect(engine.render('{{missing}}{{nothing}}{{no}}|{{list}}', { nothing: null, no: false, list: ['a', '<b>'] })).toBe('|a, &lt;b&gt;');
+    });
+
+    test('gives loops @index, @key, @first and @last', () => {
+        expect(engine.render('{{#each genres}}{{@index}}:{{this}}{{#if @first}}(first){{/if}}{{#unless @last}}, {{/unless}}{{/each}}', {
+            genres: ['Action', 'Drama', 'Comedy']
+        })).toBe('0:Action(first), 1:Drama, 2:Comedy');
+        expect(engine.render('{{#each levels}}{{@key}}={{this}} {{/each}}', { levels: { beginner: 1, advanced: 3 } })).toBe('beginner=1 advanced=3 ');
+    });
+
+    test('looks up own properties, falling back to the outer data inside loops', () => {
+        const data = { section: 'Top 5', items: [{ title: 'Erased' }, { title: 'Frieren', section: 'Mine' }] };
+
+        expect(engine.render('{{#each items}}{{title}} ({{section}}) {{/each}}', data)).toBe('Erased (Top 5) Frieren (Mine) ');
+        expect(engine.render('{{#each items}}[{{this.section}}]{{/each}}', data)).toBe('[][Mine]');
+        expect(engine.render('{{anime.studio.name}}', { anime: { studio: { name: 'Bones' } } })).toBe('Bones');
+        expect(engine.render('{{constructor}}{{toString}}{{title.constructor}}{{__proto__}}', { title: 'Erased' })).toBe('');
+    });
+
+    test('renders partials with the current or named value', () => {
+        engine.registerPartial('tag', '<span>{{label}}</span>');
+
+        expect(engine.render('{{#each tags}}{{> tag}}{{/each}}', { tags: [{ label: 'Time travel' }, { label: '<i>' }] }))
+            .toBe('<span>Time travel</span><span>&lt;i&gt;</span>');
+        expect(engine.render('{{> tag featured}}', { featured: { label: 'Mystery' } })).toBe('<span>Mystery</span>');
+        expect(engine.getPartialNames('{{#if a}}{{> tag}}{{else}}{{> card}}{{/if}}')).toEqual(['tag', 'card']);
+    });
+
+    test('rejects unknown partials and blocks, and unbalanced tags', () => {
+        expect(() => engine.render('{{> missing}}')).toThrow('Unknown partial "{{> missing}}"');
+        expect(() => engine.render('{{#with anime}}{{/with}}')).toThrow('Unknown template block');
+        expect(() => engine.render('{{#if a}}')).toThrow('Unclosed {{#if}} block');
+        expect(() => engine.render('{{#if a}}{{/each}}')).toThrow('expected {{/if}}');
+        expect(() => engine.render('{{else}}')).toThrow('outside of a block');
+    });
+
+    test('lets a partial include itself for nested data, but stops one that never ends', () => {
+        engine.registerPartial('node', '{{name}}{{#if this.children}}({{#each children}}{{> node}}{{/each}}){{/if}}');
+        expect(engine.render('{{> node tree}}', {
+            tree: { name: 'a', children: [{ name: 'b', children: [{ name: 'c' }] }, { name: 'd' }] }
+        })).toBe('a(b(c)d)');
+
+        engine.registerPartial('loop', 'again {{> loop}}');
+        expect(() => engine.render('{{> loop}}')).toThrow(/Partials nested more than \d+ deep: \.\.\. > loop > loop/);
+        // The failed render doesn't leave the engine thinking it's still nested
+        expect(engine.render('{{> node}}', { name: 'x' })).toBe('x');
+    });
+
+    test('compiles each template once and reuses it until the cache is cleared', () => {
+        const parse = jest.spyOn(engine, 'parse');
+
+        engine.render('{{title}}', { title: 'Erased' });
+        engine.render('{{title}}', { title: 'Mushishi' });
+        expect(parse).toHaveBeenCalledTimes(1);
+        expect(engine.compile('{{title}}')).toBe(engine.compile('{{title}}'));
+
+        engine.clearCache();
+        engine.render('{{title}}', { title: 'Erased' });
+        expect(parse).toHaveBeenCalledTimes(2);
+    });
+
+    test('skips comments', () => {
+        expect(engine.render('a{{! note }}b{{!-- {{title}} --}}c', { title: 'x' })).toBe('abc');
+    });
+});
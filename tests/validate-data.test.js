@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ *
+ * Data validation: schema errors, cross-file references and malformed
+ * files reported as errors rather than crashes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateData } = require('../scripts/validate-data');
+const { readData } = require('./helpers/browser');
+
+const DATA_FILES = ['anime-list.json', 'genres.json', 'moods.json', 'recommendations.json'];
+
+describe('validateData', () => {
+    let dataDir;
+
+    // A copy of data/ with the files changed by edit(data) written in place
+    const writeData = (name, edit) => {
+        const data = readData(name);
+        edit(data);
+        fs.writeFileSync(path.join(dataDir, name), JSON.stringify(data));
+    };
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+        fs.cpSync(path.join(__dirname, '..', 'data'), dataDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('passes the project data', () => {
+        expect(validateData().errors).toEqual([]);
+        expect(validateData(dataDir).errors).toEqual([]);
+    });
+
+    test('reports a malformed record as a schema error instead of crashing', () => {
+        writeData('anime-list.json', (data) => {
+            data.featured[0].genre = 'shounen';
+        });
+
+        const { errors } = validateData(dataDir);
+
+        expect(errors).toEqual(expect.arrayContaining([expect.stringMatching(/^anime-list\.json \/featured\/0\/genre: must be array/)]));
+    });
+
+    test('reports references to anime, moods and platforms that don\'t exist', () => {
+        writeData('anime-list.json', (data) => {
+            data.genres.shounen.examples.push('not-an-anime');
+        });
+        writeData('recommendations.json', (data) => {
+            const [key, category] = Object.entries(data.categories)[0];
+            category.anime[0].streamingPlatforms = ['Betamax'];
+            data.categories.nonsense = { ...category, mood: 'nonsense' };
+            delete data.categories[key];
+        });
+
+        const { errors } = validateData(dataDir);
+
+        expect(errors).toEqual(expect.arrayContaining([
+            'anime-list.json genres.shounen.examples: "not-an-anime" is not a catalog id',
+            expect.stringContaining('platform "Betamax" is not in streamingPlatforms'),
+            'recommendations.json categories: "nonsense" is not a mood id or alias in moods.json'
+        ]));
+    });
+
+    test('reports a file that isn\'t JSON', () => {
+        fs.writeFileSync(path.join(dataDir, 'moods.json'), '{ "moods": ');
+
+        const { errors } = validateData(dataDir);
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatch(/^moods\.json: /);
+    });
+
+    test('checks every data file', () => {
+        DATA_FILES.forEach((name) => {
+            fs.writeFileSync(path.join(dataDir, name), '[]');
+        });
+
+        expect(validateData(dataDir).errors.map(error => error.split(' ')[0])).toEqual(expect.arrayContaining(DATA_FILES));
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * My List import and export: MyAnimeList XML, AniList JSON and the
+ * round trip through each
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { StorageService } = require('../assets/js/storage.js');
+const Watchlist = require('../assets/js/watchlist.js');
+const WatchlistTransfer = require('../assets/js/watchlist-transfer.js');
+const { readData } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+
+const MAL_XML = `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo><user_export_type>1</user_export_type></myinfo>
+    <anime>
+        <series_animedb_id>31043</series_animedb_id>
+        <series_title><![CDATA[Boku dake ga Inai Machi]]></series_title>
+        <my_watched_episodes>5</my_watched_episodes>
+        <my_score>9</my_score>
+        <my_status>Watching</my_status>
+        <my_comments><![CDATA[Rewatch <soon> & often]]></my_comments>
+    </anime>
+    <anime>
+        <series_animedb_id>0</series_animedb_id>
+        <series_title><![CDATA[Spirited Away]]></series_title>
+        <my_watched_episodes>0</my_watched_episodes>
+        <my_score>0</my_score>
+        <my_status>On-Hold</my_status>
+    </anime>
+    <anime>
+        <series_animedb_id>999999</series_animedb_id>
+        <series_title><![CDATA[Not In The Catalog]]></series_title>
+        <my_status>Plan to Watch</my_status>
+    </anime>
+</myanimelist>`;
+
+// A raw AniList API response, with the nulls AniList leaves for removed entries
+const ANILIST_JSON = JSON.stringify({
+    data: {
+        MediaListCollection: {
+            lists: [
+                {
+                    name: 'Completed',
+                    status: 'COMPLETED',
+                    entries: [
+                        { score: 85, progress: 0, media: { idMal: 5114, title: { romaji: 'Hagane no Renkinjutsushi' } } },
+                        null,
+                        { score: 0, progress: 3, status: 'PAUSED', media: { idMal: null, title: { english: 'Odd Taxi' } } }
+                    ]
+                },
+                null,
+                { name: 'Planning', status: 'PLANNING', entries: [{ media: { title: { userPreferred: 'Kimetsu no Yaiba' } } }] }
+            ]
+        }
+    }
+});
+
+describe('WatchlistTransfer', () => {
+    let watchlist;
+    let transfer;
+
+    const createWatchlist = () => new Watchlist(catalog, new StorageService(window.localStorage));
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        watchlist = createWatchlist();
+        transfer = new WatchlistTransfer(watchlist, catalog);
+    });
+
+    describe('parse', () => {
+        test('reads a MyAnimeList XML export', () => {
+            expect(transfer.parse(MAL_XML)).toEqual([
+                { id: null, malId: 31043, titles: ['Boku dake ga Inai Machi'], status: 'watching', progress: 5, score: 9, notes: 'Rewatch <soon> & often' },
+                { id: null, malId: null, titles: ['Spirited Away'], status: 'watching', progress: 0, score: null, notes: '' },
+                { id: null, malId: 999999, titles: ['Not In The Catalog'], status: 'plan_to_watch', progress: 0, score: null, notes: '' }
+            ]);
+        });
+
+        test('reads an AniList response, skipping null lists and entries', () => {
+            expect(transfer.parse(ANILIST_JSON)).toEqual([
+                { id: null, malId: 5114, titles: ['Hagane no Renkinjutsushi'], status: 'completed', progress: 0, score: 9, notes: '' },
+                { id: null, malId: null, titles: ['Odd Taxi'], status: 'watching', progress: 3, score: null, notes: '' },
+                { id: null, malId: null, titles: ['Kimetsu no Yaiba'], status: 'plan_to_watch', progress: 0, score: null, notes: '' }
+            ]);
+            expect(transfer.parse('[null, { "status": "DROPPED", "title": "Erased" }]')).toEqual([
+                { id: null, malId: null, titles: ['Erased'], status: 'dropped', progress: 0, score: null, notes: '' }
+            ]);
+        });
+
+        test('rejects files that are neither', () => {
+            expect(() => transfer.parse('id,title\nerased,Erased')).toThrow('Unrecognised file');
+            expect(() => transfer.parse('<html><body></body></html>')).toThrow('not a MyAnimeList XML export');
+            expect(() => transfer.parse('{ "lists": ')).toThrow('Invalid JSON');
+            expect(() => transfer.parse('{ "anime": [] }')).toThrow('no AniList lists');
+        });
+    });
+
+    test('matches imported titles by MyAnimeList id, then by either name', () => {
+        const { matched, unmatched } = transfer.preview(transfer.parse(MAL_XML).concat(transfer.parse(ANILIST_JSON)));
+
+        expect(matched.map(({ anime, method }) => [anime.id, method])).toEqual([
+            ['erased', 'malId'],
+            ['spirited-away', 'title'],
+            ['fullmetal-alchemist-brotherhood', 'malId'],
+            ['oddtaxi', 'title'],
+            ['demon-slayer', 'title']
+        ]);
+        expect(unmatched.map(item => item.titles[0])).toEqual(['Not In The Catalog']);
+    });
+
+    test('adds each new title with one write, and keeps or replaces listed ones', () => {
+        watchlist.add(catalog.getById('erased'), { status: 'dropped' });
+        const write = jest.spyOn(watchlist, 'write');
+        const changes = [];
+        const recordChange = e => changes.push(e.detail.action);
+        document.addEventListener('watchlistChanged', recordChange);
+
+        const preview = transfer.preview(transfer.parse(ANILIST_JSON).concat(transfer.parse(MAL_XML)));
+        expect(transfer.apply(preview)).toEqual({ added: 4, updated: 0, skipped: 1 });
+
+        expect(write).toHaveBeenCalledTimes(4);
+        expect(changes).toEqual(['add', 'add', 'add', 'add']);
+        // Completed without a count fills in the episodes
+        expect(watchlist.get('fullmetal-alchemist-brotherhood')).toMatchObject({ status: 'completed', progress: 64, score: 9 });
+        expect(watchlist.get('oddtaxi')).toMatchObject({ status: 'watching', progress: 3 });
+        expect(watchlist.get('erased').status).toBe('dropped');
+
+        expect(transfer.apply(transfer.preview(transfer.parse(MAL_XML)), { overwrite: true })).toEqual({ added: 0, updated: 2, skipped: 0 });
+        expect(watchlist.get('erased')).toMatchObject({ status: 'watching', progress: 5, score: 9, notes: 'Rewatch <soon> & often' });
+        document.removeEventListener('watchlistChanged', recordChange);
+    });
+
+    describe.each([
+        ['MyAnimeList XML', t => t.toMalXML()],
+        ['AniList JSON', t => t.toJSON()]
+    ])('exporting and importing %s', (format, exportList) => {
+        test('gives back the same list', () => {
+            watchlist.add(catalog.getById('erased'), { status: 'watching', progress: 4, score: 8, notes: 'Keeps <me> guessing ]]> & more' });
+            watchlist.add(catalog.getById('your-name'), { status: 'completed' });
+            watchlist.add(catalog.getById('spy-x-family'), { status: 'dropped', progress: 2 });
+            watchlist.add(catalog.getById('anohana'));
+            const fields = entry => ({ id: entry.id, status: entry.status, progress: entry.progress, score: entry.score, notes: entry.notes });
+            const exported = exportList(transfer);
+
+            window.localStorage.clear();
+            const imported = createWatchlist();
+            const importer = new WatchlistTransfer(imported, catalog);
+            const preview = importer.preview(importer.parse(exported));
+
+            expect(preview.unmatched).toEqual([]);
+            expect(importer.apply(preview)).toEqual({ added: 4, updated: 0, skipped: 0 });
+            expect(imported.getAll().map(fields).sort((a, b) => a.id.localeCompare(b.id)))
+                .toEqual(watchlist.getAll().map(fields).sort((a, b) => a.id.localeCompare(b.id)));
+        });
+    });
+});
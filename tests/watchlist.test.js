@@ -0,0 +1,168 @@
+/**
+ * Watchlist: My List entries over the real catalog, persisted through
+ * the storage service
+ */
+
+const AnimeCatalog = require('../assets/js/catalog.js');
+const { StorageService } = require('../assets/js/storage.js');
+const Watchlist = require('../assets/js/watchlist.js');
+const { readData } = require('./helpers/browser');
+
+const catalog = new AnimeCatalog().ingest(readData('anime-list.json'), readData('recommendations.json'));
+
+describe('Watchlist', () => {
+    let storage;
+    let watchlist;
+
+    const createWatchlist = () => new Watchlist(catalog, storage);
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        storage = new StorageService(window.localStorage);
+        watchlist = createWatchlist();
+    });
+
+    test('adds titles once, updates and removes them, and persists every change', () => {
+        const entry = watchlist.add(catalog.getById('erased'), { score: 9, notes: 'Rewatch' });
+
+        expect(entry).toMatchObject({ id: 'erased', title: 'Erased', status: 'plan_to_watch', progress: 0, score: 9, notes: 'Rewatch' });
+        expect(watchlist.add(catalog.getById('erased'), { status: 'dropped' })).toBe(entry);
+        expect(watchlist.getAll()).toHaveLength(1);
+
+        expect(watchlist.update('erased', { status: 'dropped', score: 11, notes: null })).toMatchObject({ status: 'dropped', score: null, notes: '' });
+        expect(watchlist.update('missing', { status: 'watching' })).toBeNull();
+        expect(createWatchlist().get('erased')).toMatchObject({ status: 'dropped', score: null });
+
+        expect(watchlist.remove('erased')).toBe(true);
+        expect(watchlist.remove('erased')).toBe(false);
+        expect(createWatchlist().getAll()).toEqual([]);
+    });
+
+    test('clamps progress to the episode count and fills it in on completion', () => {
+        watchlist.add(catalog.getById('erased'));
+
+        expect(watchlist.update('erased', { progress: 40 }).progress).toBe(12);
+        expect(watchlist.update('erased', { progress: -3 }).progress).toBe(0);
+
+        watchlist.add(catalog.getById('violet-evergarden'), { status: 'completed' });
+        expect(watchlist.get('violet-evergarden').progress).toBe(13);
+        // An explicit progress wins over the full count
+        expect(watchlist.update('erased', { status: 'completed', progress: 5 }).progress).toBe(5);
+
+        const unknown = watchlist.add({ id: 'unknown', title: 'Unknown' }, { progress: 400 });
+        expect(unknown.progress).toBe(400);
+    });
+
+    test('starts watching a planned title once progress is logged', () => {
+        watchlist.add(catalog.getById('erased'));
+
+        expect(watchlist.update('erased', { progress: 0 }).status).toBe('plan_to_watch');
+        expect(watchlist.update('erased', { progress: 2 }).status).toBe('watching');
+        watchlist.update('erased', { status: 'dropped' });
+        expect(watchlist.update('erased', { progress: 3 }).status).toBe('dropped');
+    });
+
+    test('moves titles within the custom order', () => {
+        ['erased', 'konosuba', 'anohana'].forEach(id => watchlist.add(catalog.getById(id)));
+
+        expect(watchlist.move('anohana', 0)).toBe(true);
+        expect(watchlist.getAll().map(entry => entry.id)).toEqual(['anohana', 'erased', 'konosuba']);
+        expect(watchlist.move('anohana', -5)).toBe(false);
+        expect(watchlist.move('erased', 99)).toBe(true);
+        expect(watchlist.move('missing', 0)).toBe(false);
+        expect(createWatchlist().getAll().map(entry => entry.id)).toEqual(['anohana', 'konosuba', 'erased']);
+    });
+
+    test('filters by status and sorts by each query order', () => {
+        storage.set('watchlist', [
+            { id: 'erased', title: 'Erased', status: 'completed', progress: 12, score: 7, addedAt: '2024-01-03T00:00:00.000Z', updatedAt: '2024-02-01T00:00:00.000Z' },
+            { id: 'konosuba', title: 'KonoSuba', status: 'watching', progress: 4, score: 9, addedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-03-01T00:00:00.000Z' },
+            { id: 'anohana', title: 'AnoHana', status: 'watching', progress: 8, addedAt: '2024-01-02T00:00:00.000Z' }
+        ]);
+        watchlist.read();
+        const ids = options => watchlist.query(options).map(entry => entry.id);
+
+        expect(ids()).toEqual(['erased', 'konosuba', 'anohana']);
+        expect(ids({ sort: 'added' })).toEqual(['erased', 'anohana', 'konosuba']);
+        expect(ids({ sort: 'updated' })).toEqual(['konosuba', 'erased', 'anohana']);
+        expect(ids({ sort: 'title' })).toEqual(['anohana', 'erased', 'konosuba']);
+        expect(ids({ sort: 'score' })).toEqual(['konosuba', 'erased', 'anohana']);
+        expect(ids({ sort: 'progress' })).toEqual(['erased', 'anohana', 'konosuba']);
+        expect(ids({ status: 'watching', sort: 'progress' })).toEqual(['anohana', 'konosuba']);
+        expect(ids({ sort: 'unknown' })).toEqual(['erased', 'konosuba', 'anohana']);
+        expect(watchlist.getCounts()).toEqual({ all: 3, plan_to_watch: 0, watching: 2, completed: 1, dropped: 0 });
+    });
+
+    test('upgrades entries saved in the original { id, title, image, addedAt } shape', () => {
+        storage.set('watchlist', [
+            { id: 'erased', title: 'Erased', image: 'erased.jpg', addedAt: '2024-01-01T00:00:00.000Z' },
+            { id: 'konosuba', status: 'rewatching', progress: '3', score: '8' },
+            { title: 'No id' },
+            null
+        ]);
+        watchlist.read();
+
+        expect(watchlist.getAll()).toEqual([
+            {
+                id: 'erased',
+                title: 'Erased',
+                image: 'erased.jpg',
+                status: 'plan_to_watch',
+                progress: 0,
+                score: null,
+                notes: '',
+                position: 0,
+                addedAt: '2024-01-01T00:00:00.000Z',
+                updatedAt: '2024-01-01T00:00:00.000Z'
+            },
+            expect.objectContaining({ id: 'konosuba', title: 'konosuba', status: 'plan_to_watch', progress: 3, score: 8, position: 1 })
+        ]);
+    });
+
+    describe('alias ids', () => {
+        test('finds, updates, moves and removes titles by any of their ids', () => {
+            watchlist.add(catalog.getById('erased'));
+            watchlist.add(catalog.getById('fmab'));
+
+            expect(watchlist.get('fullmetal-alchemist-brotherhood').id).toBe('fullmetal-alchemist-brotherhood');
+            expect(watchlist.has('fmab')).toBe(true);
+            expect(watchlist.add({ id: 'fmab', title: 'FMA: Brotherhood' })).toBe(watchlist.get('fmab'));
+            expect(watchlist.getAll()).toHaveLength(2);
+
+            expect(watchlist.update('fmab', { progress: 100 }).progress).toBe(64);
+            expect(watchlist.move('fmab', 0)).toBe(true);
+            expect(watchlist.getAll()[0].id).toBe('fullmetal-alchemist-brotherhood');
+            expect(watchlist.remove('fmab')).toBe(true);
+            expect(watchlist.getAll().map(entry => entry.id)).toEqual(['erased']);
+        });
+
+        test('merges legacy entries saved under an alias with the catalog id\'s entry', () => {
+            window.localStorage.setItem('startanime_userlist', JSON.stringify([
+                { id: 'aot', title: 'Attack on Titan', image: 'aot.jpg', addedAt: '2024-01-01T00:00:00.000Z' },
+                { id: 'mha', title: 'My Hero Academia', addedAt: '2024-01-02T00:00:00.000Z' }
+            ]));
+            window.localStorage.removeItem('startanime:version');
+            storage = new StorageService(window.localStorage);
+            storage.set('watchlist', storage.get('watchlist').concat({
+                id: 'attack-on-titan',
+                title: 'Attack on Titan',
+                status: 'watching',
+                progress: 12,
+                notes: 'Season 2 next',
+                addedAt: '2024-03-01T00:00:00.000Z'
+            }));
+
+            const migrated = createWatchlist();
+
+            expect(migrated.getAll().map(entry => entry.id)).toEqual(['attack-on-titan', 'my-hero-academia']);
+            expect(migrated.get('aot')).toMatchObject({
+                status: 'watching',
+                progress: 12,
+                notes: 'Season 2 next',
+                image: 'aot.jpg',
+                addedAt: '2024-01-01T00:00:00.000Z'
+            });
+            expect(migrated.update('aot', { progress: 500 }).progress).toBe(75);
+        });
+    });
+});